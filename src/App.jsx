@@ -1,31 +1,146 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  DAYS_PER_YEAR,
+  INPUT_SECTIONS,
+  INPUT_FIELDS,
+  RATIO_GROUPS,
+  RATIO_DEFINITIONS,
+  analyzeBalanceSheet,
+  createEmptyFigures,
+  getInterpretationRank,
+  getRatioGuideLabel,
+} from './lib/ratioEngine';
+import { DEFAULT_THRESHOLDS, SECTOR_PROFILES, describeBands, getSectorThresholds } from './lib/thresholds';
+import { loadCustomProfiles, saveCustomProfiles } from './lib/thresholdProfiles';
+import {
+  deleteAnalysis,
+  duplicateAnalysis,
+  loadSavedAnalyses,
+  persistSavedAnalyses,
+  renameAnalysis,
+  upsertAnalysis,
+} from './lib/analysisLibrary';
+import {
+  buildComparisonXlsxSheets,
+  buildExportRecord,
+  buildXlsxSheets,
+  exportComparisonToCsv,
+  exportToCsv,
+  exportToJson,
+  getExportFileName,
+} from './lib/exporters';
+import { downloadTextFile } from './lib/download';
+import { generatePdfReport } from './lib/pdfReport';
+import { DEFAULT_BALANCE_TOLERANCE, validateFigures } from './lib/validation';
+import { computeHealthScore, loadScoreWeights, saveScoreWeights } from './lib/healthScore';
+import { applyMarketDataValue, computeAltmanZScore, getMarketDataValue } from './lib/altmanZScore';
+import { LANGUAGES, createTranslator, getLanguage, loadLanguage, saveLanguage } from './lib/i18n';
+import { buildPeerComparison } from './lib/peerComparison';
+import { CURRENCIES } from './lib/currencies';
+import {
+  convertFigures,
+  findExchangeRate,
+  formatExchangeRate,
+  loadExchangeRates,
+  saveExchangeRates,
+} from './lib/exchangeRates';
+import {
+  AUDIT_STATUSES,
+  DEFAULT_FISCAL_PERIOD,
+  PERIOD_TYPES,
+  describeFiscalPeriod,
+  formatReportDate,
+  getPeriodDays,
+  normalizeReportDate,
+  parseReportDate,
+  toIsoDate,
+} from './lib/reportDates';
+import {
+  NUMBER_FORMATS,
+  UNIT_SCALES,
+  formatLocalizedNumber,
+  getUnitScale,
+  loadNumberPreferences,
+  parseLocalizedNumber,
+  saveNumberPreferences,
+  scaleAmount,
+} from './lib/numberFormat';
+import ThresholdSettings from './components/ThresholdSettings';
+import AnalysisLibrary from './components/AnalysisLibrary';
+import StatementImport from './components/StatementImport';
+import PasteToFill from './components/PasteToFill';
+import HealthScoreSummary from './components/HealthScoreSummary';
+import ScoreWeightsSettings from './components/ScoreWeightsSettings';
+import PeerComparison from './components/PeerComparison';
+import ExchangeRateTable from './components/ExchangeRateTable';
+import RatioGauges from './components/RatioGauges';
+import BalanceSheetChart from './components/BalanceSheetChart';
+import SeriesChart from './components/SeriesChart';
+import ScenarioSimulator from './components/ScenarioSimulator';
+import { buildShareUrl, readShareHash } from './lib/shareLink';
+import { buildBalanceSheetComposition } from './lib/charts';
+import { buildNarrative } from './lib/narrative';
+import { registerServiceWorker } from './lib/serviceWorker';
+import { KEYBOARD_SHORTCUTS, matchShortcut } from './lib/shortcuts';
 
 // Main App component for the Financial Health Analyzer
 const App = () => {
+  // Interface language; every text comes from its catalog through `t`
+  const [language, setLanguage] = useState(loadLanguage);
+  const t = createTranslator(language);
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Installable app: a new build is offered once it has been downloaded for offline use
+  const [applyUpdate, setApplyUpdate] = useState(null); // Activates the downloaded build, or null when there is none
+  useEffect(() => {
+    registerServiceWorker((activate) => setApplyUpdate(() => activate));
+  }, []);
+
   // State for input fields
   const [companyTicker, setCompanyTicker] = useState('');
   const [selectedCurrency, setSelectedCurrency] = useState('USD'); // New: Currency selector
-  const [reportDate, setReportDate] = useState('');
-  const [currentAssets, setCurrentAssets] = useState('');
-  const [currentLiabilities, setCurrentLiabilities] = useState('');
-  const [totalAssets, setTotalAssets] = useState('');
-  const [totalLiabilities, setTotalLiabilities] = useState('');
-  const [shareholdersEquity, setShareholdersEquity] = useState('');
-  const [inventory, setInventory] = useState('');
-
-  // State for calculated ratios and error messages
-  const [currentRatio, setCurrentRatio] = useState(null);
-  const [currentRatioInterpretation, setCurrentRatioInterpretation] = useState('');
-  const [quickRatio, setQuickRatio] = useState(null);
-  const [quickRatioInterpretation, setQuickRatioInterpretation] = useState('');
-  const [debtToEquityRatio, setDebtToEquityRatio] = useState(null);
-  const [debtToEquityInterpretation, setDebtToEquityInterpretation] = useState('');
-  const [debtToAssetsRatio, setDebtToAssetsRatio] = useState(null);
-  const [debtToAssetsInterpretation, setDebtToAssetsInterpretation] = useState('');
+  const [reportingCurrency, setReportingCurrency] = useState(''); // Currency amounts are converted to ('' = no conversion)
+  const [exchangeRates, setExchangeRates] = useState(loadExchangeRates); // User-maintained offline FX table
+  const [showExchangeRates, setShowExchangeRates] = useState(false);
+  const [numberPreferences, setNumberPreferences] = useState(loadNumberPreferences); // Number format and unit scale of the amounts
+  const [reportDate, setReportDate] = useState(''); // 'YYYY-MM-DD' once valid (see normalizeReportDate)
+  const [fiscalPeriod, setFiscalPeriod] = useState(DEFAULT_FISCAL_PERIOD); // Period type, fiscal year end and audit status
+  const [selectedSector, setSelectedSector] = useState('general'); // Sector or custom profile whose interpretation bands apply
+  const [customProfiles, setCustomProfiles] = useState(loadCustomProfiles); // User-defined threshold profiles
+  const [showThresholdSettings, setShowThresholdSettings] = useState(false);
+  const [figures, setFigures] = useState(createEmptyFigures); // Raw numeric strings keyed by INPUT_FIELDS
+  const [editingField, setEditingField] = useState(null); // Field being typed in, shown as typed until it loses focus
+  const [editingText, setEditingText] = useState('');
+
+  // State for the analysis result (see analyzeBalanceSheet) and error messages
+  const [analysis, setAnalysis] = useState(null);
   const [error, setError] = useState('');
+  const [showValidation, setShowValidation] = useState(false); // Field checks are shown after the first calculation attempt
+  const [balanceTolerance, setBalanceTolerance] = useState(String(DEFAULT_BALANCE_TOLERANCE * 100)); // Percentage of total assets
+
+  // State for the composite health score and the Altman Z-Score model
+  const [scoreWeights, setScoreWeights] = useState(loadScoreWeights);
+  const [showScoreWeights, setShowScoreWeights] = useState(false);
+  const [altmanVariant, setAltmanVariant] = useState('public');
+
+  // State for multi-period analysis: snapshots of the form saved per report date
+  const [periods, setPeriods] = useState([]);
+
+  // State for the library of analyses saved in this browser
+  const [savedAnalyses, setSavedAnalyses] = useState(loadSavedAnalyses);
+  const [activeAnalysisId, setActiveAnalysisId] = useState(null); // Saved analysis the form was opened from
+  const [selectedAnalysisIds, setSelectedAnalysisIds] = useState([]); // Saved analyses checked for export and comparison
+  const [includeCurrentInComparison, setIncludeCurrentInComparison] = useState(true);
+  const [statusMessage, setStatusMessage] = useState('');
+  const [showStatementImport, setShowStatementImport] = useState(false);
+  const [showPasteToFill, setShowPasteToFill] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [shareUrl, setShareUrl] = useState(''); // Last shareable link, shown so it can be copied by hand
 
   // Full disclaimer text
-  const fullDisclaimerText = "Estos rangos son guías generales. La interpretación precisa debe considerar la industria y las tendencias históricas de la empresa. El análisis completo y la decisión de invertir o no es responsabilidad absoluta de cada usuario, por lo que los resultados de esta herramienta no deben ser considerados por sí mismos una recomendación de inversión o venta.";
+  const fullDisclaimerText = t('disclaimer');
 
   /**
    * Returns the currency symbol based on the selected currency code.
@@ -52,256 +167,338 @@ const App = () => {
   };
 
   /**
-   * Returns the interpretation string and emoji for Current Ratio.
-   * @param {number} ratio - The calculated Current Ratio.
-   * @returns {string} - Interpretation string.
+   * Formats a ratio expressed as a fraction into a percentage string.
+   * @param {number} ratio - The ratio as a fraction (e.g., 0.4523).
+   * @returns {string} - The percentage string (e.g., "45.23%").
    */
-  const getCurrentRatioInterpretation = (ratio) => {
-    if (typeof ratio !== 'number' || isNaN(ratio)) return '';
-    if (ratio > 2.0) return 'Excelente 🚀';
-    if (ratio >= 1.5) return 'Bueno 👍';
-    if (ratio >= 1.0) return 'Regular 😐';
-    if (ratio >= 0.5) return 'Malo 🚩';
-    return 'Pésimo 🚨';
+  const formatPercentage = (ratio) => `${formatLocalizedNumber(ratio * 100, numberPreferences.numberFormat, { fractionDigits: 2 })}%`;
+
+  /**
+   * Formats a ratio value according to its display format.
+   * @param {number|null} value - The computed value.
+   * @param {string} format - 'ratio', 'percentage', 'currency' or 'days'.
+   * @returns {string} - The formatted value, or 'N/A' when it could not be computed.
+   */
+  const formatRatioValue = (value, format) => {
+    if (value === null) return 'N/A';
+    if (format === 'percentage') return formatPercentage(value);
+    if (format === 'currency') return `${formatAmount(value)} ${getCurrencySymbol(selectedCurrency)}`;
+    if (format === 'days') return t('units.days', { value: formatLocalizedNumber(value, numberPreferences.numberFormat, { fractionDigits: 1 }) });
+    return formatLocalizedNumber(value, numberPreferences.numberFormat, { fractionDigits: 2 });
   };
 
   /**
-   * Returns the interpretation string and emoji for Quick Ratio.
-   * @param {number} ratio - The calculated Quick Ratio.
-   * @returns {string} - Interpretation string.
+   * Returns the active threshold profile: a built-in sector or a custom profile.
+   * @param {string} [profileKey] - Profile key; defaults to the selected one.
+   * @returns {{profile: object, isCustom: boolean, thresholds: object}} - The profile and its full thresholds.
    */
-  const getQuickRatioInterpretation = (ratio) => {
-    if (typeof ratio !== 'number' || isNaN(ratio)) return '';
-    if (ratio > 1.5) return 'Excelente 🚀';
-    if (ratio >= 1.0) return 'Bueno 👍';
-    if (ratio >= 0.7) return 'Regular 😐';
-    if (ratio >= 0.3) return 'Malo 🚩';
-    return 'Pésimo 🚨';
+  const getActiveProfile = (profileKey = selectedSector) => {
+    const customProfile = customProfiles.find((profile) => profile.key === profileKey);
+    if (customProfile) {
+      return { profile: customProfile, isCustom: true, thresholds: { ...DEFAULT_THRESHOLDS, ...customProfile.thresholds } };
+    }
+    const sector = SECTOR_PROFILES.find((profile) => profile.key === profileKey) || SECTOR_PROFILES[0];
+    return {
+      profile: { ...sector, label: t(`sectors.${sector.key}`) },
+      isCustom: false,
+      thresholds: getSectorThresholds(sector.key),
+    };
   };
 
   /**
-   * Returns the interpretation string and emoji for Debt-to-Equity Ratio.
-   * @param {number} ratio - The calculated Debt-to-Equity Ratio.
-   * @returns {string} - Interpretation string.
+   * Formats a band limit for the interpretation guide.
+   * @param {number} limit - The band limit.
+   * @param {object} definition - The ratio definition the limit belongs to.
+   * @returns {string} - The formatted limit (e.g., '50%', '2.00', '8.00x' or '45 días').
    */
-  const getDebtToEquityInterpretation = (ratio) => {
-    if (typeof ratio !== 'number' || isNaN(ratio)) return '';
-    if (ratio < 0.5) return 'Excelente 🚀';
-    if (ratio >= 0.5 && ratio <= 1.0) return 'Bueno 👍';
-    if (ratio > 1.0 && ratio <= 2.0) return 'Regular 😐';
-    if (ratio > 2.0 && ratio <= 5.0) return 'Malo 🚩';
-    return 'Pésimo 🚨';
+  const formatBandLimit = (limit, definition) => {
+    const bandFormat = definition.bandFormat || definition.format;
+    if (bandFormat === 'percentage') return `${formatLocalizedNumber(parseFloat((limit * 100).toFixed(2)), numberPreferences.numberFormat)}%`;
+    if (bandFormat === 'days') return t('units.days', { value: formatLocalizedNumber(parseFloat(limit.toFixed(1)), numberPreferences.numberFormat) });
+    return `${formatLocalizedNumber(limit, numberPreferences.numberFormat, { fractionDigits: 2 })}${definition.bandSuffix || ''}`;
   };
 
   /**
-   * Returns the interpretation string and emoji for Debt-to-Assets Ratio.
-   * @param {number} ratio - The calculated Debt-to-Assets Ratio.
-   * @returns {string} - Interpretation string.
+   * Formats the period-over-period change of a value. Percentages are shown in
+   * percentage points (p.p.).
+   * @param {number} change - The difference between the current and previous value.
+   * @param {string} format - 'ratio', 'percentage', 'currency' or 'days'.
+   * @returns {string} - The signed formatted change.
    */
-  const getDebtToAssetsInterpretation = (ratio) => {
-    if (typeof ratio !== 'number' || isNaN(ratio)) return '';
-    if (ratio < 0.30) return 'Excelente 🚀';
-    if (ratio >= 0.30 && ratio <= 0.50) return 'Bueno 👍';
-    if (ratio > 0.50 && ratio <= 0.70) return 'Regular 😐';
-    if (ratio > 0.70 && ratio <= 0.90) return 'Malo 🚩';
-    return 'Pésimo 🚨';
+  const formatTrendChange = (change, format) => {
+    const sign = change > 0 ? '+' : '';
+    const { numberFormat } = numberPreferences;
+    if (format === 'days') return t('units.days', { value: `${sign}${formatLocalizedNumber(change, numberFormat, { fractionDigits: 1 })}` });
+    if (format === 'percentage') return `${sign}${formatLocalizedNumber(change * 100, numberFormat, { fractionDigits: 2 })} p.p.`;
+    if (format === 'currency') return `${sign}${formatLocalizedNumber(change / getUnitScale(numberPreferences.unitScale).factor, numberFormat)}`;
+    return `${sign}${formatLocalizedNumber(change, numberFormat, { fractionDigits: 2 })}`;
   };
 
 
   /**
-   * Handles numeric input changes for display, allowing commas for thousands.
-   * Stores the raw numeric string (without commas) in state for calculations.
-   * @param {object} e - The event object from the input.
-   * @param {function} setter - The state setter function for the specific input.
+   * Switches the interface language and persists the choice. The current results
+   * are analyzed again so their interpretations and messages follow the new language.
+   * @param {object} e - The event object from the select.
    */
-  const handleDisplayNumericInputChange = (e, setter) => {
-    const inputVal = e.target.value;
-    // Allow digits, a single decimal point, and negative sign. Remove commas.
-    const cleanedForStorage = inputVal.replace(/,/g, '').replace(/[^0-9.-]/g, '');
-    setter(cleanedForStorage); // Store the cleaned, unformatted number string
+  const handleLanguageChange = (e) => {
+    const languageKey = e.target.value;
+    setLanguage(languageKey);
+    saveLanguage(languageKey);
+    if (analysis) {
+      setAnalysis(analyzeBalanceSheet(figures, { thresholds: getActiveProfile().thresholds, periodDays, t: createTranslator(languageKey) }));
+    }
   };
 
   /**
-   * Formats a raw numeric string for display with thousand separators and conditional decimal places.
-   * Uses 'en-US' locale for consistent comma thousands separator and dot decimal separator.
-   * @param {string} numValue - The raw numeric string (e.g., "1234567.89") from state.
-   * @returns {string} - The formatted string (e.g., "1,234,567.89" or "1,234,567").
+   * Updates the number format or unit scale and persists the choice.
+   * @param {object} changes - The preferences to change ({numberFormat} and/or {unitScale}).
    */
-  const formatDisplayNumber = (numValue) => {
-    // Ensure numValue is safely converted to a string to use .includes()
-    const numString = String(numValue);
+  const handleNumberPreferencesChange = (changes) => {
+    const nextPreferences = { ...numberPreferences, ...changes };
+    setNumberPreferences(nextPreferences);
+    saveNumberPreferences(nextPreferences);
+  };
 
-    if (numString === '') return ''; // Handle empty input gracefully
+  /**
+   * Returns the factor that turns a typed figure into units: the unit scale for
+   * amounts, and 1 for per-share figures and share counts (see INPUT_FIELDS).
+   * @param {string} [fieldKey] - The key of the figure; amounts when omitted.
+   * @returns {number} - The scale factor.
+   */
+  const getFieldScaleFactor = (fieldKey) => {
+    const field = INPUT_FIELDS.find((candidate) => candidate.key === fieldKey);
+    return field && field.unit ? 1 : getUnitScale(numberPreferences.unitScale).factor;
+  };
 
-    // Convert to number for formatting, but keep original string to check for explicit decimals
-    const num = parseFloat(numString);
-    if (isNaN(num)) return numString; // Return original string if not a valid number yet (e.g., just a '-')
+  /**
+   * Handles numeric input changes. The text is parsed with the chosen number format
+   * (accounting negatives like "(1,234)" included) and multiplied by the field's
+   * scale factor, so the state always holds the figure in units as a plain numeric string.
+   * @param {object} e - The event object from the input.
+   * @param {string} fieldKey - The key of the figure being edited (see INPUT_FIELDS).
+   */
+  const handleDisplayNumericInputChange = (e, fieldKey) => {
+    const inputVal = e.target.value.replace(/[^0-9.,()\s-]/g, '');
+    const value = parseLocalizedNumber(inputVal, numberPreferences.numberFormat);
+    let storedValue = inputVal.trim(); // Incomplete text (e.g. a lone '-') is kept so validation can flag it
+    if (!isNaN(value)) storedValue = String(scaleAmount(value, getFieldScaleFactor(fieldKey)));
+    setEditingField(fieldKey);
+    setEditingText(inputVal);
+    setFigures((prevFigures) => ({ ...prevFigures, [fieldKey]: storedValue }));
+  };
 
-    // Check if the original string explicitly contains a decimal point
-    const hasCentsExplicitly = numString.includes('.');
+  /**
+   * Formats a raw numeric string for an input field, in the chosen number format
+   * and the field's scale.
+   * @param {string} numValue - The raw numeric string in units (e.g., "1234567.89") from state.
+   * @param {string} fieldKey - The key of the figure (see INPUT_FIELDS).
+   * @returns {string} - The formatted string (e.g., "1,234,567.89", or "1.23" in millions).
+   */
+  const formatDisplayNumber = (numValue, fieldKey) => {
+    const num = Number(numValue);
+    if (numValue === '' || isNaN(num)) return String(numValue); // Not a valid number yet (e.g., just a '-' or '1,5')
+    return formatLocalizedNumber(num / getFieldScaleFactor(fieldKey), numberPreferences.numberFormat);
+  };
 
-    return num.toLocaleString('en-US', { // Explicitly set locale to en-US for comma thousands and dot decimal
-      minimumFractionDigits: hasCentsExplicitly ? 2 : 0, // Show 2 decimal places if '.' was entered, else 0
-      maximumFractionDigits: 2 // Always limit to 2 decimal places
-    });
+  /**
+   * Formats an amount for the results and reports: chosen number format and unit
+   * scale, with negatives in parentheses.
+   * @param {number|string} value - The amount in units.
+   * @param {string} [fieldKey] - The entered figure the amount belongs to, for figures
+   *   that are not in the unit scale (see getFieldScaleFactor).
+   * @returns {string} - The formatted amount (e.g., "(1,234.50)").
+   */
+  const formatAmount = (value, fieldKey) => {
+    const num = parseFloat(value);
+    if (isNaN(num)) return String(value);
+    return formatLocalizedNumber(num / getFieldScaleFactor(fieldKey), numberPreferences.numberFormat, { accounting: true });
   };
 
   /**
-   * Formats a date string from 'YYYY-MM-DD' to 'DD-MMM-YYYY'.
-   * @param {string} dateString - The date in 'DD-MMM-YYYY' format.
-   * @returns {string} - The formatted date in 'DD-MMM-YYYY' format.
+   * Formats a report date as 'DD-MMM-YYYY' with the month abbreviation of the
+   * selected language.
+   * @param {string} dateString - The date in 'YYYY-MM-DD' or 'DD-MMM-YYYY' format.
+   * @returns {string} - The formatted date, or '' if it is not a valid date.
    */
-  const formatDateForDisplay = (dateString) => {
-    if (!dateString) return '';
-    // Simple parsing for DD-MMM-YYYY. Assumes valid input.
-    const parts = dateString.split('-');
-    if (parts.length === 3) {
-      const [day, monthStr, year] = parts;
-      const monthNames = {
-        'ene': '01', 'feb': '02', 'mar': '03', 'abr': '04', 'may': '05', 'jun': '06',
-        'jul': '07', 'ago': '08', 'sep': '09', 'oct': '10', 'nov': '11', 'dic': '12'
+  const formatDateForDisplay = (dateString) => formatReportDate(dateString, t('dates.monthsShort'));
+
+  /**
+   * Returns how amounts in a currency are converted into the reporting currency,
+   * using the exchange rate in effect on the report date.
+   * @param {string} fromCurrency - Currency of the figures.
+   * @param {string} dateString - Report date of the figures.
+   * @returns {{currency: string, rate: number|null, effectiveDate: string, error: string}|null} - The
+   *   conversion (with `error` set when no rate applies), or null when no conversion is needed.
+   */
+  const getConversion = (fromCurrency, dateString) => {
+    if (!reportingCurrency || reportingCurrency === fromCurrency) return null;
+    const date = parseReportDate(dateString);
+    const match = findExchangeRate(exchangeRates, fromCurrency, reportingCurrency, date ? toIsoDate(date) : undefined);
+    if (!match) {
+      return {
+        currency: reportingCurrency,
+        rate: null,
+        effectiveDate: '',
+        error: dateString
+          ? t('results.noExchangeRateOnDate', { from: fromCurrency, to: reportingCurrency, date: formatDateForDisplay(dateString) })
+          : t('results.noExchangeRate', { from: fromCurrency, to: reportingCurrency }),
       };
-      const monthNum = monthNames[monthStr.toLowerCase()];
-      if (monthNum) {
-        return `${day}-${monthStr}-${year}`; // Return as is if already in desired format
-      }
     }
-    // Fallback for YYYY-MM-DD from date picker or other formats
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return dateString; // Invalid date string
+    return { currency: reportingCurrency, ...match, error: '' };
+  };
 
-    const day = String(date.getDate()).padStart(2, '0');
-    const month = date.getMonth(); // 0-11
-    const year = date.getFullYear();
-    const monthNamesShort = ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'];
-    return `${day}-${monthNamesShort[month]}-${year}`;
+  /**
+   * Formats an amount converted into the reporting currency.
+   * @param {number|string} value - The amount in the original currency.
+   * @param {object} conversion - The conversion (see getConversion).
+   * @param {string} [fieldKey] - The entered figure the amount belongs to (see formatAmount).
+   * @returns {string} - The converted amount (e.g., '8,823,529.41 USD'), in the chosen unit scale.
+   */
+  const formatConvertedAmount = (value, conversion, fieldKey) =>
+    `${formatAmount(parseFloat((parseFloat(value) * conversion.rate).toFixed(2)), fieldKey)} ${conversion.currency}`;
+
+  /**
+   * Updates the exchange rate table and persists it.
+   * @param {Array<object>} nextRates - The new table.
+   */
+  const handleExchangeRatesChange = (nextRates) => {
+    setExchangeRates(nextRates);
+    saveExchangeRates(nextRates);
   };
 
   /**
-   * Formats a date string to a long date format (e.g., "Viernes 22 de agosto de 2025, 4:17 p.m.").
-   * @param {string} dateString - The date in 'DD-MMM-YYYY' format.
-   * @returns {string} - The formatted long date string.
+   * Formats a report date as a long date in the selected language (e.g., "martes,
+   * 31 de diciembre de 2024"). Balance sheet dates have no time of day.
+   * @param {string} dateString - The date in 'YYYY-MM-DD' or 'DD-MMM-YYYY' format.
+   * @returns {string} - The formatted long date string, or '' if it is not a valid date.
    */
   const formatLongDateForPrint = (dateString) => {
-    if (!dateString) return '';
-    
-    // Attempt to parse DD-MMM-YYYY first
-    const parts = dateString.split('-');
-    let date;
-    if (parts.length === 3) {
-        const [day, monthStr, year] = parts;
-        const monthNamesMap = {
-            'ene': 0, 'feb': 1, 'mar': 2, 'abr': 3, 'may': 4, 'jun': 5,
-            'jul': 6, 'ago': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dic': 11
-        };
-        const monthIndex = monthNamesMap[monthStr.toLowerCase()];
-        if (monthIndex !== undefined) {
-            date = new Date(year, monthIndex, day);
-        }
-    }
-    
-    // Fallback to default Date parsing if DD-MMM-YYYY failed or was not the format
-    if (!date || isNaN(date.getTime())) {
-        date = new Date(dateString);
-    }
-
-    if (isNaN(date.getTime())) return dateString; // Invalid date string
+    const date = parseReportDate(dateString);
+    if (!date) return '';
 
-    const options = { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric', 
-        hour: 'numeric', 
-        minute: 'numeric', 
-        hour12: true 
+    const options = {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
     };
-    return date.toLocaleDateString('es-ES', options);
+    return date.toLocaleDateString(getLanguage(language).locale, options);
   };
 
-
   /**
-   * Handles date input in 'DD-MMM-YYYY' format.
+   * Handles typed report dates ('DD-MMM-YYYY' or 'YYYY-MM-DD'). The text is kept as
+   * typed while editing; valid dates are stored as 'YYYY-MM-DD'.
    * @param {object} e - The event object from the input.
    */
   const handleDateInputChange = (e) => {
     const inputVal = e.target.value;
-    setReportDate(inputVal);
+    setEditingField('reportDate');
+    setEditingText(inputVal);
+    setReportDate(normalizeReportDate(inputVal));
   };
 
   /**
-   * Calculates the financial ratios based on user inputs.
+   * Handles a date chosen with the calendar picker ('YYYY-MM-DD', or '' when cleared).
+   * @param {object} e - The event object from the date input.
    */
-  const calculateRatios = () => {
-    setError('');
-    setCurrentRatio(null);
-    setQuickRatio(null);
-    setDebtToEquityRatio(null);
-    setDebtToAssetsRatio(null);
-    setCurrentRatioInterpretation('');
-    setQuickRatioInterpretation('');
-    setDebtToEquityInterpretation('');
-    setDebtToAssetsInterpretation('');
-
-    const numCurrentAssets = parseFloat(currentAssets);
-    const numCurrentLiabilities = parseFloat(currentLiabilities);
-    const numTotalAssets = parseFloat(totalAssets);
-    const numTotalLiabilities = parseFloat(totalLiabilities);
-    const numShareholdersEquity = parseFloat(shareholdersEquity);
-    const numInventory = parseFloat(inventory); // Get inventory for Quick Ratio
-
-    // Basic validation for all required fields
-    if (isNaN(numCurrentAssets) || isNaN(numCurrentLiabilities) || isNaN(numTotalAssets) ||
-        isNaN(numTotalLiabilities) || isNaN(numShareholdersEquity) || isNaN(numInventory)) {
-      setError('Por favor, ingrese valores numéricos válidos en todos los campos.');
-      return;
-    }
+  const handleDatePickerChange = (e) => {
+    setEditingField(null);
+    setReportDate(e.target.value);
+  };
 
-    // --- Liquidez Ratios ---
-    // Current Ratio
-    let calculatedCurrentRatio = null;
-    if (numCurrentLiabilities !== 0) {
-      calculatedCurrentRatio = (numCurrentAssets / numCurrentLiabilities);
-      setCurrentRatio(calculatedCurrentRatio.toFixed(2));
-      setCurrentRatioInterpretation(getCurrentRatioInterpretation(calculatedCurrentRatio));
-    } else {
-      setCurrentRatio('N/A');
-      setCurrentRatioInterpretation('Pasivos Circulantes es cero');
+  /**
+   * Updates the fiscal period metadata.
+   * @param {object} changes - The fields to change ({periodType}, {fiscalYearEnd} and/or {auditStatus}).
+   */
+  const handleFiscalPeriodChange = (changes) => {
+    const nextFiscalPeriod = { ...fiscalPeriod, ...changes };
+    setFiscalPeriod(nextFiscalPeriod);
+    if (analysis && nextFiscalPeriod.periodType !== fiscalPeriod.periodType) {
+      // Ratios in days depend on the length of the period
+      setAnalysis(analyzeBalanceSheet(figures, {
+        thresholds: getActiveProfile().thresholds,
+        periodDays: getPeriodDays(nextFiscalPeriod.periodType),
+        t,
+      }));
     }
+  };
 
-    // Quick Ratio
-    let calculatedQuickRatio = null;
-    if (numCurrentLiabilities !== 0) {
-      calculatedQuickRatio = ((numCurrentAssets - numInventory) / numCurrentLiabilities);
-      setQuickRatio(calculatedQuickRatio.toFixed(2));
-      setQuickRatioInterpretation(getQuickRatioInterpretation(calculatedQuickRatio));
-    } else {
-      setQuickRatio('N/A');
-      setQuickRatioInterpretation('Pasivos Circulantes es cero');
+  // A report date that was typed but is not a valid date blocks the calculation
+  const hasInvalidReportDate = reportDate !== '' && !parseReportDate(reportDate);
+
+  // Length of the report's period, for the ratios expressed in days
+  const periodDays = getPeriodDays(fiscalPeriod.periodType);
+
+  /**
+   * Validates the current figures (see validateFigures) with the configured balance tolerance.
+   * @param {object} [figuresToValidate] - Figures to validate; defaults to the form.
+   * @returns {object} - The validation result.
+   */
+  const validateCurrentFigures = (figuresToValidate = figures) => {
+    const tolerancePercentage = parseFloat(balanceTolerance);
+    return validateFigures(figuresToValidate, {
+      balanceTolerance: isNaN(tolerancePercentage) || tolerancePercentage < 0
+        ? DEFAULT_BALANCE_TOLERANCE
+        : tolerancePercentage / 100,
+      numberFormat: numberPreferences.numberFormat,
+      formatAmount: (value) => formatAmount(value),
+      t,
+    });
+  };
+
+  /**
+   * Calculates the financial ratios based on user inputs. Nothing is calculated
+   * while the validation reports errors; they are shown next to each field.
+   */
+  const calculateRatios = () => {
+    setShowValidation(true);
+    if (validateCurrentFigures().hasErrors || hasInvalidReportDate) {
+      setError('');
+      setAnalysis(null);
+      return;
     }
+    const result = analyzeBalanceSheet(figures, { thresholds: getActiveProfile().thresholds, periodDays, t });
+    setError(result.error || '');
+    setAnalysis(result.error ? null : result);
+  };
 
+  /**
+   * Changes the sector and re-interprets the current results with its bands.
+   * @param {object} e - The event object from the select.
+   */
+  const handleSectorChange = (e) => {
+    const sectorKey = e.target.value;
+    setSelectedSector(sectorKey);
+    if (analysis) {
+      setAnalysis(analyzeBalanceSheet(figures, { thresholds: getActiveProfile(sectorKey).thresholds, periodDays, t }));
+    }
+  };
 
-    // --- Solvencia / Apalancamiento Ratios ---
-    // Debt-to-Equity Ratio
-    let calculatedDebtToEquityRatio = null;
-    if (numShareholdersEquity !== 0) {
-      calculatedDebtToEquityRatio = (numTotalLiabilities / numShareholdersEquity);
-      setDebtToEquityRatio(calculatedDebtToEquityRatio.toFixed(2));
-      setDebtToEquityInterpretation(getDebtToEquityInterpretation(calculatedDebtToEquityRatio));
-    } else {
-      setDebtToEquityRatio('N/A');
-      setDebtToEquityInterpretation('Patrimonio Neto es cero');
+  /**
+   * Saves (creates or updates) a custom threshold profile and makes it active.
+   * @param {object} profile - The profile to save.
+   */
+  const handleSaveProfile = (profile) => {
+    const nextProfiles = [...customProfiles.filter((p) => p.key !== profile.key), profile];
+    setCustomProfiles(nextProfiles);
+    saveCustomProfiles(nextProfiles);
+    setSelectedSector(profile.key);
+    if (analysis) {
+      setAnalysis(analyzeBalanceSheet(figures, { thresholds: { ...DEFAULT_THRESHOLDS, ...profile.thresholds }, periodDays, t }));
     }
+  };
 
-    // Debt-to-Assets Ratio
-    let calculatedDebtToAssetsRatio = null;
-    if (numTotalAssets !== 0) {
-      calculatedDebtToAssetsRatio = (numTotalLiabilities / numTotalAssets);
-      setDebtToAssetsRatio(calculatedDebtToAssetsRatio.toFixed(2));
-      setDebtToAssetsInterpretation(getDebtToAssetsInterpretation(calculatedDebtToAssetsRatio));
-    } else {
-      setDebtToAssetsRatio('N/A');
-      setDebtToAssetsInterpretation('Activos Totales es cero');
+  /**
+   * Deletes a custom threshold profile and falls back to the general thresholds.
+   * @param {string} profileKey - Key of the profile to delete.
+   */
+  const handleDeleteProfile = (profileKey) => {
+    const nextProfiles = customProfiles.filter((profile) => profile.key !== profileKey);
+    setCustomProfiles(nextProfiles);
+    saveCustomProfiles(nextProfiles);
+    setSelectedSector('general');
+    if (analysis) {
+      setAnalysis(analyzeBalanceSheet(figures, { thresholds: getSectorThresholds('general'), periodDays, t }));
     }
   };
 
@@ -312,33 +509,451 @@ const App = () => {
     setCompanyTicker('');
     setSelectedCurrency('USD'); // Reset currency
     setReportDate('');
-    setCurrentAssets('');
-    setCurrentLiabilities('');
-    setTotalAssets('');
-    setTotalLiabilities('');
-    setShareholdersEquity('');
-    setInventory('');
-    setCurrentRatio(null);
-    setQuickRatio(null);
-    setDebtToEquityRatio(null);
-    setDebtToAssetsRatio(null);
-    setCurrentRatioInterpretation('');
-    setQuickRatioInterpretation('');
-    setDebtToEquityInterpretation('');
-    setDebtToAssetsInterpretation('');
+    setFiscalPeriod(DEFAULT_FISCAL_PERIOD);
+    setEditingField(null);
+    setFigures(createEmptyFigures());
+    setAnalysis(null);
     setError('');
+    setShowValidation(false);
+    setActiveAnalysisId(null);
+    setStatusMessage('');
+    setShareUrl('');
+    if (window.location.hash) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search); // So reloading does not reopen a shared link
+    }
   };
 
   /**
-   * Handles printing the report using an iframe to ensure content is rendered.
+   * Saves the weights of the composite health score.
+   * @param {object} weights - Map of ratio key to weight.
    */
-  const handlePrint = () => {
-    const resultsContent = document.getElementById('printable-content-results'); // Only the results part
-    const ratioGuideContent = document.getElementById('ratio-interpretation-ranges'); // The guide
-    const finalDisclaimerContent = document.getElementById('final-disclaimer-section'); // The final disclaimer
+  const handleSaveScoreWeights = (weights) => {
+    setScoreWeights(weights);
+    saveScoreWeights(weights);
+  };
 
-    if (!resultsContent) {
-      console.error('No se encontró el elemento #printable-content-results para imprimir.');
+  /**
+   * Updates the saved analyses library and persists it.
+   * @param {Array<object>} nextAnalyses - The new list of saved analyses.
+   */
+  const updateSavedAnalyses = (nextAnalyses) => {
+    setSavedAnalyses(nextAnalyses);
+    persistSavedAnalyses(nextAnalyses);
+  };
+
+  /**
+   * Saves the current form in the library. Saving again updates the same analysis.
+   */
+  const handleSaveAnalysis = () => {
+    if (validateCurrentFigures().hasErrors || hasInvalidReportDate) {
+      setShowValidation(true);
+      return;
+    }
+    const result = analyzeBalanceSheet(figures, { periodDays, t });
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    const { analyses: nextAnalyses, record } = upsertAnalysis(savedAnalyses, {
+      companyTicker, reportDate, fiscalPeriod, currency: selectedCurrency, sector: selectedSector, figures,
+    }, activeAnalysisId, t);
+    updateSavedAnalyses(nextAnalyses);
+    setActiveAnalysisId(record.id);
+    setError('');
+    setStatusMessage(t('messages.analysisSaved', { name: record.name }));
+  };
+
+  /**
+   * Reopens a saved analysis into the form and shows its results.
+   * @param {object} record - The saved analysis.
+   */
+  const handleOpenAnalysis = (record) => {
+    const recordFigures = { ...createEmptyFigures(), ...record.figures };
+    const recordSector = getActiveProfile(record.sector).profile.key;
+    setCompanyTicker(record.companyTicker);
+    setSelectedCurrency(record.currency);
+    setReportDate(normalizeReportDate(record.reportDate));
+    setFiscalPeriod({ ...DEFAULT_FISCAL_PERIOD, ...record.fiscalPeriod });
+    setEditingField(null);
+    setSelectedSector(recordSector);
+    setFigures(recordFigures);
+    setActiveAnalysisId(record.id);
+    setStatusMessage('');
+    setShowValidation(true);
+    const result = analyzeBalanceSheet(recordFigures, {
+      thresholds: getActiveProfile(recordSector).thresholds,
+      periodDays: getPeriodDays(record.fiscalPeriod?.periodType),
+      t,
+    });
+    setError(result.error || '');
+    setAnalysis(result.error ? null : result);
+  };
+
+  /**
+   * Loads the form state of a shareable link and shows its results. The link's
+   * language is used without replacing the one saved in this browser.
+   * @param {object} state - The form state (see readShareHash).
+   */
+  const applySharedState = (state) => {
+    const linkT = createTranslator(state.language);
+    const { profile, thresholds } = getActiveProfile(state.sector);
+    const stateFigures = { ...createEmptyFigures(), ...state.figures };
+    setLanguage(state.language);
+    setCompanyTicker(state.companyTicker);
+    setSelectedCurrency(state.currency);
+    setReportDate(state.reportDate);
+    setFiscalPeriod(state.fiscalPeriod);
+    setEditingField(null);
+    setSelectedSector(profile.key);
+    setFigures(stateFigures);
+    setActiveAnalysisId(null);
+    setStatusMessage(profile.key === state.sector ? '' : linkT('share.unknownProfile', { profile: state.sector }));
+    setShowValidation(true);
+    const result = analyzeBalanceSheet(stateFigures, { thresholds, periodDays: getPeriodDays(state.fiscalPeriod.periodType), t: linkT });
+    setError(result.error || '');
+    setAnalysis(result.error ? null : result);
+  };
+
+  // Opens the analysis of a shareable link, on load and when a link is pasted into this tab.
+  // The listener is registered once and reaches the latest applySharedState through a ref.
+  const applySharedStateRef = useRef(applySharedState);
+  useEffect(() => {
+    applySharedStateRef.current = applySharedState;
+  });
+  useEffect(() => {
+    const handleHashChange = () => {
+      const state = readShareHash(window.location.hash);
+      if (state) applySharedStateRef.current(state);
+    };
+    handleHashChange();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  /**
+   * Copies a link that opens the current form on any browser.
+   */
+  const handleCopyLink = async () => {
+    const url = buildShareUrl(window.location.href, {
+      companyTicker, currency: selectedCurrency, reportDate, fiscalPeriod, sector: selectedSector, language, figures,
+    });
+    setShareUrl(url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatusMessage(t('share.linkCopied'));
+    } catch {
+      setStatusMessage(t('share.copyManually')); // Clipboard unavailable (e.g. permission denied): the link is shown below
+    }
+  };
+
+  /**
+   * Deletes a saved analysis, detaching the form from it if it was open.
+   * @param {string} id - Id of the analysis to delete.
+   */
+  const handleDeleteAnalysis = (id) => {
+    updateSavedAnalyses(deleteAnalysis(savedAnalyses, id));
+    if (id === activeAnalysisId) setActiveAnalysisId(null);
+    setSelectedAnalysisIds((prevIds) => prevIds.filter((selectedId) => selectedId !== id));
+  };
+
+  /**
+   * Checks or unchecks a saved analysis for export.
+   * @param {string} id - Id of the saved analysis.
+   */
+  const handleToggleAnalysisSelection = (id) => {
+    setSelectedAnalysisIds((prevIds) => (prevIds.includes(id)
+      ? prevIds.filter((selectedId) => selectedId !== id)
+      : [...prevIds, id]));
+  };
+
+  /**
+   * Builds the export record of a saved analysis, interpreted with its own sector or profile.
+   * @param {object} record - The saved analysis.
+   * @returns {object} - The export record.
+   */
+  const buildSavedExportRecord = (record) => {
+    const { profile, thresholds } = getActiveProfile(record.sector);
+    const recordFigures = { ...createEmptyFigures(), ...record.figures };
+    return buildExportRecord({
+      companyTicker: record.companyTicker,
+      reportDate: normalizeReportDate(record.reportDate),
+      fiscalPeriod: { ...DEFAULT_FISCAL_PERIOD, ...record.fiscalPeriod },
+      currency: record.currency,
+      sectorLabel: profile.label,
+      figures: recordFigures,
+      analysis: analyzeBalanceSheet(recordFigures, { thresholds, periodDays: getPeriodDays(record.fiscalPeriod?.periodType), t }),
+      conversion: getConversion(record.currency, record.reportDate),
+    });
+  };
+
+  /**
+   * Downloads analyses as CSV, JSON or XLSX.
+   * @param {Array<object>} records - Export records (see buildExportRecord).
+   * @param {string} format - 'csv', 'json' or 'xlsx'.
+   */
+  const exportRecords = async (records, format) => {
+    const filename = getExportFileName(records, format, t);
+    if (format === 'json') {
+      downloadTextFile(exportToJson(records), filename, 'application/json');
+    } else if (format === 'csv') {
+      downloadTextFile(exportToCsv(records, t), filename, 'text/csv;charset=utf-8');
+    } else {
+      // The spreadsheet writer is only loaded when an XLSX export is requested
+      const { default: writeExcelFile } = await import('write-excel-file/browser');
+      downloadTextFile(await writeExcelFile(buildXlsxSheets(records, t)).toBlob(), filename);
+    }
+  };
+
+  /**
+   * Exports the analysis currently shown in the results.
+   * @param {string} format - 'csv', 'json' or 'xlsx'.
+   */
+  const handleExportCurrent = (format) => {
+    exportRecords([buildExportRecord({
+      companyTicker,
+      reportDate,
+      fiscalPeriod,
+      currency: selectedCurrency,
+      sectorLabel: getActiveProfile().profile.label,
+      figures: applyMarketDataValue(figures),
+      analysis,
+      conversion: getConversion(selectedCurrency, reportDate),
+    })], format);
+  };
+
+  /**
+   * Exports the saved analyses checked in the library, in library order.
+   * @param {string} format - 'csv', 'json' or 'xlsx'.
+   */
+  const handleExportSelected = (format) => {
+    const records = savedAnalyses
+      .filter((record) => selectedAnalysisIds.includes(record.id))
+      .map(buildSavedExportRecord);
+    if (records.length > 0) exportRecords(records, format);
+  };
+
+  /**
+   * Saves the current form as a period of the current ticker. A period with the
+   * same report date replaces the existing one. Periods are kept in chronological order.
+   */
+  const handleAddPeriod = () => {
+    if (!reportDate || !parseReportDate(reportDate)) {
+      setError(t('periods.invalidDate'));
+      return;
+    }
+    if (periods.length > 0 && periods[0].companyTicker !== companyTicker) {
+      setError(t('periods.otherCompany', { ticker: periods[0].companyTicker || t('periods.otherCompanyFallback') }));
+      return;
+    }
+    setError('');
+    const newPeriod = { companyTicker, reportDate, fiscalPeriod, figures };
+    setPeriods((prevPeriods) => [
+      ...prevPeriods.filter((period) => period.reportDate !== reportDate),
+      newPeriod,
+    ].sort((a, b) => parseReportDate(a.reportDate) - parseReportDate(b.reportDate)));
+  };
+
+  /**
+   * Loads a saved period back into the form.
+   * @param {object} period - The period to load.
+   */
+  const handleLoadPeriod = (period) => {
+    setReportDate(period.reportDate);
+    setFiscalPeriod(period.fiscalPeriod);
+    setEditingField(null);
+    setFigures({ ...createEmptyFigures(), ...period.figures });
+  };
+
+  /**
+   * Removes a saved period.
+   * @param {string} periodReportDate - Report date of the period to remove.
+   */
+  const handleRemovePeriod = (periodReportDate) => {
+    setPeriods((prevPeriods) => prevPeriods.filter((period) => period.reportDate !== periodReportDate));
+  };
+
+  /**
+   * Converts imported amounts, entered in the chosen unit scale, into units.
+   * Per-share figures and share counts are kept as imported.
+   * @param {object} importedFigures - Imported figures as numeric strings.
+   * @returns {object} - The figures in units.
+   */
+  const scaleImportedFigures = (importedFigures) => Object.fromEntries(Object.entries(importedFigures).map(
+    ([key, value]) => [key, String(scaleAmount(parseFloat(value), getFieldScaleFactor(key)))]
+  ));
+
+  /**
+   * Loads one imported period into the form. Only the imported fields are replaced,
+   * and the period label becomes the report date when it is a valid date.
+   * @param {{label: string, figures: object}} importedPeriod - The imported period.
+   */
+  const handleImportLoadPeriod = (importedPeriod) => {
+    setFigures((prevFigures) => ({ ...prevFigures, ...scaleImportedFigures(importedPeriod.figures) }));
+    if (parseReportDate(importedPeriod.label)) {
+      setReportDate(normalizeReportDate(importedPeriod.label));
+      setEditingField(null);
+    }
+    setError('');
+    setStatusMessage(t('periods.importedIntoForm', { label: importedPeriod.label }));
+  };
+
+  /**
+   * Loads the fields confirmed in the paste-to-fill preview into the form.
+   * @param {object} pastedFigures - Figures as numeric strings, in the chosen unit scale.
+   */
+  const handlePasteToFillApply = (pastedFigures) => {
+    setFigures((prevFigures) => ({ ...prevFigures, ...scaleImportedFigures(pastedFigures) }));
+    setEditingField(null);
+    setError('');
+    setStatusMessage(t('pasteToFill.applied', { count: Object.keys(pastedFigures).length }));
+  };
+
+  /**
+   * Adds every imported period to the multi-period analysis. Periods whose label
+   * is not a valid date cannot be placed on the timeline and are reported.
+   * @param {Array<{label: string, figures: object}>} importedPeriods - The imported periods.
+   */
+  const handleImportAddPeriods = (importedPeriods) => {
+    if (periods.length > 0 && periods[0].companyTicker !== companyTicker) {
+      setError(t('periods.otherCompany', { ticker: periods[0].companyTicker || t('periods.otherCompanyFallback') }));
+      return;
+    }
+    const datedPeriods = importedPeriods.filter((importedPeriod) => parseReportDate(importedPeriod.label));
+    const skippedLabels = importedPeriods
+      .filter((importedPeriod) => !parseReportDate(importedPeriod.label))
+      .map((importedPeriod) => importedPeriod.label);
+    const importedDates = datedPeriods.map((importedPeriod) => normalizeReportDate(importedPeriod.label));
+
+    setPeriods((prevPeriods) => [
+      ...prevPeriods.filter((period) => !importedDates.includes(period.reportDate)),
+      ...datedPeriods.map((importedPeriod) => ({
+        companyTicker,
+        reportDate: normalizeReportDate(importedPeriod.label),
+        fiscalPeriod,
+        figures: { ...createEmptyFigures(), ...scaleImportedFigures(importedPeriod.figures) },
+      })),
+    ].sort((a, b) => parseReportDate(a.reportDate) - parseReportDate(b.reportDate)));
+    setError(skippedLabels.length > 0
+      ? t('periods.skippedUndated', { labels: skippedLabels.join(', ') })
+      : '');
+    setStatusMessage(datedPeriods.length > 0 ? t('periods.imported', { count: datedPeriods.length }) : '');
+  };
+
+  /**
+   * Builds the trend table rows: one per ratio with at least one computable value,
+   * with each period's value, interpretation and change versus the previous period.
+   * @returns {Array<object>} - Rows of { definition, cells }.
+   */
+  const buildTrendRows = () => {
+    const { thresholds } = getActiveProfile();
+    const periodAnalyses = periods.map((period) => analyzeBalanceSheet(period.figures, {
+      thresholds,
+      periodDays: getPeriodDays(period.fiscalPeriod?.periodType),
+      t,
+    }));
+    return RATIO_DEFINITIONS
+      .map((definition) => {
+        let previous = null;
+        const cells = periodAnalyses.map((periodAnalysis) => {
+          const value = periodAnalysis.ratios[definition.key] ?? null;
+          const interpretation = value === null ? '' : periodAnalysis.interpretations[definition.key];
+          const cell = { value, interpretation, change: null, bandChange: 0 };
+          if (previous && previous.value !== null && value !== null) {
+            cell.change = value - previous.value;
+            const previousRank = getInterpretationRank(previous.interpretation);
+            const currentRank = getInterpretationRank(interpretation);
+            if (previousRank !== -1 && currentRank !== -1) cell.bandChange = currentRank - previousRank;
+          }
+          previous = cell;
+          return cell;
+        });
+        return { definition, cells };
+      })
+      .filter((row) => row.cells.some((cell) => cell.value !== null));
+  };
+
+  /**
+   * Returns the companies of the peer comparison: the current form (if it has
+   * results and is included) followed by the saved analyses checked in the library.
+   * All of them are interpreted with the active profile so they are comparable, and
+   * their amounts are converted into the reporting currency when a rate applies.
+   * @returns {Array<object>} - Companies of { id, label, reportDate, currency, analysis }.
+   */
+  const buildPeerCompanies = () => {
+    const { thresholds } = getActiveProfile();
+    const toCompany = (id, label, companyFigures, companyCurrency, companyReportDate, companyPeriodType) => {
+      const conversion = getConversion(companyCurrency, companyReportDate);
+      const isConverted = Boolean(conversion && conversion.rate);
+      return {
+        id,
+        label,
+        reportDate: companyReportDate,
+        currency: isConverted ? conversion.currency : companyCurrency,
+        analysis: analyzeBalanceSheet(isConverted ? convertFigures(companyFigures, conversion.rate) : companyFigures, {
+          thresholds,
+          periodDays: getPeriodDays(companyPeriodType),
+          t,
+        }),
+      };
+    };
+    const companies = savedAnalyses
+      .filter((record) => selectedAnalysisIds.includes(record.id))
+      .map((record) => toCompany(record.id, record.companyTicker || record.name,
+        { ...createEmptyFigures(), ...record.figures }, record.currency, record.reportDate, record.fiscalPeriod?.periodType))
+      .filter((company) => !company.analysis.error);
+    if (includeCurrentInComparison && analysis && !error) {
+      companies.unshift(toCompany('current', companyTicker || t('comparison.currentForm'), figures, selectedCurrency, reportDate, fiscalPeriod.periodType));
+    }
+    return companies;
+  };
+
+  /**
+   * Formats a value of the peer comparison; amounts use the company's currency.
+   * @param {number|null} value - The ratio value.
+   * @param {object} definition - The ratio definition.
+   * @param {object} company - The company the value belongs to.
+   * @returns {string} - The formatted value.
+   */
+  const formatComparisonValue = (value, definition, company) => {
+    if (value !== null && definition.format === 'currency') {
+      return `${formatAmount(value)} ${getCurrencySymbol(company.currency)}`;
+    }
+    return formatRatioValue(value, definition.format);
+  };
+
+  /**
+   * Downloads the peer comparison as CSV or XLSX.
+   * @param {string} format - 'csv' or 'xlsx'.
+   */
+  const handleExportComparison = async (format) => {
+    const peers = buildPeerCompanies();
+    const companies = peers.map((company) => ({
+      label: [company.label, formatDateForDisplay(company.reportDate)].filter(Boolean).join(' '),
+    }));
+    const rows = buildPeerComparison(peers, getActiveProfile().thresholds);
+    const filename = `${t('exports.comparisonFileName', { count: companies.length })}.${format}`;
+    if (format === 'csv') {
+      downloadTextFile(exportComparisonToCsv(companies, rows, t), filename, 'text/csv;charset=utf-8');
+    } else {
+      const { default: writeExcelFile } = await import('write-excel-file/browser');
+      downloadTextFile(await writeExcelFile(buildComparisonXlsxSheets(companies, rows, t)).toBlob(), filename);
+    }
+  };
+
+  /**
+   * Handles printing the report using an iframe to ensure content is rendered.
+   * @param {string[]} [sectionIds] - Ids of the sections to print, in order. The first
+   *   one is required; the others are printed when they are on screen.
+   */
+  const handlePrint = (sectionIds = [
+    'printable-content-results', // Only the results part
+    'trend-analysis', // Multi-period trend table, if any
+    'peer-comparison', // Peer comparison table, if any
+    'ratio-interpretation-ranges', // The guide
+    'final-disclaimer-section', // The final disclaimer
+  ]) => {
+    if (!document.getElementById(sectionIds[0])) {
+      console.error(`No se encontró el elemento #${sectionIds[0]} para imprimir.`);
       return;
     }
 
@@ -351,7 +966,7 @@ const App = () => {
 
     // Get the current date and time for the print header
     const now = new Date();
-    const printDateTime = now.toLocaleDateString('es-ES', {
+    const printDateTime = now.toLocaleDateString(getLanguage(language).locale, {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -363,18 +978,18 @@ const App = () => {
 
     // Construct the content to be printed by explicitly combining parts
     // Ensure the structure matches the desired output for print
-    let contentToPrint = `
-      ${resultsContent.innerHTML}
-      ${ratioGuideContent ? ratioGuideContent.innerHTML : ''}
-      ${finalDisclaimerContent ? finalDisclaimerContent.innerHTML : ''}
-    `;
+    let contentToPrint = sectionIds
+      .map((sectionId) => document.getElementById(sectionId))
+      .filter(Boolean)
+      .map((section) => section.innerHTML)
+      .join('\n');
 
     iframeDoc.open();
     iframeDoc.write(`
       <!DOCTYPE html>
-      <html>
+      <html lang="${language}">
       <head>
-        <title>Informe de Salud Financiera - © 2025 @Fermoon™. Derechos reservados.</title>
+        <title>${t('print.title')}</title>
         <style>
           /* Basic print styles for the iframe */
           body {
@@ -386,7 +1001,7 @@ const App = () => {
           /* Custom header for print */
           @page {
             @top-center {
-              content: "Informe de Salud Financiera - © 2025 @Fermoon™. Derechos reservados.";
+              content: "${t('print.title')}";
               font-size: 10pt;
               color: black;
             }
@@ -401,6 +1016,35 @@ const App = () => {
           header, footer {
             display: none !important;
           }
+          /* Charts keep their band colors and share the page width */
+          svg {
+            -webkit-print-color-adjust: exact;
+            print-color-adjust: exact;
+          }
+          svg.chart {
+            width: 100%;
+            height: auto;
+          }
+          .chart-grid {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+          }
+          .chart-grid > figure {
+            width: 31%;
+            margin: 0;
+            break-inside: avoid;
+          }
+          .chart-legend {
+            list-style: none;
+            padding: 0;
+          }
+          .peer-best { background-color: #D1FAE5 !important; } /* Best value of a comparison row */
+          .peer-worst { background-color: #FEE2E2 !important; } /* Worst value of a comparison row */
+          /* Screen-only controls inside the printed sections */
+          .hide-on-print {
+            display: none !important;
+          }
 
           /* General styling for printed content */
           #printable-content-results,
@@ -458,6 +1102,8 @@ const App = () => {
           .list-disc { list-style-type: disc; }
           .list-inside { list-style-position: inside; }
           .ml-2 { margin-left: 0.5rem; }
+          table { border-collapse: collapse; width: 100%; font-size: 0.75rem; }
+          th, td { border: 1px solid #ccc; padding: 0.25rem; text-align: left; vertical-align: top; }
         </style>
       </head>
       <body>
@@ -475,7 +1121,139 @@ const App = () => {
     };
   };
 
+  /**
+   * Moves the focus to the first field of an input section.
+   * @param {number} sectionIndex - Index of the section in INPUT_SECTIONS.
+   */
+  const focusSection = (sectionIndex) => {
+    const section = INPUT_SECTIONS[sectionIndex];
+    const firstField = section && INPUT_FIELDS.find((field) => field.section === section.key);
+    const input = firstField && document.getElementById(firstField.key);
+    if (!input) return;
+    input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    input.focus({ preventScroll: true });
+  };
+
+  /**
+   * Runs the action of a keyboard shortcut (see ./lib/shortcuts).
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  const handleShortcut = (event) => {
+    const focusedField = INPUT_FIELDS.find((field) => field.key === event.target.id);
+    const inDataField = Boolean(focusedField) || ['companyTicker', 'reportDate'].includes(event.target.id);
+    const shortcut = matchShortcut(event, inDataField);
+    if (!shortcut) return;
+    event.preventDefault();
+
+    const currentSectionIndex = focusedField
+      ? INPUT_SECTIONS.findIndex((section) => section.key === focusedField.section)
+      : -1;
+    switch (shortcut.action) {
+      case 'calculate':
+        setEditingField(null);
+        calculateRatios();
+        break;
+      case 'clear':
+        handleClearForm();
+        break;
+      case 'print':
+        if (analysis && !error) handlePrint();
+        else setError(t('messages.calculateBeforePrint'));
+        break;
+      case 'nextSection':
+        focusSection(Math.min(currentSectionIndex + 1, INPUT_SECTIONS.length - 1));
+        break;
+      case 'previousSection':
+        focusSection(Math.max(currentSectionIndex - 1, 0));
+        break;
+      case 'goToSection':
+        focusSection(shortcut.sectionIndex);
+        break;
+      case 'results': {
+        const results = document.getElementById('printable-content-results');
+        if (results) results.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  // Keyboard shortcuts, registered once like the shared link listener above
+  const handleShortcutRef = useRef(handleShortcut);
+  useEffect(() => {
+    handleShortcutRef.current = handleShortcut;
+  });
+  useEffect(() => {
+    const handleKeyDown = (event) => handleShortcutRef.current(event);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  /**
+   * Writes the narrative summary of the current results, in the selected language.
+   * @returns {string[]} - The paragraphs (see ./lib/narrative).
+   */
+  const buildCurrentNarrative = () => buildNarrative(analysis, {
+    formatValue: formatRatioValue,
+    healthScore: computeHealthScore(analysis, scoreWeights, t),
+    weights: scoreWeights,
+    t,
+  });
+
+  /**
+   * Generates the PDF report of the current results and downloads it directly,
+   * named after the ticker and report date as displayed (e.g., 'BIMBOA_31-dic-2024.pdf').
+   */
+  const handleDownloadPdf = async () => {
+    if (!analysis || error) {
+      setError(t('messages.calculateBeforePdf'));
+      return;
+    }
+    const { profile, thresholds } = getActiveProfile();
+    const conversion = getConversion(selectedCurrency, reportDate);
+    const pdf = await generatePdfReport({
+      companyTicker,
+      reportDate: formatLongDateForPrint(reportDate),
+      currency: selectedCurrency,
+      sectorLabel: profile.label,
+      fiscalPeriodLabel: describeFiscalPeriod(fiscalPeriod, t),
+      figures: applyMarketDataValue(figures),
+      analysis,
+      thresholds,
+      narrative: buildCurrentNarrative(),
+      disclaimer: fullDisclaimerText,
+      generatedAt: new Date().toLocaleDateString(getLanguage(language).locale, { year: 'numeric', month: 'long', day: 'numeric' }),
+      unitScaleLabel: numberPreferences.unitScale === 'units' ? '' : t(`unitScaleNames.${numberPreferences.unitScale}`),
+      formatFigure: (value, fieldKey) => formatAmount(value, fieldKey),
+      formatRatio: (value, definition) => formatRatioValue(value, definition.format),
+      formatBandLimit,
+      conversion: conversion && conversion.rate ? {
+        ...conversion,
+        formatRate: (rate) => formatExchangeRate(rate, numberPreferences.numberFormat),
+        formatAmount: (value, fieldKey) => formatConvertedAmount(value, conversion, fieldKey),
+      } : null,
+      t,
+    });
+    downloadTextFile(pdf, getExportFileName([{ companyTicker, reportDate: formatDateForDisplay(reportDate) }], 'pdf', t));
+  };
+
   const currencySymbol = getCurrencySymbol(selectedCurrency);
+  const activeProfile = getActiveProfile();
+  const peerCompanies = buildPeerCompanies();
+  const conversion = getConversion(selectedCurrency, reportDate);
+  const composition = analysis ? buildBalanceSheetComposition(figures) : null;
+  const trendRows = periods.length >= 2 ? buildTrendRows() : [];
+  const narrative = analysis && !error ? buildCurrentNarrative() : [];
+  const validation = showValidation ? validateCurrentFigures() : null;
+  const marketDataValue = getMarketDataValue(figures); // Replaces the market value field when entered
+  const analyzedFigures = applyMarketDataValue(figures);
+  const validationWarnings = validation ? [
+    ...validation.generalIssues.filter((issue) => issue.severity === 'warning').map((issue) => issue.message),
+    ...INPUT_FIELDS.flatMap((field) => (validation.fieldIssues[field.key] || [])
+      .filter((issue) => issue.severity === 'warning')
+      .map((issue) => t('validation.fieldWarning', { label: t(`fields.${field.key}`), message: issue.message }))),
+  ] : [];
 
   return (
     <div className="min-h-screen bg-gray-900 text-gray-100 flex items-center justify-center p-4 sm:p-6 lg:p-8">
@@ -493,19 +1271,57 @@ const App = () => {
         <div className="flex justify-center mb-4 hide-on-print">
           <svg width="100" height="100" viewBox="0 0 100 100" className="rounded-full bg-teal-600">
             <rect width="100" height="100" rx="50" ry="50" fill="#00796B" />
-            <text x="50%" y="40%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">Salud</text>
-            <text x="50%" y="65%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">Financiera</text>
+            <text x="50%" y="40%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">{t('app.logoTop')}</text>
+            <text x="50%" y="65%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">{t('app.logoBottom')}</text>
           </svg>
         </div>
 
         <h1 className="text-3xl font-bold text-center text-teal-400 mb-6 hide-on-print">
-          Analizador de Salud Financiera
+          {t('app.title')}
         </h1>
 
+        {/* New version of the app, ready to use */}
+        {applyUpdate && (
+          <div role="status" className="mb-4 p-3 rounded-md bg-teal-900 border border-teal-600 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 hide-on-print">
+            <p className="text-sm text-teal-100">{t('pwa.updateAvailable')}</p>
+            <div className="flex space-x-2">
+              <button
+                onClick={applyUpdate}
+                className="bg-teal-600 hover:bg-teal-700 text-white text-sm font-bold py-1 px-3 rounded-md"
+              >
+                {t('pwa.update')}
+              </button>
+              <button
+                onClick={() => setApplyUpdate(null)}
+                className="bg-gray-600 hover:bg-gray-500 text-white text-sm font-bold py-1 px-3 rounded-md"
+              >
+                {t('pwa.later')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Language Selector */}
+        <div className="mb-4 flex items-center justify-end space-x-2 hide-on-print">
+          <label htmlFor="language" className="text-sm font-medium text-gray-300">
+            {t('app.language')}
+          </label>
+          <select
+            id="language"
+            value={language}
+            onChange={handleLanguageChange}
+            className="p-1 rounded-md bg-gray-700 border border-gray-600 text-sm focus:ring-teal-500 focus:border-teal-500"
+          >
+            {LANGUAGES.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Company Ticker Input */}
         <div className="mb-4 hide-on-print">
           <label htmlFor="companyTicker" className="block text-sm font-medium text-gray-300 mb-1">
-            Ticker de la Empresa:
+            {t('app.companyTicker')}
           </label>
           <input
             type="text"
@@ -513,14 +1329,14 @@ const App = () => {
             value={companyTicker}
             onChange={(e) => setCompanyTicker(e.target.value.toUpperCase())}
             className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-            placeholder="Ej: BIMBOA"
+            placeholder={t('app.companyTickerPlaceholder')}
           />
         </div>
 
         {/* Currency Selector */}
         <div className="mb-4 hide-on-print">
           <label htmlFor="currency" className="block text-sm font-medium text-gray-300 mb-1">
-            Moneda de los Datos:
+            {t('app.currency')}
           </label>
           <select
             id="currency"
@@ -528,128 +1344,338 @@ const App = () => {
             onChange={(e) => setSelectedCurrency(e.target.value)}
             className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
           >
-            <option value="USD">Dólar Estadounidense (USD)</option>
-            <option value="MXN">Peso Mexicano (MXN)</option>
-            <option value="EUR">Euro (EUR)</option>
-            <option value="JPY">Yen Japonés (JPY)</option>
-            <option value="GBP">Libra Esterlina (GBP)</option>
-            <option value="CAD">Dólar Canadiense (CAD)</option>
-            <option value="AUD">Dólar Australiano (AUD)</option>
-            <option value="CHF">Franco Suizo (CHF)</option>
-            <option value="CNY">Yuan Chino (CNY)</option>
-            <option value="INR">Rupia India (INR)</option>
-            <option value="BRL">Real Brasileño (BRL)</option>
-            <option value="RUB">Rublo Ruso (RUB)</option>
-            <option value="ZAR">Rand Sudafricano (R)</option>
+            {CURRENCIES.map((currency) => (
+              <option key={currency.code} value={currency.code}>{t(`currencies.${currency.code}`)}</option>
+            ))}
           </select>
         </div>
 
-        {/* Report Date Input */}
-        <div className="mb-4 hide-on-print">
-          <label htmlFor="reportDate" className="block text-sm font-medium text-gray-300 mb-1">
-            Fecha del Informe (DD-MMM-AAAA):
-          </label>
-          <input
-            type="text" // Changed to text to allow DD-MMM-AAAA input
-            id="reportDate"
-            value={reportDate}
-            onChange={handleDateInputChange}
-            className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-            placeholder="Ej: 31-dic-2024"
-          />
-        </div>
-
-        {/* Input fields for Balance Sheet data */}
-        <div className="space-y-4 mb-6 hide-on-print">
-          <h2 className="text-xl font-semibold text-gray-200 mb-2">Datos del Balance General:</h2>
+        {/* Number format and unit scale of the amounts */}
+        <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 gap-4 hide-on-print">
           <div>
-            <label htmlFor="currentAssets" className="block text-sm font-medium text-gray-300 mb-1">
-              Activos Circulantes:
+            <label htmlFor="numberFormat" className="block text-sm font-medium text-gray-300 mb-1">
+              {t('app.numberFormat')}
             </label>
-            <input
-              type="text"
-              id="currentAssets"
-              value={formatDisplayNumber(currentAssets)}
-              onChange={(e) => handleDisplayNumericInputChange(e, setCurrentAssets)}
+            <select
+              id="numberFormat"
+              value={numberPreferences.numberFormat}
+              onChange={(e) => handleNumberPreferencesChange({ numberFormat: e.target.value })}
               className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-              placeholder="Ej: 150,000,000"
-            />
+            >
+              {NUMBER_FORMATS.map((format) => (
+                <option key={format.key} value={format.key}>{format.label}</option>
+              ))}
+            </select>
           </div>
           <div>
-            <label htmlFor="currentLiabilities" className="block text-sm font-medium text-gray-300 mb-1">
-              Pasivos Circulantes:
+            <label htmlFor="unitScale" className="block text-sm font-medium text-gray-300 mb-1">
+              {t('app.unitScale')}
             </label>
-            <input
-              type="text"
-              id="currentLiabilities"
-              value={formatDisplayNumber(currentLiabilities)}
-              onChange={(e) => handleDisplayNumericInputChange(e, setCurrentLiabilities)}
+            <select
+              id="unitScale"
+              value={numberPreferences.unitScale}
+              onChange={(e) => handleNumberPreferencesChange({ unitScale: e.target.value })}
               className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-              placeholder="Ej: 80,000,000"
-            />
+            >
+              {UNIT_SCALES.map((scale) => (
+                <option key={scale.key} value={scale.key}>{t(`unitScales.${scale.key}`)}</option>
+              ))}
+            </select>
           </div>
-          <div>
-            <label htmlFor="inventory" className="block text-sm font-medium text-gray-300 mb-1">
-              Inventario:
-            </label>
+        </div>
+
+        {/* Reporting currency and exchange rate table */}
+        <div className="mb-4 hide-on-print">
+          <label htmlFor="reportingCurrency" className="block text-sm font-medium text-gray-300 mb-1">
+            {t('app.reportingCurrency')}
+          </label>
+          <select
+            id="reportingCurrency"
+            value={reportingCurrency}
+            onChange={(e) => setReportingCurrency(e.target.value)}
+            className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
+          >
+            <option value="">{t('app.noConversion')}</option>
+            {CURRENCIES.map((currency) => (
+              <option key={currency.code} value={currency.code}>{t(`currencies.${currency.code}`)}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowExchangeRates((prevShow) => !prevShow)}
+            className="mt-2 text-sm text-teal-300 hover:underline"
+          >
+            {showExchangeRates ? t('app.hideExchangeRates') : t('app.showExchangeRates', { count: exchangeRates.length })}
+          </button>
+          {showExchangeRates && (
+            <ExchangeRateTable
+              rates={exchangeRates}
+              numberFormat={numberPreferences.numberFormat}
+              onChange={handleExchangeRatesChange}
+              t={t}
+            />
+          )}
+        </div>
+
+        {/* Sector Selector */}
+        <div className="mb-4 hide-on-print">
+          <label htmlFor="sector" className="block text-sm font-medium text-gray-300 mb-1">
+            {t('app.sector')}
+          </label>
+          <select
+            id="sector"
+            value={selectedSector}
+            onChange={handleSectorChange}
+            className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
+          >
+            {SECTOR_PROFILES.map((sector) => (
+              <option key={sector.key} value={sector.key}>{t(`sectors.${sector.key}`)}</option>
+            ))}
+            {customProfiles.length > 0 && (
+              <optgroup label={t('app.customProfiles')}>
+                {customProfiles.map((profile) => (
+                  <option key={profile.key} value={profile.key}>{profile.label}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <button
+            onClick={() => setShowThresholdSettings((prevShow) => !prevShow)}
+            className="mt-2 text-sm text-teal-300 hover:underline"
+          >
+            {showThresholdSettings ? t('app.hideThresholdSettings') : t('app.showThresholdSettings')}
+          </button>
+          {showThresholdSettings && (
+            <ThresholdSettings
+              key={activeProfile.profile.key}
+              profile={{ ...activeProfile.profile, thresholds: activeProfile.thresholds }}
+              isCustom={activeProfile.isCustom}
+              onSave={handleSaveProfile}
+              onDelete={handleDeleteProfile}
+              t={t}
+            />
+          )}
+        </div>
+
+        {/* Report Date Input */}
+        <div className="mb-4 hide-on-print">
+          <label htmlFor="reportDate" className="block text-sm font-medium text-gray-300 mb-1">
+            {t('app.reportDate')}
+          </label>
+          <div className="flex space-x-2">
             <input
-              type="text"
-              id="inventory"
-              value={formatDisplayNumber(inventory)}
-              onChange={(e) => handleDisplayNumericInputChange(e, setInventory)}
-              className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-              placeholder="Ej: 30,000,000"
+              type="text" // Text to allow DD-MMM-AAAA input; the picker next to it fills in the same date
+              id="reportDate"
+              value={editingField === 'reportDate' ? editingText : formatDateForDisplay(reportDate) || reportDate}
+              onChange={handleDateInputChange}
+              onBlur={() => setEditingField(null)}
+              aria-invalid={hasInvalidReportDate}
+              className={`flex-1 p-2 rounded-md bg-gray-700 border ${hasInvalidReportDate && (showValidation || editingField !== 'reportDate') ? 'border-red-500' : 'border-gray-600'} focus:ring-teal-500 focus:border-teal-500`}
+              placeholder={t('app.reportDatePlaceholder')}
+            />
+            <input
+              type="date"
+              aria-label={t('app.reportDatePicker')}
+              value={parseReportDate(reportDate) ? reportDate : ''}
+              onChange={handleDatePickerChange}
+              className="p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
             />
           </div>
+          {hasInvalidReportDate && (showValidation || editingField !== 'reportDate') && (
+            <p className="mt-1 text-xs text-red-300">{t('app.invalidReportDate')}</p>
+          )}
+        </div>
+
+        {/* Fiscal period metadata */}
+        <div className="mb-4 grid grid-cols-1 sm:grid-cols-3 gap-4 hide-on-print">
           <div>
-            <label htmlFor="totalAssets" className="block text-sm font-medium text-gray-300 mb-1">
-              Activos Totales:
+            <label htmlFor="periodType" className="block text-sm font-medium text-gray-300 mb-1">
+              {t('fiscalPeriod.periodType')}
             </label>
-            <input
-              type="text"
-              id="totalAssets"
-              value={formatDisplayNumber(totalAssets)}
-              onChange={(e) => handleDisplayNumericInputChange(e, setTotalAssets)}
+            <select
+              id="periodType"
+              value={fiscalPeriod.periodType}
+              onChange={(e) => handleFiscalPeriodChange({ periodType: e.target.value })}
               className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-              placeholder="Ej: 500,000,000"
-            />
+            >
+              {PERIOD_TYPES.map((periodType) => (
+                <option key={periodType.key} value={periodType.key}>{t(`fiscalPeriod.periodTypes.${periodType.key}`)}</option>
+              ))}
+            </select>
           </div>
           <div>
-            <label htmlFor="totalLiabilities" className="block text-sm font-medium text-gray-300 mb-1">
-              Pasivos Totales:
+            <label htmlFor="fiscalYearEnd" className="block text-sm font-medium text-gray-300 mb-1">
+              {t('fiscalPeriod.fiscalYearEnd')}
             </label>
-            <input
-              type="text"
-              id="totalLiabilities"
-              value={formatDisplayNumber(totalLiabilities)}
-              onChange={(e) => handleDisplayNumericInputChange(e, setTotalLiabilities)}
+            <select
+              id="fiscalYearEnd"
+              value={fiscalPeriod.fiscalYearEnd}
+              onChange={(e) => handleFiscalPeriodChange({ fiscalYearEnd: Number(e.target.value) })}
               className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-              placeholder="Ej: 300,000,000"
-            />
+            >
+              {t('dates.months').map((monthName, index) => (
+                <option key={monthName} value={index + 1}>{monthName}</option>
+              ))}
+            </select>
           </div>
           <div>
-            <label htmlFor="shareholdersEquity" className="block text-sm font-medium text-gray-300 mb-1">
-              Patrimonio Neto:
+            <label htmlFor="auditStatus" className="block text-sm font-medium text-gray-300 mb-1">
+              {t('fiscalPeriod.auditStatus')}
             </label>
-            <input
-              type="text"
-              id="shareholdersEquity"
-              value={formatDisplayNumber(shareholdersEquity)}
-              onChange={(e) => handleDisplayNumericInputChange(e, setShareholdersEquity)}
+            <select
+              id="auditStatus"
+              value={fiscalPeriod.auditStatus}
+              onChange={(e) => handleFiscalPeriodChange({ auditStatus: e.target.value })}
               className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
-              placeholder="Ej: 200,000,000"
-            />
+            >
+              <option value="">{t('fiscalPeriod.notSpecified')}</option>
+              {AUDIT_STATUSES.map((auditStatus) => (
+                <option key={auditStatus} value={auditStatus}>{t(`fiscalPeriod.auditStatuses.${auditStatus}`)}</option>
+              ))}
+            </select>
           </div>
         </div>
 
+        {/* Import from CSV or pasted spreadsheet data */}
+        <div className="mb-4 hide-on-print">
+          <button
+            onClick={() => setShowStatementImport((prevShow) => !prevShow)}
+            className="text-sm text-teal-300 hover:underline"
+          >
+            {showStatementImport ? t('app.hideImport') : t('app.showImport')}
+          </button>
+        </div>
+        {showStatementImport && (
+          <StatementImport
+            numberFormat={numberPreferences.numberFormat}
+            onLoadPeriod={handleImportLoadPeriod}
+            onAddPeriods={handleImportAddPeriods}
+            t={t}
+          />
+        )}
+
+        {/* Fill from statement text pasted as "label amount" lines */}
+        <div className="mb-4 hide-on-print">
+          <button
+            onClick={() => setShowPasteToFill((prevShow) => !prevShow)}
+            className="text-sm text-teal-300 hover:underline"
+          >
+            {showPasteToFill ? t('app.hidePasteToFill') : t('app.showPasteToFill')}
+          </button>
+        </div>
+        {showPasteToFill && (
+          <PasteToFill
+            numberFormat={numberPreferences.numberFormat}
+            onApply={handlePasteToFillApply}
+            t={t}
+          />
+        )}
+
+        {/* Input fields for the financial statement data, one block per section */}
+        {INPUT_SECTIONS.map((section) => (
+          <div key={section.key} className="space-y-4 mb-6 hide-on-print">
+            <h2 className="text-xl font-semibold text-gray-200 mb-2">
+              {t(section.optional ? 'app.optionalSection' : 'app.requiredSection', { title: t(`sections.${section.key}.title`) })}
+            </h2>
+            {numberPreferences.unitScale !== 'units' && INPUT_FIELDS.some((field) => field.section === section.key && field.unit) && (
+              <p className="text-xs text-gray-400">
+                {t('app.unscaledFieldsNote', { scale: t(`unitScaleNames.${numberPreferences.unitScale}`) })}
+              </p>
+            )}
+            {INPUT_FIELDS.filter((field) => field.section === section.key).map((field) => {
+              const fieldIssues = (validation && validation.fieldIssues[field.key]) || [];
+              const isFromMarketData = field.key === 'marketValueOfEquity' && marketDataValue !== null;
+              let inputValue = editingField === field.key ? editingText : formatDisplayNumber(figures[field.key], field.key);
+              if (isFromMarketData) inputValue = formatDisplayNumber(String(marketDataValue), field.key);
+              const hasFieldError = fieldIssues.some((issue) => issue.severity === 'error');
+              let borderClass = 'border-gray-600';
+              if (hasFieldError) borderClass = 'border-red-500';
+              else if (fieldIssues.length > 0) borderClass = 'border-yellow-500';
+              return (
+                <div key={field.key}>
+                  <label htmlFor={field.key} className="block text-sm font-medium text-gray-300 mb-1">
+                    {t(field.independent ? 'app.optionalFieldLabel' : 'app.fieldLabel', { label: t(`fields.${field.key}`) })}
+                  </label>
+                  <input
+                    type="text"
+                    id={field.key}
+                    value={inputValue}
+                    readOnly={isFromMarketData}
+                    onChange={(e) => handleDisplayNumericInputChange(e, field.key)}
+                    onBlur={() => setEditingField(null)}
+                    aria-invalid={hasFieldError}
+                    className={`w-full p-2 rounded-md bg-gray-700 border ${borderClass} focus:ring-teal-500 focus:border-teal-500`}
+                    placeholder={t('app.examplePlaceholder', { value: field.placeholder })}
+                  />
+                  {isFromMarketData && <p className="mt-1 text-xs text-gray-400">{t('app.marketValueFromMarketData')}</p>}
+                  {fieldIssues.map((issue) => (
+                    <p key={issue.message} className={`mt-1 text-xs ${issue.severity === 'error' ? 'text-red-300' : 'text-yellow-300'}`}>
+                      {issue.message}
+                    </p>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+
+        {/* Tolerance of the accounting identity check */}
+        <div className="mb-6 hide-on-print">
+          <label htmlFor="balanceTolerance" className="block text-sm font-medium text-gray-300 mb-1">
+            {t('app.balanceTolerance')}
+          </label>
+          <input
+            type="number"
+            id="balanceTolerance"
+            min="0"
+            step="0.1"
+            value={balanceTolerance}
+            onChange={(e) => setBalanceTolerance(e.target.value)}
+            className="w-32 p-2 rounded-md bg-gray-700 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
+          />
+        </div>
+
         {/* Calculate button */}
         <button
           onClick={calculateRatios}
           className="w-full bg-teal-600 hover:bg-teal-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-opacity-75 hide-on-print"
         >
-          Calcular Ratios
+          {t('app.calculate')}
         </button>
 
+        {/* Keyboard shortcuts help */}
+        <div className="mt-2 text-center hide-on-print">
+          <button
+            onClick={() => setShowShortcuts((prevShow) => !prevShow)}
+            aria-expanded={showShortcuts}
+            className="text-sm text-teal-300 hover:underline"
+          >
+            {showShortcuts ? t('shortcuts.hide') : t('shortcuts.show')}
+          </button>
+        </div>
+        {showShortcuts && (
+          <div id="keyboard-shortcuts" className="mt-2 p-4 bg-gray-700 rounded-md text-sm text-gray-200 hide-on-print">
+            <ul className="space-y-1">
+              {KEYBOARD_SHORTCUTS.map((shortcut) => (
+                <li key={shortcut.action}>
+                  <kbd className="px-1 rounded bg-gray-800 border border-gray-600 font-mono text-xs">{shortcut.keys}</kbd>
+                  {' '}{t(`shortcuts.actions.${shortcut.action}`)}
+                </li>
+              ))}
+            </ul>
+            <p className="mt-2 text-xs text-gray-400">{t('shortcuts.macNote')}</p>
+          </div>
+        )}
+
+        {/* Validation errors involving several fields, or pointing to the marked fields */}
+        {validation && validation.hasErrors && (
+          <div className="mt-4 p-3 bg-red-800 text-red-200 rounded-md text-sm hide-on-print">
+            {validation.generalIssues.filter((issue) => issue.severity === 'error').map((issue) => (
+              <p key={issue.message} className="mb-1">{issue.message}</p>
+            ))}
+            <p>{t('app.fixMarkedFields')}</p>
+          </div>
+        )}
+
         {/* Error message display */}
         {error && (
           <div className="mt-4 p-3 bg-red-800 text-red-200 rounded-md text-center hide-on-print">
@@ -658,141 +1684,385 @@ const App = () => {
         )}
 
         {/* Display results */}
-        {currentRatio !== null && !error && (
+        {analysis && !error && (
           <div id="printable-content-results" className="mt-6 p-4 bg-gray-700 rounded-md">
             {/* Logo and Title for Print */}
             <div className="flex justify-center mb-4 print-only">
               <svg width="100" height="100" viewBox="0 0 100 100" className="rounded-full bg-teal-600">
                 <rect width="100" height="100" rx="50" ry="50" fill="#00796B" />
-                <text x="50%" y="40%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">Salud</text>
-                <text x="50%" y="65%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">Financiera</text>
+                <text x="50%" y="40%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">{t('app.logoTop')}</text>
+                <text x="50%" y="65%" dominantBaseline="middle" textAnchor="middle" fill="white" fontSize="18" fontWeight="bold" fontFamily="sans-serif">{t('app.logoBottom')}</text>
               </svg>
             </div>
             <h1 className="text-3xl font-bold text-center text-teal-400 mb-6 print-only">
-              Analizador de Salud Financiera
+              {t('app.title')}
             </h1>
 
             {companyTicker && (
               <h2 className="text-xl font-semibold text-gray-200 text-center mb-4">
-                Resultados para: <span className="text-teal-300">{companyTicker}</span>
+                {t('results.resultsFor')} <span className="text-teal-300">{companyTicker}</span>
               </h2>
             )}
             {reportDate && (
               <p className="text-sm text-gray-300 text-center mb-4">
-                Fecha del Informe: {formatDateForDisplay(reportDate)}
+                {/* The printed report spells the date out in full */}
+                <span className="hide-on-print">{t('results.reportDate', { date: formatDateForDisplay(reportDate) })}</span>
+                <span className="print-only">{t('results.reportDate', { date: formatLongDateForPrint(reportDate) })}</span>
               </p>
             )}
             <p className="text-sm text-gray-300 text-center mb-4">
-                Moneda de los Datos: {selectedCurrency}
-            </p>
-
-            <h3 className="text-lg font-medium text-teal-300 mb-2">Datos Ingresados:</h3>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Activos Circulantes:</span> {formatDisplayNumber(currentAssets)} {getCurrencySymbol(selectedCurrency)}
-            </p>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Pasivos Circulantes:</span> {formatDisplayNumber(currentLiabilities)} {getCurrencySymbol(selectedCurrency)}
+                {t('results.fiscalPeriod', { description: describeFiscalPeriod(fiscalPeriod, t) })}
+                {RATIO_DEFINITIONS.some((definition) => definition.format === 'days' && definition.key in analysis.ratios) &&
+                  t('results.periodDays', { days: formatLocalizedNumber(parseFloat(periodDays.toFixed(2)), numberPreferences.numberFormat) })}
+                {periodDays !== DAYS_PER_YEAR && t('results.annualized')}
             </p>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Inventario:</span> {formatDisplayNumber(inventory)} {getCurrencySymbol(selectedCurrency)}
-            </p>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Activos Totales:</span> {formatDisplayNumber(totalAssets)} {getCurrencySymbol(selectedCurrency)}
-            </p>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Pasivos Totales:</span> {formatDisplayNumber(totalLiabilities)} {getCurrencySymbol(selectedCurrency)}
+            <p className="text-sm text-gray-300 text-center mb-4">
+                {t('results.dataCurrency', { currency: selectedCurrency })}
+                {numberPreferences.unitScale !== 'units' && t('results.unitScaleNote', { scale: t(`unitScaleNames.${numberPreferences.unitScale}`) })}
             </p>
-            <p className="text-base text-gray-200 mb-4">
-              <span className="font-semibold">Patrimonio Neto:</span> {formatDisplayNumber(shareholdersEquity)} {getCurrencySymbol(selectedCurrency)}
+            {conversion && (
+              <p className={`text-sm text-center mb-4 ${conversion.error ? 'text-yellow-300' : 'text-gray-300'}`}>
+                {conversion.error || t('results.reportingCurrency', {
+                  currency: conversion.currency,
+                  from: selectedCurrency,
+                  rate: formatExchangeRate(conversion.rate, numberPreferences.numberFormat),
+                  date: conversion.effectiveDate,
+                })}
+              </p>
+            )}
+            <p className="text-sm text-gray-300 text-center mb-4">
+                {t('results.sector', { sector: activeProfile.profile.label })}
             </p>
 
-            <h3 className="text-lg font-medium text-teal-300 mb-2">Ratios de Liquidez:</h3>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Ratio de Liquidez:</span> {currentRatio} (Mide la capacidad de la empresa de pagar sus deudas a corto plazo con sus activos más líquidos.) - {currentRatioInterpretation}
-            </p>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Ratio de Prueba Ácida:</span> {quickRatio} (Mide la capacidad de la empresa de pagar sus deudas a corto plazo sin depender del inventario.) - {quickRatioInterpretation}
-            </p>
+            {validationWarnings.length > 0 && (
+              <div className="mb-4">
+                <h3 className="text-lg font-medium text-teal-300 mb-2">{t('results.warnings')}</h3>
+                <ul className="list-disc list-inside text-sm text-yellow-300">
+                  {validationWarnings.map((warning) => <li key={warning}>{warning}</li>)}
+                </ul>
+              </div>
+            )}
 
-            <h3 className="text-lg font-medium text-teal-300 mt-4 mb-2">Ratios de Solvencia / Apalancamiento:</h3>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Ratio de Deuda a Patrimonio Neto:</span> {debtToEquityRatio} (Mide la proporción de la financiación que proviene de la deuda vs. el capital de los dueños.) - {debtToEquityInterpretation}
-            </p>
-            <p className="text-base text-gray-200">
-              <span className="font-semibold">Ratio de Deuda a Activos Totales:</span> {debtToAssetsRatio} (Mide el porcentaje de los activos de la empresa que se financian con deuda.) - {debtToAssetsInterpretation}
-            </p>
+            {narrative.length > 0 && (
+              <div id="narrative-summary" className="mb-4">
+                <h3 className="text-lg font-medium text-teal-300 mb-2">{t('narrative.title')}</h3>
+                {narrative.map((paragraph) => (
+                  <p key={paragraph} className="text-base text-gray-200 mb-2">{paragraph}</p>
+                ))}
+              </div>
+            )}
+
+            <h3 className="text-lg font-medium text-teal-300 mb-2">{t('results.enteredData')}</h3>
+            {/* Sections with any figure read, including independent fields on their own */}
+            {INPUT_SECTIONS.filter((section) => INPUT_FIELDS.some((field) => field.section === section.key && analyzedFigures[field.key] !== '')).map((section) => (
+              <div key={section.key} className="mb-4">
+                {INPUT_FIELDS.filter((field) => field.section === section.key && analyzedFigures[field.key] !== '').map((field) => (
+                  <p key={field.key} className="text-base text-gray-200">
+                    <span className="font-semibold">{t('app.fieldLabel', { label: t(`fields.${field.key}`) })}</span> {formatAmount(analyzedFigures[field.key], field.key)}
+                    {field.unit !== 'shares' && ` ${getCurrencySymbol(selectedCurrency)}`}
+                    {field.unit !== 'shares' && conversion && conversion.rate && ` → ${formatConvertedAmount(analyzedFigures[field.key], conversion, field.key)}`}
+                  </p>
+                ))}
+              </div>
+            ))}
+
+            {composition && (
+              <BalanceSheetChart
+                composition={composition}
+                formatAmount={(value) => `${formatAmount(value)} ${getCurrencySymbol(selectedCurrency)}`}
+                t={t}
+              />
+            )}
+
+            {RATIO_GROUPS.map((group, groupIndex) => {
+              const groupDefinitions = RATIO_DEFINITIONS.filter(
+                (definition) => definition.group === group.key && definition.key in analysis.ratios
+              );
+              if (groupDefinitions.length === 0) return null;
+              return (
+                <div key={group.key}>
+                  <h3 className={`text-lg font-medium text-teal-300 ${groupIndex > 0 ? 'mt-4 ' : ''}mb-2`}>{t('results.groupTitle', { title: t(`groups.${group.key}`) })}</h3>
+                  {groupDefinitions.map((definition) => (
+                    <p key={definition.key} className="text-base text-gray-200">
+                      <span className="font-semibold">{t('app.fieldLabel', { label: t(`ratios.${definition.key}.label`) })}</span> {formatRatioValue(analysis.ratios[definition.key], definition.format)}
+                      {definition.format === 'currency' && conversion && conversion.rate && analysis.ratios[definition.key] !== null &&
+                        ` → ${formatConvertedAmount(analysis.ratios[definition.key], conversion)}`}
+                      {' '}({t(`ratios.${definition.key}.description`)}) - {analysis.interpretations[definition.key]}
+                    </p>
+                  ))}
+                  <RatioGauges
+                    definitions={groupDefinitions}
+                    analysis={analysis}
+                    thresholds={activeProfile.thresholds}
+                    formatLimit={formatBandLimit}
+                    t={t}
+                  />
+                </div>
+              );
+            })}
+
+            <div className="mt-4">
+              <HealthScoreSummary
+                healthScore={computeHealthScore(analysis, scoreWeights, t)}
+                altman={computeAltmanZScore(figures, altmanVariant, { periodDays, t })}
+                altmanVariant={altmanVariant}
+                onAltmanVariantChange={setAltmanVariant}
+                t={t}
+              />
+              <button
+                onClick={() => setShowScoreWeights((prevShow) => !prevShow)}
+                className="text-sm text-teal-300 hover:underline hide-on-print"
+              >
+                {showScoreWeights ? t('app.hideScoreWeights') : t('app.showScoreWeights')}
+              </button>
+              {showScoreWeights && <ScoreWeightsSettings weights={scoreWeights} onSave={handleSaveScoreWeights} t={t} />}
+            </div>
           </div>
         )}
 
+        {/* What-if scenarios on a copy of the figures */}
+        {analysis && !error && (
+          <ScenarioSimulator
+            figures={figures}
+            thresholds={activeProfile.thresholds}
+            numberFormat={numberPreferences.numberFormat}
+            getScaleFactor={getFieldScaleFactor}
+            periodDays={periodDays}
+            formatAmount={formatAmount}
+            formatRatioValue={formatRatioValue}
+            formatChange={formatTrendChange}
+            t={t}
+          />
+        )}
+
+        {/* Multi-period trend analysis */}
+        <div className="mt-6 p-4 bg-gray-700 rounded-md">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-2 hide-on-print">
+            <h3 className="text-lg font-medium text-teal-300">
+              {periods.length > 0 && periods[0].companyTicker
+                ? t('periods.titleWithTicker', { ticker: periods[0].companyTicker })
+                : t('periods.title')}
+            </h3>
+            <div className="flex space-x-2 mt-2 sm:mt-0">
+              <button
+                onClick={handleAddPeriod}
+                className="bg-teal-600 hover:bg-teal-700 text-white text-sm font-bold py-1 px-3 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-opacity-75"
+              >
+                {t('periods.add')}
+              </button>
+              {periods.length > 0 && (
+                <button
+                  onClick={() => setPeriods([])}
+                  className="bg-gray-600 hover:bg-gray-700 text-white text-sm font-bold py-1 px-3 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-75"
+                >
+                  {t('periods.removeAll')}
+                </button>
+              )}
+            </div>
+          </div>
+          {periods.length === 0 ? (
+            <p className="text-sm text-gray-400">
+              {t('periods.empty')}
+            </p>
+          ) : (
+            <ul className="text-sm text-gray-200 space-y-1 hide-on-print">
+              {periods.map((period) => (
+                <li key={period.reportDate} className="flex items-center justify-between">
+                  <span>{formatDateForDisplay(period.reportDate)}</span>
+                  <span className="space-x-2">
+                    <button onClick={() => handleLoadPeriod(period)} className="text-teal-300 hover:underline">{t('periods.load')}</button>
+                    <button onClick={() => handleRemovePeriod(period.reportDate)} className="text-red-300 hover:underline">{t('periods.remove')}</button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {periods.length >= 2 && (
+            <div id="trend-analysis" className="mt-4 overflow-x-auto">
+              <h3 className="text-lg font-medium text-teal-300 mt-4 mb-2">
+                {periods[0].companyTicker ? t('trend.titleWithTicker', { ticker: periods[0].companyTicker }) : t('trend.title')}
+              </h3>
+              <table className="w-full text-xs text-gray-200 border-collapse">
+                <thead>
+                  <tr>
+                    <th className="text-left p-1 border-b border-gray-600">{t('trend.ratio')}</th>
+                    {periods.map((period) => (
+                      <th key={period.reportDate} className="text-left p-1 border-b border-gray-600">
+                        {formatDateForDisplay(period.reportDate)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {trendRows.map(({ definition, cells }) => (
+                    <tr key={definition.key}>
+                      <td className="p-1 border-b border-gray-600 font-semibold">{t(`ratios.${definition.key}.label`)}</td>
+                      {cells.map((cell, index) => (
+                        <td key={periods[index].reportDate} className="p-1 border-b border-gray-600">
+                          <div>{formatRatioValue(cell.value, definition.format)}</div>
+                          {cell.interpretation && <div>{cell.interpretation}</div>}
+                          {cell.change !== null && (
+                            <div className={cell.bandChange > 0 ? 'text-green-400' : cell.bandChange < 0 ? 'text-red-400' : 'text-gray-400'}>
+                              {cell.change > 0 ? '▲' : cell.change < 0 ? '▼' : '▬'} {formatTrendChange(cell.change, definition.format)}
+                              {cell.bandChange > 0 && t('trend.improved')}
+                              {cell.bandChange < 0 && t('trend.worsened')}
+                            </div>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="chart-grid grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
+                {trendRows.map(({ definition, cells }) => (
+                  <SeriesChart
+                    key={definition.key}
+                    title={t(`ratios.${definition.key}.label`)}
+                    type="line"
+                    categories={periods.map((period) => formatDateForDisplay(period.reportDate))}
+                    values={cells.map((cell) => cell.value)}
+                    ranks={cells.map((cell) => getInterpretationRank(cell.interpretation))}
+                    formatValue={(value) => formatRatioValue(value, definition.format)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* Action Buttons */}
         <div className="mt-6 flex flex-col sm:flex-row justify-center space-y-3 sm:space-y-0 sm:space-x-3 hide-on-print">
           <button
             onClick={handleClearForm}
             className="w-full sm:w-auto bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-75"
           >
-            Limpiar Formulario
+            {t('app.clearForm')}
+          </button>
+          <button
+            onClick={handleSaveAnalysis}
+            className="w-full sm:w-auto bg-teal-600 hover:bg-teal-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-opacity-75"
+          >
+            {t('app.saveAnalysis')}
+          </button>
+          <button
+            onClick={handleCopyLink}
+            className="w-full sm:w-auto bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-75"
+          >
+            {t('share.copyLink')}
           </button>
           <button
-            onClick={handlePrint}
+            onClick={() => handlePrint()}
             className="w-full sm:w-auto bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-75"
           >
-            Imprimir Informe
+            {t('app.print')}
           </button>
           <button
-            onClick={handlePrint}
+            onClick={handleDownloadPdf}
             className="w-full sm:w-auto bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-md transition duration-300 ease-in-out focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-75"
           >
-            Guardar como PDF
+            {t('app.savePdf')}
           </button>
         </div>
 
-        {/* Ratio Interpretation Ranges - Always visible on screen, and explicitly included in print */}
-        <div id="ratio-interpretation-ranges" className="mt-8 text-xs text-gray-400 border-t border-gray-700 pt-6">
-          <h3 className="text-sm font-semibold text-teal-300 mb-2">Guía de Interpretación de Ratios:</h3>
-          
-          <div className="mb-4">
-            <h4 className="font-semibold text-gray-300">Ratio de Liquidez:</h4>
-            <ul className="list-disc list-inside ml-2">
-              <li><span className="font-bold">{'>'} 2.0:</span> Excelente 🚀</li>
-              <li><span className="font-bold">1.5 - 2.0:</span> Bueno 👍</li>
-              <li><span className="font-bold">1.0 - 1.5:</span> Regular 😐</li>
-              <li><span className="font-bold">0.5 - 1.0:</span> Malo 🚩</li>
-              <li><span className="font-bold">{'<'} 0.5:</span> Pésimo 🚨</li>
-            </ul>
+        {/* Export of the current results */}
+        {analysis && !error && (
+          <div className="mt-3 flex flex-wrap justify-center items-center gap-2 text-sm hide-on-print">
+            <span className="text-gray-300">{t('app.exportResults')}</span>
+            {['csv', 'json', 'xlsx'].map((format) => (
+              <button
+                key={format}
+                onClick={() => handleExportCurrent(format)}
+                className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-1 px-3 rounded-md"
+              >
+                {format.toUpperCase()}
+              </button>
+            ))}
           </div>
+        )}
 
-          <div className="mb-4">
-            <h4 className="font-semibold text-gray-300">Ratio de Prueba Ácida:</h4>
-            <ul className="list-disc list-inside ml-2">
-              <li><span className="font-bold">{'>'} 1.5:</span> Excelente 🚀</li>
-              <li><span className="font-bold">1.0 - 1.5:</span> Bueno 👍</li>
-              <li><span className="font-bold">0.7 - 1.0:</span> Regular 😐</li>
-              <li><span className="font-bold">0.3 - 0.7:</span> Malo 🚩</li>
-              <li><span className="font-bold">{'<'} 0.3:</span> Pésimo 🚨</li>
-            </ul>
+        {statusMessage && (
+          <div className="mt-4 p-3 bg-teal-800 text-teal-100 rounded-md text-center hide-on-print">
+            {statusMessage}
           </div>
+        )}
 
-          <div className="mb-4">
-            <h4 className="font-semibold text-gray-300">Ratio de Deuda a Patrimonio Neto:</h4>
-            <ul className="list-disc list-inside ml-2">
-              <li><span className="font-bold">{'<'} 0.5:</span> Excelente 🚀</li>
-              <li><span className="font-bold">0.5 - 1.0:</span> Bueno 👍</li>
-              <li><span className="font-bold">1.0 - 2.0:</span> Regular 😐</li>
-              <li><span className="font-bold">2.0 - 5.0:</span> Malo 🚩</li>
-              <li><span className="font-bold">{'>'} 5.0:</span> Pésimo 🚨</li>
-            </ul>
+        {shareUrl && (
+          <div className="mt-3 hide-on-print">
+            <label htmlFor="shareUrl" className="block text-sm font-medium text-gray-300 mb-1">
+              {t('share.linkLabel')}
+            </label>
+            <input
+              type="text"
+              id="shareUrl"
+              readOnly
+              value={shareUrl}
+              onFocus={(e) => e.target.select()}
+              className="w-full p-2 rounded-md bg-gray-700 border border-gray-600 text-sm text-gray-100"
+            />
           </div>
+        )}
 
-          <div>
-            <h4 className="font-semibold text-gray-300">Ratio de Deuda a Activos Totales:</h4>
-            <ul className="list-disc list-inside ml-2">
-              <li><span className="font-bold">{'<'} 0.30:</span> Excelente 🚀</li>
-              <li><span className="font-bold">0.30 - 0.50:</span> Bueno 👍</li>
-              <li><span className="font-bold">0.50 - 0.70:</span> Regular 😐</li>
-              <li><span className="font-bold">0.70 - 0.90:</span> Malo 🚩</li>
-              <li><span className="font-bold">{'>'} 0.90:</span> Pésimo 🚨</li>
-            </ul>
-          </div>
+        {/* Library of saved analyses */}
+        <AnalysisLibrary
+          analyses={savedAnalyses}
+          activeAnalysisId={activeAnalysisId}
+          formatDate={formatDateForDisplay}
+          onOpen={handleOpenAnalysis}
+          onDuplicate={(id) => updateSavedAnalyses(duplicateAnalysis(savedAnalyses, id, t))}
+          onRename={(id, name) => updateSavedAnalyses(renameAnalysis(savedAnalyses, id, name))}
+          onDelete={handleDeleteAnalysis}
+          selectedIds={selectedAnalysisIds}
+          onToggleSelect={handleToggleAnalysisSelection}
+          onExportSelected={handleExportSelected}
+          t={t}
+        />
+
+        {/* Peer comparison of the current form and the saved analyses checked in the library */}
+        <div className="mt-6 p-4 bg-gray-700 rounded-md">
+          <h3 className="text-lg font-medium text-teal-300 mb-2 hide-on-print">{t('comparison.title')}</h3>
+          <label className="flex items-center space-x-2 text-sm text-gray-200 hide-on-print">
+            <input
+              type="checkbox"
+              checked={includeCurrentInComparison}
+              onChange={(e) => setIncludeCurrentInComparison(e.target.checked)}
+            />
+            <span>{t('comparison.includeCurrent')}</span>
+          </label>
+          {peerCompanies.length < 2 ? (
+            <p className="mt-2 text-sm text-gray-400 hide-on-print">
+              {t('comparison.selectHint')}
+            </p>
+          ) : (
+            <PeerComparison
+              companies={peerCompanies}
+              rows={buildPeerComparison(peerCompanies, activeProfile.thresholds)}
+              formatDate={formatDateForDisplay}
+              formatValue={formatComparisonValue}
+              onExport={handleExportComparison}
+              onPrint={() => handlePrint(['peer-comparison', 'final-disclaimer-section'])}
+              t={t}
+            />
+          )}
+        </div>
+
+        {/* Ratio Interpretation Ranges - Always visible on screen, and explicitly included in print */}
+        <div id="ratio-interpretation-ranges" className="mt-8 text-xs text-gray-400 border-t border-gray-700 pt-6">
+          <h3 className="text-sm font-semibold text-teal-300 mb-2">
+            {t('guide.title', { profile: activeProfile.profile.label })}
+          </h3>
+
+          {RATIO_DEFINITIONS.map((definition, index) => (
+            <div key={definition.key} className={index < RATIO_DEFINITIONS.length - 1 ? 'mb-4' : ''}>
+              <h4 className="font-semibold text-gray-300">{t('guide.ratioTitle', { label: getRatioGuideLabel(definition.key, t) })}</h4>
+              <ul className="list-disc list-inside ml-2">
+                {describeBands(activeProfile.thresholds[definition.key], (limit) => formatBandLimit(limit, definition), t).map((band) => (
+                  <li key={band.label}><span className="font-bold">{band.range}:</span> {band.label}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
           <p className="mt-4 text-gray-500">
           </p>
         </div>
@@ -803,7 +2073,7 @@ const App = () => {
             *{fullDisclaimerText}
           </p>
           <p className="mt-2 text-center text-gray-500">
-            © 2025 @Fermoon™
+            {t('copyright')}
           </p>
         </div>
       </div>
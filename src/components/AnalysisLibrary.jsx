@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { searchAnalyses } from '../lib/analysisLibrary';
+
+// Library of analyses saved in this browser: search by ticker, open, duplicate, rename, delete
+// and select several analyses to export them together.
+const AnalysisLibrary = ({
+  analyses, activeAnalysisId, formatDate, onOpen, onDuplicate, onRename, onDelete,
+  selectedIds, onToggleSelect, onExportSelected, t,
+}) => {
+  const [tickerQuery, setTickerQuery] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [newName, setNewName] = useState('');
+
+  const visibleAnalyses = searchAnalyses(analyses, tickerQuery);
+
+  /**
+   * Starts renaming an analysis inline.
+   * @param {object} analysis - The analysis to rename.
+   */
+  const startRename = (analysis) => {
+    setRenamingId(analysis.id);
+    setNewName(analysis.name);
+  };
+
+  /**
+   * Confirms the inline rename.
+   */
+  const confirmRename = () => {
+    if (newName.trim()) onRename(renamingId, newName.trim());
+    setRenamingId(null);
+  };
+
+  /**
+   * Asks for confirmation before deleting an analysis.
+   * @param {object} analysis - The analysis to delete.
+   */
+  const handleDelete = (analysis) => {
+    if (window.confirm(t('analysisLibrary.confirmDelete', { name: analysis.name }))) onDelete(analysis.id);
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-md hide-on-print">
+      <h3 className="text-lg font-medium text-teal-300 mb-2">{t('analysisLibrary.title')}</h3>
+      {analyses.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          {t('analysisLibrary.empty')}
+        </p>
+      ) : (
+        <>
+          <input
+            type="text"
+            aria-label={t('analysisLibrary.search')}
+            value={tickerQuery}
+            onChange={(e) => setTickerQuery(e.target.value)}
+            className="w-full p-2 mb-2 rounded-md bg-gray-800 border border-gray-600 focus:ring-teal-500 focus:border-teal-500 text-sm"
+            placeholder={t('analysisLibrary.searchPlaceholder')}
+          />
+          {visibleAnalyses.length === 0 && (
+            <p className="text-sm text-gray-400">{t('analysisLibrary.noMatches', { query: tickerQuery })}</p>
+          )}
+          <ul className="text-sm text-gray-200 space-y-2">
+            {visibleAnalyses.map((analysis) => (
+              <li
+                key={analysis.id}
+                className={`p-2 rounded-md ${analysis.id === activeAnalysisId ? 'bg-gray-600' : 'bg-gray-800'}`}
+              >
+                {renamingId === analysis.id ? (
+                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      aria-label={t('analysisLibrary.newName')}
+                      value={newName}
+                      onChange={(e) => setNewName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && confirmRename()}
+                      className="flex-1 p-1 rounded-md bg-gray-700 border border-gray-600"
+                    />
+                    <button onClick={confirmRename} className="text-teal-300 hover:underline">{t('analysisLibrary.accept')}</button>
+                    <button onClick={() => setRenamingId(null)} className="text-gray-400 hover:underline">{t('analysisLibrary.cancel')}</button>
+                  </div>
+                ) : (
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      aria-label={t('analysisLibrary.select', { name: analysis.name })}
+                      checked={selectedIds.includes(analysis.id)}
+                      onChange={() => onToggleSelect(analysis.id)}
+                    />
+                    <span className="font-semibold">{analysis.name}</span>
+                  </label>
+                )}
+                <div className="text-xs text-gray-400">
+                  {analysis.companyTicker || t('analysisLibrary.noTicker')} · {formatDate(analysis.reportDate) || t('analysisLibrary.noDate')} · {analysis.currency}
+                </div>
+                <div className="space-x-3 mt-1">
+                  <button onClick={() => onOpen(analysis)} className="text-teal-300 hover:underline">{t('analysisLibrary.open')}</button>
+                  <button onClick={() => onDuplicate(analysis.id)} className="text-teal-300 hover:underline">{t('analysisLibrary.duplicate')}</button>
+                  <button onClick={() => startRename(analysis)} className="text-teal-300 hover:underline">{t('analysisLibrary.rename')}</button>
+                  <button onClick={() => handleDelete(analysis)} className="text-red-300 hover:underline">{t('analysisLibrary.delete')}</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {selectedIds.length > 0 && (
+            <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-300">{t('analysisLibrary.exportSelected', { count: selectedIds.length })}</span>
+              {['csv', 'json', 'xlsx'].map((format) => (
+                <button
+                  key={format}
+                  onClick={() => onExportSelected(format)}
+                  className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-md"
+                >
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisLibrary;
@@ -0,0 +1,69 @@
+import React from 'react';
+
+const PART_COLORS = {
+  currentAssets: '#2DD4BF',
+  nonCurrentAssets: '#0F766E',
+  currentLiabilities: '#F87171',
+  nonCurrentLiabilities: '#B91C1C',
+  shareholdersEquity: '#60A5FA',
+};
+
+const CHART_WIDTH = 400;
+const BAR_HEIGHT = 26;
+
+// Balance sheet composition: assets split into current and non-current, next to
+// their financing split into current liabilities, non-current liabilities and
+// equity. Each bar is scaled to the larger of the two totals. Drawn as SVG so it
+// is part of the printed report.
+const BalanceSheetChart = ({ composition, formatAmount, t }) => {
+  const bars = [
+    { key: 'assets', parts: composition.assets },
+    { key: 'financing', parts: composition.financing },
+  ];
+  const getPartLabel = (key) => (key.startsWith('nonCurrent') ? t(`charts.${key}`) : t(`fields.${key}`)); // Non-current parts are not input fields
+  const formatShare = (value) => `${((value / composition.total) * 100).toFixed(0)}%`;
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-lg font-medium text-teal-300 mb-2">{t('charts.compositionTitle')}</h3>
+      <svg viewBox={`0 0 ${CHART_WIDTH} 96`} className="chart w-full text-gray-200" role="img" aria-label={t('charts.compositionTitle')}>
+        {bars.map((bar, barIndex) => {
+          const y = 16 + barIndex * 48;
+          let x = 0;
+          return (
+            <g key={bar.key}>
+              <text x="0" y={y - 4} fontSize="11" fill="currentColor">{t(`charts.${bar.key}`)}</text>
+              {bar.parts.map((part) => {
+                const width = (Math.max(0, part.value) / composition.total) * CHART_WIDTH;
+                const partX = x;
+                x += width;
+                return (
+                  <g key={part.key}>
+                    <rect x={partX} y={y} width={width} height={BAR_HEIGHT} fill={PART_COLORS[part.key]}>
+                      <title>{`${getPartLabel(part.key)}: ${formatAmount(part.value)}`}</title>
+                    </rect>
+                    {width >= 36 && (
+                      <text x={partX + width / 2} y={y + BAR_HEIGHT / 2} textAnchor="middle" dominantBaseline="middle" fontSize="11" fill="#111827">
+                        {formatShare(part.value)}
+                      </text>
+                    )}
+                  </g>
+                );
+              })}
+            </g>
+          );
+        })}
+      </svg>
+      <ul className="chart-legend mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-4 text-xs text-gray-200">
+        {[...composition.assets, ...composition.financing].map((part) => (
+          <li key={part.key} className="flex items-center space-x-2">
+            <svg width="10" height="10" aria-hidden="true"><rect width="10" height="10" fill={PART_COLORS[part.key]} /></svg>
+            <span>{getPartLabel(part.key)}: {formatAmount(part.value)} ({formatShare(part.value)})</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default BalanceSheetChart;
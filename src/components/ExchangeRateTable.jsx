@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { CURRENCIES } from '../lib/currencies';
+import { createExchangeRateId, formatExchangeRate } from '../lib/exchangeRates';
+
+// Editor of the exchange rate table used to convert figures to the reporting
+// currency. Rates are entered by the user, so conversion works offline.
+const ExchangeRateTable = ({ rates, numberFormat, onChange, t }) => {
+  const [fromCurrency, setFromCurrency] = useState('MXN');
+  const [toCurrency, setToCurrency] = useState('USD');
+  const [rate, setRate] = useState('');
+  const [effectiveDate, setEffectiveDate] = useState('');
+  const [message, setMessage] = useState('');
+
+  /**
+   * Validates the new rate and adds it. A rate for the same pair and effective
+   * date replaces the existing one.
+   */
+  const handleAdd = () => {
+    const rateValue = parseFloat(rate);
+    if (fromCurrency === toCurrency) {
+      setMessage(t('exchangeRates.sameCurrency'));
+      return;
+    }
+    if (isNaN(rateValue) || rateValue <= 0) {
+      setMessage(t('exchangeRates.invalidRate'));
+      return;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate)) {
+      setMessage(t('exchangeRates.missingDate'));
+      return;
+    }
+    setMessage('');
+    setRate('');
+    onChange([
+      ...rates.filter((entry) => !(entry.fromCurrency === fromCurrency && entry.toCurrency === toCurrency && entry.effectiveDate === effectiveDate)),
+      { id: createExchangeRateId(), fromCurrency, toCurrency, rate: rateValue, effectiveDate },
+    ].sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate)));
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-gray-700 rounded-md text-sm text-gray-200">
+      <p className="text-xs text-gray-400 mb-2">
+        {t('exchangeRates.help')}
+      </p>
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end">
+        <select
+          aria-label={t('exchangeRates.fromCurrency')}
+          value={fromCurrency}
+          onChange={(e) => setFromCurrency(e.target.value)}
+          className="p-1 rounded-md bg-gray-800 border border-gray-600"
+        >
+          {CURRENCIES.map((currency) => <option key={currency.code} value={currency.code}>{currency.code}</option>)}
+        </select>
+        <select
+          aria-label={t('exchangeRates.toCurrency')}
+          value={toCurrency}
+          onChange={(e) => setToCurrency(e.target.value)}
+          className="p-1 rounded-md bg-gray-800 border border-gray-600"
+        >
+          {CURRENCIES.map((currency) => <option key={currency.code} value={currency.code}>{currency.code}</option>)}
+        </select>
+        <input
+          type="text"
+          aria-label={t('exchangeRates.rate')}
+          value={rate}
+          onChange={(e) => setRate(e.target.value.replace(/[^0-9.]/g, ''))}
+          className="p-1 rounded-md bg-gray-800 border border-gray-600"
+          placeholder={t('exchangeRates.ratePlaceholder')}
+        />
+        <input
+          type="date"
+          aria-label={t('exchangeRates.effectiveDate')}
+          value={effectiveDate}
+          onChange={(e) => setEffectiveDate(e.target.value)}
+          className="p-1 rounded-md bg-gray-800 border border-gray-600"
+        />
+        <button
+          onClick={handleAdd}
+          className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-1 px-3 rounded-md"
+        >
+          {t('exchangeRates.add')}
+        </button>
+      </div>
+      {message && <p className="mt-2 text-red-300">{message}</p>}
+
+      {rates.length === 0 ? (
+        <p className="mt-2 text-gray-400">{t('exchangeRates.empty')}</p>
+      ) : (
+        <ul className="mt-3 space-y-1">
+          {rates.map((entry) => (
+            <li key={entry.id} className="flex items-center justify-between">
+              <span>{t('exchangeRates.entry', { date: entry.effectiveDate, from: entry.fromCurrency, rate: formatExchangeRate(entry.rate, numberFormat), to: entry.toCurrency })}</span>
+              <button
+                onClick={() => onChange(rates.filter((candidate) => candidate.id !== entry.id))}
+                className="text-red-300 hover:underline"
+              >
+                {t('exchangeRates.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExchangeRateTable;
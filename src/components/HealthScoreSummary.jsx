@@ -0,0 +1,80 @@
+import React from 'react';
+import { ALTMAN_VARIANTS } from '../lib/altmanZScore';
+
+// Composite health score with its per-ratio breakdown, and the Altman Z-Score
+// with its zone. Rendered inside the printable results.
+const HealthScoreSummary = ({ healthScore, altman, altmanVariant, onAltmanVariantChange, t }) => {
+  const variant = ALTMAN_VARIANTS.find((candidate) => candidate.key === altmanVariant) || ALTMAN_VARIANTS[0];
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-lg font-medium text-teal-300 mb-2">{t('healthScore.title')}</h3>
+      {healthScore.score === null ? (
+        <p className="text-sm text-gray-300">{t('healthScore.noScore')}</p>
+      ) : (
+        <>
+          <p className="text-base text-gray-200">
+            <span className="font-semibold">{t('healthScore.score')}</span> {healthScore.score.toFixed(0)} / 100 - {healthScore.interpretation}
+          </p>
+          <table className="w-full mt-2 text-xs text-gray-200 border-collapse">
+            <thead>
+              <tr>
+                <th className="text-left p-1 border-b border-gray-600">{t('healthScore.ratio')}</th>
+                <th className="text-left p-1 border-b border-gray-600">{t('healthScore.interpretation')}</th>
+                <th className="text-right p-1 border-b border-gray-600">{t('healthScore.weight')}</th>
+                <th className="text-right p-1 border-b border-gray-600">{t('healthScore.contribution')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {healthScore.contributions.map((ratio) => (
+                <tr key={ratio.key}>
+                  <td className="p-1 border-b border-gray-600">{ratio.label}</td>
+                  <td className="p-1 border-b border-gray-600">{ratio.interpretation}</td>
+                  <td className="p-1 border-b border-gray-600 text-right">{(ratio.share * 100).toFixed(1)}%</td>
+                  <td className="p-1 border-b border-gray-600 text-right">{ratio.contribution.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <h3 className="text-lg font-medium text-teal-300 mt-4 mb-2">{t('altman.title')}</h3>
+      <select
+        aria-label={t('altman.model')}
+        value={variant.key}
+        onChange={(e) => onAltmanVariantChange(e.target.value)}
+        className="w-full p-2 mb-2 rounded-md bg-gray-800 border border-gray-600 text-sm hide-on-print"
+      >
+        {ALTMAN_VARIANTS.map((candidate) => (
+          <option key={candidate.key} value={candidate.key}>{t(`altman.variants.${candidate.key}`)}</option>
+        ))}
+      </select>
+      <p className="text-sm text-gray-300">
+        {t('altman.modelDescription', {
+          model: t(`altman.variants.${variant.key}`),
+          safe: variant.limits.safe,
+          distress: variant.limits.distress,
+        })}
+      </p>
+      {altman.score === null ? (
+        <p className="text-sm text-yellow-300">{altman.warning}</p>
+      ) : (
+        <>
+          <p className="text-base text-gray-200">
+            <span className="font-semibold">{t('altman.score')}</span> {altman.score.toFixed(2)} - {altman.zone}
+          </p>
+          <ul className="list-disc list-inside text-xs text-gray-300 ml-2">
+            {altman.components.map((component) => (
+              <li key={component.key}>
+                {component.label}: {component.value.toFixed(3)} × {component.coefficient} = {component.contribution.toFixed(2)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HealthScoreSummary;
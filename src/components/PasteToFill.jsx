@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { INPUT_FIELDS } from '../lib/ratioEngine';
+import { applyTextMapping, parseStatementText, suggestFieldForLabel } from '../lib/statementImport';
+import { formatLocalizedNumber } from '../lib/numberFormat';
+
+// Fills the form from statement text pasted as "label amount" lines, e.g. copied
+// from a PDF report, after a preview where each line's field can be confirmed and
+// the amount of lines with several of them chosen.
+const PasteToFill = ({ numberFormat, onApply, t }) => {
+  const [rawText, setRawText] = useState('');
+  const [parsedText, setParsedText] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [message, setMessage] = useState('');
+
+  /**
+   * Finds the labeled amounts in the text and suggests a field for each one.
+   */
+  const handleAnalyze = () => {
+    const result = parseStatementText(rawText, numberFormat);
+    if (result.lineItems.length === 0) {
+      setParsedText(null);
+      setMessage(t('pasteToFill.noLines'));
+      return;
+    }
+    setParsedText(result);
+    setMapping(result.lineItems.map((lineItem) => suggestFieldForLabel(lineItem.label)));
+    setMessage('');
+  };
+
+  /**
+   * Changes the field a line is mapped to.
+   * @param {number} lineIndex - Index of the line.
+   * @param {string} fieldKey - The field key, or '' to ignore the line.
+   */
+  const handleMappingChange = (lineIndex, fieldKey) => {
+    setMapping((prevMapping) => prevMapping.map((value, index) => (index === lineIndex ? fieldKey : value)));
+  };
+
+  /**
+   * Chooses the amount of a line with several possible amounts.
+   * @param {number} lineIndex - Index of the line.
+   * @param {string} amountIndex - Index of the amount, or '' to leave it unchosen.
+   */
+  const handleAmountChange = (lineIndex, amountIndex) => {
+    setParsedText((prevParsedText) => ({
+      ...prevParsedText,
+      lineItems: prevParsedText.lineItems.map((lineItem, index) => (index === lineIndex
+        ? { ...lineItem, amountIndex: amountIndex === '' ? null : Number(amountIndex) }
+        : lineItem)),
+    }));
+  };
+
+  const mappingResult = parsedText ? applyTextMapping(parsedText.lineItems, mapping) : null;
+  const mappedCount = mappingResult ? Object.keys(mappingResult.figures).length : 0;
+
+  /**
+   * Loads the confirmed fields into the form and closes the preview.
+   */
+  const handleApply = () => {
+    onApply(mappingResult.figures);
+    setParsedText(null);
+    setRawText('');
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-700 rounded-md text-sm text-gray-200 hide-on-print">
+      <h3 className="text-lg font-medium text-teal-300 mb-2">{t('pasteToFill.title')}</h3>
+      <p className="text-xs text-gray-400 mb-2">
+        {t('pasteToFill.help')}
+      </p>
+      <textarea
+        aria-label={t('pasteToFill.textToRead')}
+        value={rawText}
+        onChange={(e) => setRawText(e.target.value)}
+        rows={5}
+        className="w-full p-2 rounded-md bg-gray-800 border border-gray-600 focus:ring-teal-500 focus:border-teal-500 font-mono text-xs"
+        placeholder={t('pasteToFill.placeholder')}
+      />
+      <button
+        onClick={handleAnalyze}
+        className="mt-2 bg-teal-600 hover:bg-teal-700 text-white font-bold py-1 px-3 rounded-md"
+      >
+        {t('pasteToFill.analyze')}
+      </button>
+
+      {message && <p className="mt-2 text-red-300">{message}</p>}
+
+      {parsedText && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr>
+                <th className="text-left p-1 border-b border-gray-600">{t('pasteToFill.line')}</th>
+                <th className="text-right p-1 border-b border-gray-600">{t('pasteToFill.amount')}</th>
+                <th className="text-left p-1 border-b border-gray-600">{t('pasteToFill.field')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {parsedText.lineItems.map((lineItem, lineIndex) => (
+                <tr key={`${lineItem.label}-${lineIndex}`} className={lineItem.amounts.length > 1 ? 'text-yellow-300' : ''}>
+                  <td className="p-1 border-b border-gray-600">{lineItem.label}</td>
+                  <td className="p-1 border-b border-gray-600 text-right">
+                    {lineItem.amounts.length === 1 ? (
+                      formatLocalizedNumber(lineItem.amounts[0].value, numberFormat, { accounting: true })
+                    ) : (
+                      <select
+                        aria-label={t('pasteToFill.amountFor', { label: lineItem.label })}
+                        value={lineItem.amountIndex ?? ''}
+                        onChange={(e) => handleAmountChange(lineIndex, e.target.value)}
+                        className="p-1 rounded-md bg-gray-800 border border-yellow-500"
+                      >
+                        <option value="">{t('pasteToFill.chooseAmount')}</option>
+                        {lineItem.amounts.map((amount, amountIndex) => (
+                          <option key={amountIndex} value={amountIndex}>
+                            {formatLocalizedNumber(amount.value, numberFormat, { accounting: true })}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                  <td className="p-1 border-b border-gray-600">
+                    <select
+                      aria-label={t('pasteToFill.fieldFor', { label: lineItem.label })}
+                      value={mapping[lineIndex]}
+                      onChange={(e) => handleMappingChange(lineIndex, e.target.value)}
+                      className="p-1 rounded-md bg-gray-800 border border-gray-600"
+                    >
+                      <option value="">{t('pasteToFill.ignore')}</option>
+                      {INPUT_FIELDS.map((field) => (
+                        <option key={field.key} value={field.key}>{t(`fields.${field.key}`)}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {parsedText.skippedLines.length > 0 && (
+            <p className="mt-2 text-yellow-300">
+              {t('pasteToFill.skippedLines', { lines: parsedText.skippedLines.join(' / ') })}
+            </p>
+          )}
+          {mappingResult.ambiguousLines.length > 0 && (
+            <p className="mt-2 text-yellow-300">
+              {t('pasteToFill.ambiguousLines', { lines: mappingResult.ambiguousLines.join(' / ') })}
+            </p>
+          )}
+          {mappingResult.duplicatedFields.length > 0 && (
+            <p className="mt-2 text-yellow-300">
+              {t('pasteToFill.duplicatedFields', {
+                fields: mappingResult.duplicatedFields.map((fieldKey) => t(`fields.${fieldKey}`)).join(', '),
+              })}
+            </p>
+          )}
+
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <button
+              onClick={handleApply}
+              disabled={mappedCount === 0}
+              className="bg-teal-600 hover:bg-teal-700 disabled:opacity-50 text-white font-bold py-1 px-3 rounded-md"
+            >
+              {t('pasteToFill.apply', { count: mappedCount })}
+            </button>
+            <button
+              onClick={() => setParsedText(null)}
+              className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-md"
+            >
+              {t('pasteToFill.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PasteToFill;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { getInterpretationRank } from '../lib/ratioEngine';
+import SeriesChart from './SeriesChart';
+
+// Peer comparison table: one column per company and one row per ratio, with the
+// best and worst value of each row highlighted, each company's rank and the peer median,
+// followed by a bar chart of each ratio.
+const PeerComparison = ({ companies, rows, formatDate, formatValue, onExport, onPrint, t }) => (
+  <div id="peer-comparison" className="mt-4 overflow-x-auto">
+    <h3 className="text-lg font-medium text-teal-300 mt-4 mb-2">{t('comparison.heading')}</h3>
+    <table className="w-full text-xs text-gray-200 border-collapse">
+      <thead>
+        <tr>
+          <th className="text-left p-1 border-b border-gray-600">{t('comparison.ratio')}</th>
+          {companies.map((company) => (
+            <th key={company.id} className="text-left p-1 border-b border-gray-600">
+              <div>{company.label}</div>
+              <div className="font-normal text-gray-400">{formatDate(company.reportDate)}</div>
+            </th>
+          ))}
+          <th className="text-left p-1 border-b border-gray-600">{t('comparison.median')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(({ definition, cells, median }) => (
+          <tr key={definition.key}>
+            <td className="p-1 border-b border-gray-600 font-semibold">{t(`ratios.${definition.key}.label`)}</td>
+            {cells.map((cell, index) => {
+              let highlightClass = '';
+              if (cell.isBest) highlightClass = 'bg-green-900 peer-best';
+              else if (cell.isWorst) highlightClass = 'bg-red-900 peer-worst';
+              return (
+                <td key={companies[index].id} className={`p-1 border-b border-gray-600 ${highlightClass}`}>
+                  <div className={cell.isBest ? 'font-bold' : ''}>
+                    {formatValue(cell.value, definition, companies[index])}
+                    {cell.rank !== null && ` (#${cell.rank})`}
+                  </div>
+                  {cell.value !== null && <div>{cell.interpretation}</div>}
+                  {cell.isBest && <div className="text-green-300">{t('comparison.best')}</div>}
+                  {cell.isWorst && <div className="text-red-300">{t('comparison.worst')}</div>}
+                </td>
+              );
+            })}
+            <td className="p-1 border-b border-gray-600">{formatValue(median, definition, companies[0])}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <div className="chart-grid grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
+      {rows.map(({ definition, cells }) => (
+        <SeriesChart
+          key={definition.key}
+          title={t(`ratios.${definition.key}.label`)}
+          type="bar"
+          categories={companies.map((company) => company.label)}
+          values={cells.map((cell) => cell.value)}
+          ranks={cells.map((cell) => getInterpretationRank(cell.interpretation))}
+          formatValue={(value) => formatValue(value, definition, companies[0])}
+        />
+      ))}
+    </div>
+    <div className="mt-3 flex flex-wrap items-center gap-2 text-sm hide-on-print">
+      <button
+        onClick={onPrint}
+        className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md"
+      >
+        {t('comparison.print')}
+      </button>
+      <span className="text-gray-300">{t('comparison.export')}</span>
+      {['csv', 'xlsx'].map((format) => (
+        <button
+          key={format}
+          onClick={() => onExport(format)}
+          className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-md"
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default PeerComparison;
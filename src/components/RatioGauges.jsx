@@ -0,0 +1,80 @@
+import React from 'react';
+import { BAND_COLORS, getGaugeBoundaries, getGaugePosition } from '../lib/charts';
+
+const CENTER_X = 90;
+const CENTER_Y = 82;
+const RADIUS = 60;
+
+/**
+ * Returns the point of the gauge arc at a position (0 = left end, 1 = right end).
+ * @param {number} position - Position on the arc.
+ * @param {number} radius - Distance from the center.
+ * @returns {{x: number, y: number}} - The point.
+ */
+const getArcPoint = (position, radius) => {
+  const angle = Math.PI * (1 - position);
+  return { x: CENTER_X + radius * Math.cos(angle), y: CENTER_Y - radius * Math.sin(angle) };
+};
+
+// Semicircular gauges, one per ratio: the five interpretation bands from the
+// worst (left) to the best (right), with a needle at the ratio's value. Drawn as
+// SVG so they are part of the printed report.
+const RatioGauges = ({ definitions, analysis, thresholds, formatLimit, t }) => {
+  const gaugeDefinitions = definitions.filter((definition) => analysis.bandValues[definition.key] != null);
+  if (gaugeDefinitions.length === 0) return null;
+
+  return (
+    <div className="chart-grid grid grid-cols-2 sm:grid-cols-3 gap-2 my-3">
+      {gaugeDefinitions.map((definition) => {
+        const bands = thresholds[definition.key];
+        const value = analysis.bandValues[definition.key];
+        const label = t(`ratios.${definition.key}.label`);
+        const formattedValue = formatLimit(value, definition);
+        const needle = getArcPoint(getGaugePosition(value, bands), RADIUS - 4);
+        return (
+          <figure key={definition.key} className="text-center text-gray-200">
+            <svg
+              viewBox="0 0 180 112"
+              className="chart w-full max-w-[12rem] mx-auto"
+              role="img"
+              aria-label={t('charts.gaugeDescription', { label, value: formattedValue, interpretation: analysis.interpretations[definition.key] })}
+            >
+              {BAND_COLORS.map((color, rank) => {
+                const start = getArcPoint(rank / 5, RADIUS);
+                const end = getArcPoint((rank + 1) / 5, RADIUS);
+                return (
+                  <path
+                    key={color}
+                    d={`M ${start.x} ${start.y} A ${RADIUS} ${RADIUS} 0 0 1 ${end.x} ${end.y}`}
+                    fill="none"
+                    stroke={color}
+                    strokeWidth="14"
+                  />
+                );
+              })}
+              {getGaugeBoundaries(bands).map((limit, index) => {
+                const point = getArcPoint((index + 1) / 5, RADIUS + 14);
+                return (
+                  <text key={index} x={point.x} y={point.y} textAnchor="middle" dominantBaseline="middle" fontSize="9" fill="currentColor">
+                    {formatLimit(limit, definition)}
+                  </text>
+                );
+              })}
+              <line x1={CENTER_X} y1={CENTER_Y} x2={needle.x} y2={needle.y} stroke="currentColor" strokeWidth="3" strokeLinecap="round" />
+              <circle cx={CENTER_X} cy={CENTER_Y} r="5" fill="currentColor" />
+              <text x={CENTER_X} y={CENTER_Y + 22} textAnchor="middle" fontSize="14" fontWeight="bold" fill="currentColor">
+                {formattedValue}
+              </text>
+            </svg>
+            <figcaption className="text-xs">
+              <div className="font-semibold">{label}</div>
+              <div>{analysis.interpretations[definition.key]}</div>
+            </figcaption>
+          </figure>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RatioGauges;
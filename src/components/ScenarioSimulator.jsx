@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { INPUT_FIELDS, analyzeBalanceSheet } from '../lib/ratioEngine';
+import { SCENARIO_PRESETS, applyScenarioDeltas, compareScenario, getPresetDeltas } from '../lib/scenarios';
+import { formatLocalizedNumber, parseLocalizedNumber, scaleAmount } from '../lib/numberFormat';
+
+// What-if simulator built on the form's figures: a change per line item, typed
+// or added from a preset transaction, and the before/after value and band of
+// every ratio. The scenario is analyzed on a copy, so the base analysis is untouched.
+const ScenarioSimulator = ({
+  figures, thresholds, periodDays, numberFormat, getScaleFactor, formatAmount, formatRatioValue, formatChange, t,
+}) => {
+  const [deltaTexts, setDeltaTexts] = useState({}); // Changes as typed, in the display number format and each field's scale
+  const [presetKey, setPresetKey] = useState(SCENARIO_PRESETS[0].key);
+  const [presetAmount, setPresetAmount] = useState('');
+  const [message, setMessage] = useState('');
+
+  const filledFields = INPUT_FIELDS.filter((field) => figures[field.key] !== '' && !isNaN(parseFloat(figures[field.key])));
+
+  /**
+   * Parses a typed change into units.
+   * @param {string} text - The change as typed.
+   * @param {string} [fieldKey] - The field it changes; an amount when omitted.
+   * @returns {number} - The change in units (0 when empty), or NaN if it is not a number.
+   */
+  const parseDelta = (text, fieldKey) => {
+    if (!text || !text.trim()) return 0;
+    const value = parseLocalizedNumber(text, numberFormat);
+    return isNaN(value) ? NaN : scaleAmount(value, getScaleFactor(fieldKey));
+  };
+
+  const deltas = Object.fromEntries(filledFields.map((field) => [field.key, parseDelta(deltaTexts[field.key], field.key)]));
+  const invalidFields = filledFields.filter((field) => isNaN(deltas[field.key]));
+  const scenarioFigures = applyScenarioDeltas(figures, Object.fromEntries(
+    Object.entries(deltas).filter(([, delta]) => !isNaN(delta))
+  ));
+  const baseAnalysis = analyzeBalanceSheet(figures, { thresholds, periodDays, t });
+  const scenarioAnalysis = analyzeBalanceSheet(scenarioFigures, { thresholds, periodDays, t });
+  const rows = scenarioAnalysis.error ? [] : compareScenario(baseAnalysis, scenarioAnalysis);
+
+  /**
+   * Adds the changes of the selected preset to the current ones.
+   */
+  const handleApplyPreset = () => {
+    const amount = parseDelta(presetAmount);
+    if (isNaN(amount) || amount <= 0) {
+      setMessage(t('scenarios.invalidAmount'));
+      return;
+    }
+    const presetDeltas = getPresetDeltas(presetKey, amount);
+    setDeltaTexts((prevTexts) => {
+      const nextTexts = { ...prevTexts };
+      filledFields.filter((field) => field.key in presetDeltas).forEach((field) => {
+        const current = parseDelta(prevTexts[field.key], field.key);
+        const total = (isNaN(current) ? 0 : current) + presetDeltas[field.key];
+        nextTexts[field.key] = total === 0 ? '' : formatLocalizedNumber(total / getScaleFactor(field.key), numberFormat);
+      });
+      return nextTexts;
+    });
+    setMessage(t('scenarios.presetApplied', { preset: t(`scenarios.presets.${presetKey}`) }));
+  };
+
+  /**
+   * Clears every change, leaving the scenario equal to the base figures.
+   */
+  const handleReset = () => {
+    setDeltaTexts({});
+    setMessage('');
+  };
+
+  return (
+    <div id="scenario-simulator" className="mt-6 p-4 bg-gray-700 rounded-md hide-on-print">
+      <h3 className="text-lg font-medium text-teal-300 mb-1">{t('scenarios.title')}</h3>
+      <p className="text-xs text-gray-400 mb-3">{t('scenarios.description')}</p>
+
+      <div className="flex flex-col sm:flex-row sm:items-end gap-2 mb-3">
+        <div className="flex-1">
+          <label htmlFor="scenarioPreset" className="block text-sm font-medium text-gray-300 mb-1">{t('scenarios.preset')}</label>
+          <select
+            id="scenarioPreset"
+            value={presetKey}
+            onChange={(e) => setPresetKey(e.target.value)}
+            className="w-full p-2 rounded-md bg-gray-800 border border-gray-600 text-sm"
+          >
+            {SCENARIO_PRESETS.map((preset) => (
+              <option key={preset.key} value={preset.key}>{t(`scenarios.presets.${preset.key}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1">
+          <label htmlFor="scenarioPresetAmount" className="block text-sm font-medium text-gray-300 mb-1">{t('scenarios.amount')}</label>
+          <input
+            type="text"
+            id="scenarioPresetAmount"
+            value={presetAmount}
+            onChange={(e) => setPresetAmount(e.target.value)}
+            className="w-full p-2 rounded-md bg-gray-800 border border-gray-600 text-sm"
+          />
+        </div>
+        <button
+          onClick={handleApplyPreset}
+          className="bg-teal-600 hover:bg-teal-700 text-white text-sm font-bold py-2 px-3 rounded-md"
+        >
+          {t('scenarios.applyPreset')}
+        </button>
+      </div>
+      {message && <p className="text-sm text-teal-200 mb-3">{message}</p>}
+
+      <table className="w-full text-xs text-gray-200 border-collapse mb-3">
+        <thead>
+          <tr>
+            <th className="text-left p-1 border-b border-gray-600">{t('scenarios.lineItem')}</th>
+            <th className="text-right p-1 border-b border-gray-600">{t('scenarios.base')}</th>
+            <th className="text-right p-1 border-b border-gray-600">{t('scenarios.change')}</th>
+            <th className="text-right p-1 border-b border-gray-600">{t('scenarios.scenario')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {filledFields.map((field) => (
+            <tr key={field.key}>
+              <td className="p-1 border-b border-gray-600">{t(`fields.${field.key}`)}</td>
+              <td className="p-1 border-b border-gray-600 text-right">{formatAmount(figures[field.key], field.key)}</td>
+              <td className="p-1 border-b border-gray-600 text-right">
+                <input
+                  type="text"
+                  aria-label={t('scenarios.changeOf', { label: t(`fields.${field.key}`) })}
+                  value={deltaTexts[field.key] || ''}
+                  onChange={(e) => setDeltaTexts((prevTexts) => ({ ...prevTexts, [field.key]: e.target.value }))}
+                  placeholder="0"
+                  className={`w-28 p-1 rounded-md bg-gray-800 border text-right ${isNaN(deltas[field.key]) ? 'border-red-500' : 'border-gray-600'}`}
+                />
+              </td>
+              <td className="p-1 border-b border-gray-600 text-right">{formatAmount(scenarioFigures[field.key], field.key)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {invalidFields.length > 0 && <p className="text-sm text-red-300 mb-3">{t('scenarios.invalidChanges')}</p>}
+
+      {scenarioAnalysis.error ? (
+        <p className="text-sm text-red-300">{scenarioAnalysis.error}</p>
+      ) : (
+        <table className="w-full text-xs text-gray-200 border-collapse">
+          <thead>
+            <tr>
+              <th className="text-left p-1 border-b border-gray-600">{t('scenarios.ratio')}</th>
+              <th className="text-left p-1 border-b border-gray-600">{t('scenarios.before')}</th>
+              <th className="text-left p-1 border-b border-gray-600">{t('scenarios.after')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.definition.key}>
+                <td className="p-1 border-b border-gray-600 font-semibold">{t(`ratios.${row.definition.key}.label`)}</td>
+                <td className="p-1 border-b border-gray-600">
+                  <div>{formatRatioValue(row.before, row.definition.format)}</div>
+                  <div>{row.beforeInterpretation}</div>
+                </td>
+                <td className="p-1 border-b border-gray-600">
+                  <div>{formatRatioValue(row.after, row.definition.format)}</div>
+                  <div>{row.afterInterpretation}</div>
+                  {row.change !== null && row.change !== 0 && (
+                    <div className={row.bandChange > 0 ? 'text-green-400' : row.bandChange < 0 ? 'text-red-400' : 'text-gray-400'}>
+                      {row.change > 0 ? '▲' : '▼'} {formatChange(row.change, row.definition.format)}
+                      {row.bandChange > 0 && t('trend.improved')}
+                      {row.bandChange < 0 && t('trend.worsened')}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        onClick={handleReset}
+        className="mt-3 bg-gray-600 hover:bg-gray-500 text-white text-sm font-bold py-1 px-3 rounded-md"
+      >
+        {t('scenarios.reset')}
+      </button>
+    </div>
+  );
+};
+
+export default ScenarioSimulator;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { RATIO_DEFINITIONS } from '../lib/ratioEngine';
+import { DEFAULT_SCORE_WEIGHTS, validateScoreWeights } from '../lib/healthScore';
+
+// Settings panel to edit the weight of each ratio in the composite health score.
+const ScoreWeightsSettings = ({ weights, onSave, t }) => {
+  const [draft, setDraft] = useState(() => Object.fromEntries(
+    RATIO_DEFINITIONS.map((definition) => [definition.key, String(weights[definition.key] ?? 0)])
+  ));
+  const [message, setMessage] = useState('');
+
+  /**
+   * Validates the draft and saves it.
+   */
+  const handleSave = () => {
+    const nextWeights = Object.fromEntries(
+      RATIO_DEFINITIONS.map((definition) => [definition.key, parseFloat(draft[definition.key])])
+    );
+    const error = validateScoreWeights(nextWeights, t);
+    setMessage(error || t('scoreWeights.saved'));
+    if (!error) onSave(nextWeights);
+  };
+
+  /**
+   * Restores the default weights in the draft (they are applied when saved).
+   */
+  const handleReset = () => {
+    setDraft(Object.fromEntries(
+      RATIO_DEFINITIONS.map((definition) => [definition.key, String(DEFAULT_SCORE_WEIGHTS[definition.key])])
+    ));
+    setMessage('');
+  };
+
+  const totalWeight = RATIO_DEFINITIONS.reduce((sum, definition) => sum + (parseFloat(draft[definition.key]) || 0), 0);
+
+  return (
+    <div className="mt-4 p-4 bg-gray-700 rounded-md text-sm text-gray-200 hide-on-print">
+      <p className="text-xs text-gray-400 mb-2">
+        {t('scoreWeights.help')}
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {RATIO_DEFINITIONS.map((definition) => (
+          <label key={definition.key} className="flex items-center justify-between space-x-2">
+            <span>{t(`ratios.${definition.key}.label`)}</span>
+            <input
+              type="text"
+              aria-label={t('scoreWeights.weightOf', { label: t(`ratios.${definition.key}.label`) })}
+              value={draft[definition.key]}
+              onChange={(e) => setDraft((prevDraft) => ({ ...prevDraft, [definition.key]: e.target.value.replace(/[^0-9.]/g, '') }))}
+              className="w-16 p-1 rounded-md bg-gray-800 border border-gray-600 text-right"
+            />
+          </label>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-gray-400">{t('scoreWeights.total', { total: parseFloat(totalWeight.toFixed(2)) })}</p>
+
+      {message && <p className="mt-2 text-teal-300">{message}</p>}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          onClick={handleSave}
+          className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-1 px-3 rounded-md"
+        >
+          {t('scoreWeights.save')}
+        </button>
+        <button
+          onClick={handleReset}
+          className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-md"
+        >
+          {t('scoreWeights.reset')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScoreWeightsSettings;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { BAND_COLORS, getValueScale } from '../lib/charts';
+
+const WIDTH = 320;
+const HEIGHT = 170;
+const PLOT = { left: 64, right: 8, top: 10, bottom: 30 };
+const NO_BAND_COLOR = '#9CA3AF';
+
+/**
+ * Shortens a category label so it fits under its point or bar.
+ * @param {string} label - The label.
+ * @param {number} maxLength - Maximum number of characters.
+ * @returns {string} - The label, cut with '…' when too long.
+ */
+const shortenLabel = (label, maxLength) => (label.length > maxLength ? `${label.slice(0, maxLength - 1)}…` : label);
+
+// Chart of one ratio across periods (line) or companies (bars). Points and bars
+// take the color of their interpretation band; N/A values are left out. Drawn as
+// SVG so it is part of the printed report.
+const SeriesChart = ({ title, type, categories, values, ranks, formatValue }) => {
+  const scale = getValueScale(values, { includeZero: type === 'bar' });
+  if (!scale) return null;
+
+  const plotWidth = WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = HEIGHT - PLOT.top - PLOT.bottom;
+  const slotWidth = plotWidth / categories.length;
+  const getX = (index) => PLOT.left + slotWidth * (index + 0.5);
+  const getY = (value) => PLOT.top + plotHeight * (1 - scale.toFraction(value));
+  const getColor = (index) => (ranks[index] >= 0 ? BAND_COLORS[ranks[index]] : NO_BAND_COLOR);
+  const maxLabelLength = Math.max(4, Math.floor(slotWidth / 6));
+
+  // Consecutive available values are joined; an N/A value breaks the line
+  const lineSegments = [];
+  values.forEach((value, index) => {
+    if (value === null) return;
+    if (index > 0 && values[index - 1] !== null) lineSegments[lineSegments.length - 1].push(index);
+    else lineSegments.push([index]);
+  });
+
+  return (
+    <figure className="text-gray-200">
+      <figcaption className="text-xs font-semibold mb-1">{title}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="chart w-full" role="img" aria-label={title}>
+        {scale.ticks.map((tick) => (
+          <g key={tick}>
+            <line x1={PLOT.left} x2={WIDTH - PLOT.right} y1={getY(tick)} y2={getY(tick)} stroke="#6B7280" strokeWidth="0.5" strokeDasharray={tick === 0 ? '' : '3 3'} />
+            <text x={PLOT.left - 4} y={getY(tick)} textAnchor="end" dominantBaseline="middle" fontSize="9" fill="currentColor">
+              {formatValue(tick)}
+            </text>
+          </g>
+        ))}
+        {type === 'bar' && values.map((value, index) => value !== null && (
+          <rect
+            key={index}
+            x={getX(index) - slotWidth * 0.3}
+            y={Math.min(getY(value), getY(0))}
+            width={slotWidth * 0.6}
+            height={Math.abs(getY(value) - getY(0))}
+            fill={getColor(index)}
+          >
+            <title>{`${categories[index]}: ${formatValue(value)}`}</title>
+          </rect>
+        ))}
+        {type === 'line' && lineSegments.filter((segment) => segment.length > 1).map((segment) => (
+          <polyline
+            key={segment[0]}
+            points={segment.map((index) => `${getX(index)},${getY(values[index])}`).join(' ')}
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="1.5"
+          />
+        ))}
+        {type === 'line' && values.map((value, index) => value !== null && (
+          <circle key={index} cx={getX(index)} cy={getY(value)} r="4" fill={getColor(index)} stroke="currentColor" strokeWidth="0.5">
+            <title>{`${categories[index]}: ${formatValue(value)}`}</title>
+          </circle>
+        ))}
+        {categories.map((category, index) => (
+          <text key={index} x={getX(index)} y={HEIGHT - PLOT.bottom + 14} textAnchor="middle" fontSize="9" fill="currentColor">
+            {shortenLabel(category, maxLabelLength)}
+          </text>
+        ))}
+      </svg>
+    </figure>
+  );
+};
+
+export default SeriesChart;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { INPUT_FIELDS } from '../lib/ratioEngine';
+import { applyImportMapping, parseStatementTable, suggestFieldForLabel } from '../lib/statementImport';
+
+// Import of balance sheet figures from a CSV file or a block pasted from a spreadsheet,
+// with a preview where each line item can be mapped to an input field.
+const StatementImport = ({ numberFormat, onLoadPeriod, onAddPeriods, t }) => {
+  const [rawText, setRawText] = useState('');
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [selectedPeriodIndex, setSelectedPeriodIndex] = useState(0);
+  const [message, setMessage] = useState('');
+
+  /**
+   * Parses the text and suggests a field for each line item.
+   * @param {string} text - CSV or tab-separated text.
+   */
+  const analyzeText = (text) => {
+    const parsedTable = parseStatementTable(text, t);
+    if (parsedTable.lineItems.length === 0 || parsedTable.periodLabels.length === 0) {
+      setTable(null);
+      setMessage(t('statementImport.noRows'));
+      return;
+    }
+    setTable(parsedTable);
+    setMapping(parsedTable.lineItems.map((lineItem) => suggestFieldForLabel(lineItem.label)));
+    setSelectedPeriodIndex(parsedTable.periodLabels.length - 1); // Most recent column is usually last
+    setMessage('');
+  };
+
+  /**
+   * Reads an uploaded CSV file and analyzes it.
+   * @param {object} e - The change event of the file input.
+   */
+  const handleFileChange = (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setRawText(reader.result);
+      analyzeText(reader.result);
+    };
+    reader.readAsText(file);
+  };
+
+  /**
+   * Changes the field a line item is mapped to.
+   * @param {number} rowIndex - Index of the line item.
+   * @param {string} fieldKey - The field key, or '' to ignore the row.
+   */
+  const handleMappingChange = (rowIndex, fieldKey) => {
+    setMapping((prevMapping) => prevMapping.map((value, index) => (index === rowIndex ? fieldKey : value)));
+  };
+
+  const importResult = table ? applyImportMapping(table, mapping, numberFormat) : null;
+  const duplicatedFields = mapping.filter((fieldKey, index) => fieldKey && mapping.indexOf(fieldKey) !== index);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-700 rounded-md text-sm text-gray-200 hide-on-print">
+      <h3 className="text-lg font-medium text-teal-300 mb-2">{t('statementImport.title')}</h3>
+      <p className="text-xs text-gray-400 mb-2">
+        {t('statementImport.help')}
+      </p>
+      <textarea
+        aria-label={t('statementImport.dataToImport')}
+        value={rawText}
+        onChange={(e) => setRawText(e.target.value)}
+        rows={5}
+        className="w-full p-2 rounded-md bg-gray-800 border border-gray-600 focus:ring-teal-500 focus:border-teal-500 font-mono text-xs"
+        placeholder={t('statementImport.placeholder')}
+      />
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button
+          onClick={() => analyzeText(rawText)}
+          className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-1 px-3 rounded-md"
+        >
+          {t('statementImport.analyze')}
+        </button>
+        <label className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-md cursor-pointer">
+          {t('statementImport.loadCsv')}
+          <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={handleFileChange} className="hidden" />
+        </label>
+      </div>
+
+      {message && <p className="mt-2 text-red-300">{message}</p>}
+
+      {table && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr>
+                <th className="text-left p-1 border-b border-gray-600">{t('statementImport.lineItem')}</th>
+                <th className="text-left p-1 border-b border-gray-600">{t('statementImport.field')}</th>
+                {table.periodLabels.map((periodLabel) => (
+                  <th key={periodLabel} className="text-left p-1 border-b border-gray-600">{periodLabel}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.lineItems.map((lineItem, rowIndex) => (
+                <tr key={`${lineItem.label}-${rowIndex}`}>
+                  <td className="p-1 border-b border-gray-600">{lineItem.label}</td>
+                  <td className="p-1 border-b border-gray-600">
+                    <select
+                      aria-label={t('statementImport.fieldFor', { label: lineItem.label })}
+                      value={mapping[rowIndex]}
+                      onChange={(e) => handleMappingChange(rowIndex, e.target.value)}
+                      className="p-1 rounded-md bg-gray-800 border border-gray-600"
+                    >
+                      <option value="">{t('statementImport.ignore')}</option>
+                      {INPUT_FIELDS.map((field) => (
+                        <option key={field.key} value={field.key}>{t(`fields.${field.key}`)}</option>
+                      ))}
+                    </select>
+                  </td>
+                  {lineItem.values.map((value, periodIndex) => (
+                    <td key={table.periodLabels[periodIndex]} className="p-1 border-b border-gray-600">{value}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {importResult.unmappedRows.length > 0 && (
+            <p className="mt-2 text-yellow-300">
+              {t('statementImport.unmappedRows', { rows: importResult.unmappedRows.join(', ') })}
+            </p>
+          )}
+          {importResult.invalidCells.length > 0 && (
+            <p className="mt-2 text-red-300">
+              {t('statementImport.invalidCells', {
+                cells: importResult.invalidCells
+                  .map((cell) => t('statementImport.invalidCell', { ...cell, raw: cell.raw || t('statementImport.emptyCell') }))
+                  .join('; '),
+              })}
+            </p>
+          )}
+          {duplicatedFields.length > 0 && (
+            <p className="mt-2 text-red-300">
+              {t('statementImport.duplicatedFields')}
+            </p>
+          )}
+
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <select
+              aria-label={t('statementImport.periodToLoad')}
+              value={selectedPeriodIndex}
+              onChange={(e) => setSelectedPeriodIndex(Number(e.target.value))}
+              className="p-1 rounded-md bg-gray-800 border border-gray-600"
+            >
+              {table.periodLabels.map((periodLabel, index) => (
+                <option key={periodLabel} value={index}>{periodLabel}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onLoadPeriod(importResult.periods[selectedPeriodIndex])}
+              className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-1 px-3 rounded-md"
+            >
+              {t('statementImport.loadIntoForm')}
+            </button>
+            {table.periodLabels.length > 1 && (
+              <button
+                onClick={() => onAddPeriods(importResult.periods)}
+                className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md"
+              >
+                {t('statementImport.addAllAsPeriods')}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatementImport;
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { RATIO_DEFINITIONS, getRatioGuideLabel } from '../lib/ratioEngine';
+import { downloadTextFile } from '../lib/download';
+import { createProfileKey, parseProfileJson, serializeProfile, validateThresholds } from '../lib/thresholdProfiles';
+
+/**
+ * Returns true when a ratio's limits are edited as percentages.
+ * @param {object} definition - The ratio definition.
+ * @returns {boolean} - Whether limits are shown multiplied by 100.
+ */
+const isPercentageBand = (definition) => (definition.bandFormat || definition.format) === 'percentage';
+
+/**
+ * Converts a thresholds map into editable rows of strings.
+ * @param {object} thresholds - Map of ratio key to { direction, limits }.
+ * @returns {object} - Map of ratio key to { direction, limits: string[] }.
+ */
+const toDraft = (thresholds) => Object.fromEntries(RATIO_DEFINITIONS.map((definition) => {
+  const bands = thresholds[definition.key];
+  const scale = isPercentageBand(definition) ? 100 : 1;
+  return [definition.key, {
+    direction: bands.direction,
+    limits: bands.limits.map((limit) => String(parseFloat((limit * scale).toFixed(4)))),
+  }];
+}));
+
+/**
+ * Converts editable rows back into a thresholds map.
+ * @param {object} draft - Map of ratio key to { direction, limits: string[] }.
+ * @returns {object} - Map of ratio key to { direction, limits: number[] }.
+ */
+const fromDraft = (draft) => Object.fromEntries(RATIO_DEFINITIONS.map((definition) => {
+  const row = draft[definition.key];
+  const scale = isPercentageBand(definition) ? 100 : 1;
+  return [definition.key, {
+    direction: row.direction,
+    limits: row.limits.map((limit) => parseFloat(limit) / scale),
+  }];
+}));
+
+// Settings panel to edit, save, import and export interpretation threshold profiles.
+// The parent should remount it (via `key`) when the active profile changes.
+const ThresholdSettings = ({ profile, isCustom, onSave, onDelete, t }) => {
+  const interpretationLabels = t('interpretations');
+  const [label, setLabel] = useState(isCustom ? profile.label : t('thresholdSettings.customLabel', { label: profile.label }));
+  const [draft, setDraft] = useState(() => toDraft(profile.thresholds));
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState('');
+
+  /**
+   * Updates one limit of a ratio in the draft.
+   * @param {string} ratioKey - The ratio key.
+   * @param {number} index - Index of the limit (0 = Excelente ... 3 = Malo).
+   * @param {string} value - The new value as typed.
+   */
+  const handleLimitChange = (ratioKey, index, value) => {
+    setDraft((prevDraft) => {
+      const limits = [...prevDraft[ratioKey].limits];
+      limits[index] = value.replace(/[^0-9.-]/g, '');
+      return { ...prevDraft, [ratioKey]: { ...prevDraft[ratioKey], limits } };
+    });
+  };
+
+  /**
+   * Updates the direction of a ratio in the draft.
+   * @param {string} ratioKey - The ratio key.
+   * @param {string} direction - 'higher' or 'lower'.
+   */
+  const handleDirectionChange = (ratioKey, direction) => {
+    setDraft((prevDraft) => ({ ...prevDraft, [ratioKey]: { ...prevDraft[ratioKey], direction } }));
+  };
+
+  /**
+   * Validates the draft and saves it. Built-in profiles are saved as a new custom profile.
+   */
+  const handleSave = () => {
+    const thresholds = fromDraft(draft);
+    const validationErrors = validateThresholds(thresholds, t);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage(t('thresholdSettings.fixBeforeSaving'));
+      return;
+    }
+    if (!label.trim()) {
+      setMessage(t('thresholdSettings.nameRequired'));
+      return;
+    }
+    setMessage('');
+    onSave({ key: isCustom ? profile.key : createProfileKey(), label: label.trim(), thresholds });
+  };
+
+  /**
+   * Exports the draft as a JSON file.
+   */
+  const handleExport = () => {
+    const thresholds = fromDraft(draft);
+    const validationErrors = validateThresholds(thresholds, t);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      setMessage(t('thresholdSettings.fixBeforeExporting'));
+      return;
+    }
+    setMessage('');
+    const filename = `${label.trim().replace(/[^a-z0-9]+/gi, '_') || t('thresholdSettings.defaultFileName')}.json`;
+    downloadTextFile(serializeProfile({ label, thresholds }), filename, 'application/json');
+  };
+
+  /**
+   * Imports a profile from a JSON file and saves it as a new custom profile.
+   * @param {object} e - The change event of the file input.
+   */
+  const handleImport = (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { profile: importedProfile, error } = parseProfileJson(reader.result, t);
+      if (error) {
+        setMessage(error);
+        return;
+      }
+      setMessage('');
+      onSave(importedProfile);
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-gray-700 rounded-md text-sm text-gray-200">
+      <label htmlFor="profileLabel" className="block text-sm font-medium text-gray-300 mb-1">
+        {t('thresholdSettings.profileName')}
+      </label>
+      <input
+        type="text"
+        id="profileLabel"
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        className="w-full p-2 mb-4 rounded-md bg-gray-800 border border-gray-600 focus:ring-teal-500 focus:border-teal-500"
+      />
+
+      <p className="text-xs text-gray-400 mb-2">
+        {t('thresholdSettings.limitsHelp', { labels: interpretationLabels.slice(1).reverse().join(', ') })}
+      </p>
+
+      {RATIO_DEFINITIONS.map((definition) => (
+        <div key={definition.key} className="mb-3">
+          <div className="flex items-center justify-between">
+            <span className="font-semibold">{getRatioGuideLabel(definition.key, t)}</span>
+            <select
+              aria-label={t('thresholdSettings.directionOf', { label: t(`ratios.${definition.key}.label`) })}
+              value={draft[definition.key].direction}
+              onChange={(e) => handleDirectionChange(definition.key, e.target.value)}
+              className="p-1 rounded-md bg-gray-800 border border-gray-600 text-xs"
+            >
+              <option value="higher">{t('thresholdSettings.higherIsBetter')}</option>
+              <option value="lower">{t('thresholdSettings.lowerIsBetter')}</option>
+            </select>
+          </div>
+          <div className="grid grid-cols-4 gap-2 mt-1">
+            {draft[definition.key].limits.map((limit, index) => (
+              <input
+                key={interpretationLabels[4 - index]}
+                type="text"
+                aria-label={`${t(`ratios.${definition.key}.label`)} - ${interpretationLabels[4 - index]}`}
+                title={interpretationLabels[4 - index]}
+                value={limit}
+                onChange={(e) => handleLimitChange(definition.key, index, e.target.value)}
+                className={`w-full p-1 rounded-md bg-gray-800 border ${errors[definition.key] ? 'border-red-500' : 'border-gray-600'}`}
+              />
+            ))}
+          </div>
+          {errors[definition.key] && (
+            <p className="text-xs text-red-300 mt-1">{errors[definition.key]}</p>
+          )}
+        </div>
+      ))}
+
+      {message && (
+        <div className="mt-2 p-2 bg-red-800 text-red-200 rounded-md text-center">{message}</div>
+      )}
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          onClick={handleSave}
+          className="bg-teal-600 hover:bg-teal-700 text-white font-bold py-1 px-3 rounded-md"
+        >
+          {t('thresholdSettings.save')}
+        </button>
+        <button
+          onClick={handleExport}
+          className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-md"
+        >
+          {t('thresholdSettings.exportJson')}
+        </button>
+        <label className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-md cursor-pointer">
+          {t('thresholdSettings.importJson')}
+          <input type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </label>
+        {isCustom && (
+          <button
+            onClick={() => onDelete(profile.key)}
+            className="bg-red-700 hover:bg-red-800 text-white font-bold py-1 px-3 rounded-md"
+          >
+            {t('thresholdSettings.delete')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ThresholdSettings;
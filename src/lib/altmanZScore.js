@@ -0,0 +1,157 @@
+// Altman Z-Score bankruptcy-risk models: the original model for public
+// manufacturers (Z), the model for private companies (Z') and the model for
+// non-manufacturing companies and emerging markets (Z'').
+
+import { DAYS_PER_YEAR, INPUT_FIELDS, annualize, parseInputValue } from './ratioEngine';
+import { createTranslator } from './i18n';
+
+/**
+ * Zones of the Z-Score, from safest to riskiest. Labels are under `altman.zones`
+ * in the catalogs.
+ */
+export const ALTMAN_ZONES = ['safe', 'grey', 'distress'];
+
+/**
+ * Terms of the models: each is a quotient of figures. Flows (operating income,
+ * sales) are annualized, as the models were fitted on yearly statements. Labels
+ * are under `altman.terms` in the catalogs.
+ */
+const ALTMAN_TERMS = {
+  workingCapitalToAssets: {
+    fields: ['currentAssets', 'currentLiabilities', 'totalAssets'],
+    compute: (n) => (n.currentAssets - n.currentLiabilities) / n.totalAssets,
+  },
+  retainedEarningsToAssets: {
+    fields: ['retainedEarnings', 'totalAssets'],
+    compute: (n) => n.retainedEarnings / n.totalAssets,
+  },
+  ebitToAssets: {
+    fields: ['operatingIncome', 'totalAssets'],
+    compute: (n, periodDays) => annualize(n.operatingIncome, periodDays) / n.totalAssets,
+  },
+  marketEquityToLiabilities: {
+    fields: ['marketValueOfEquity', 'totalLiabilities'],
+    compute: (n) => n.marketValueOfEquity / n.totalLiabilities,
+  },
+  bookEquityToLiabilities: {
+    fields: ['shareholdersEquity', 'totalLiabilities'],
+    compute: (n) => n.shareholdersEquity / n.totalLiabilities,
+  },
+  salesToAssets: {
+    fields: ['revenue', 'totalAssets'],
+    compute: (n, periodDays) => annualize(n.revenue, periodDays) / n.totalAssets,
+  },
+};
+
+/**
+ * Model variants: coefficient per term and zone limits (above `safe` is the
+ * safe zone, below `distress` the distress zone, grey in between). Labels are
+ * under `altman.variants` in the catalogs.
+ */
+export const ALTMAN_VARIANTS = [
+  {
+    key: 'public',
+    coefficients: {
+      workingCapitalToAssets: 1.2,
+      retainedEarningsToAssets: 1.4,
+      ebitToAssets: 3.3,
+      marketEquityToLiabilities: 0.6,
+      salesToAssets: 1.0,
+    },
+    limits: { safe: 2.99, distress: 1.81 },
+  },
+  {
+    key: 'private',
+    coefficients: {
+      workingCapitalToAssets: 0.717,
+      retainedEarningsToAssets: 0.847,
+      ebitToAssets: 3.107,
+      bookEquityToLiabilities: 0.42,
+      salesToAssets: 0.998,
+    },
+    limits: { safe: 2.9, distress: 1.23 },
+  },
+  {
+    key: 'nonManufacturing',
+    coefficients: {
+      workingCapitalToAssets: 6.56,
+      retainedEarningsToAssets: 3.26,
+      ebitToAssets: 6.72,
+      bookEquityToLiabilities: 1.05,
+    },
+    limits: { safe: 2.6, distress: 1.1 },
+  },
+];
+
+/**
+ * Returns the market value of equity given by the market data (share price ×
+ * shares outstanding). When it is entered it replaces the market value field,
+ * so both stay in step.
+ * @param {object} inputs - Map of field key (see INPUT_FIELDS) to a number or numeric string.
+ * @returns {number|null} - The market value, or null if the market data is not entered.
+ */
+export const getMarketDataValue = (inputs) => {
+  const sharePrice = parseInputValue(inputs.sharePrice);
+  const sharesOutstanding = parseInputValue(inputs.sharesOutstanding);
+  return isNaN(sharePrice) || isNaN(sharesOutstanding) ? null : sharePrice * sharesOutstanding;
+};
+
+/**
+ * Returns the figures with the market value of equity given by the market data,
+ * when there is one, in place of the market value field (entered or empty), so
+ * the entered data, the exports and the PDF show the value the models use.
+ * @param {object} inputs - Map of field key (see INPUT_FIELDS) to a number or numeric string.
+ * @returns {object} - The figures, with the market value as a numeric string when it is replaced.
+ */
+export const applyMarketDataValue = (inputs) => {
+  const marketDataValue = getMarketDataValue(inputs);
+  return marketDataValue === null ? inputs : { ...inputs, marketValueOfEquity: String(marketDataValue) };
+};
+
+/**
+ * Computes the Altman Z-Score of a set of figures. The market value of equity
+ * comes from the market data when it is entered (see getMarketDataValue).
+ * @param {object} inputs - Map of field key (see INPUT_FIELDS) to a number or numeric string.
+ * @param {string} variantKey - Key of the model variant (see ALTMAN_VARIANTS).
+ * @param {object} [options] - Model options.
+ * @param {number} [options.periodDays] - Length of the period the figures cover, in days (see
+ *   getPeriodDays in ./reportDates); defaults to a full year.
+ * @param {function} [options.t] - Translator for the labels and messages (see ./i18n); defaults to Spanish.
+ * @returns {{score: number|null, zone: string, missingFields: string[], warning: string, components: Array<object>}}
+ *   `missingFields` lists the labels of the figures the model needs and were not
+ *   entered; `warning` explains why a complete model could not be computed; each
+ *   component is { key, label, value, coefficient, contribution }.
+ */
+export const computeAltmanZScore = (inputs, variantKey, { periodDays = DAYS_PER_YEAR, t = createTranslator() } = {}) => {
+  const variant = ALTMAN_VARIANTS.find((candidate) => candidate.key === variantKey) || ALTMAN_VARIANTS[0];
+  const termKeys = Object.keys(variant.coefficients);
+  const requiredFields = [...new Set(termKeys.flatMap((termKey) => ALTMAN_TERMS[termKey].fields))];
+  const numbers = Object.fromEntries(requiredFields.map((fieldKey) => [fieldKey, parseInputValue(inputs[fieldKey])]));
+  const marketDataValue = getMarketDataValue(inputs);
+  if ('marketValueOfEquity' in numbers && marketDataValue !== null) numbers.marketValueOfEquity = marketDataValue;
+  const result = { score: null, zone: '', missingFields: [], warning: '', components: [] };
+
+  result.missingFields = INPUT_FIELDS
+    .filter((field) => requiredFields.includes(field.key) && isNaN(numbers[field.key]))
+    .map((field) => t(`fields.${field.key}`));
+  if (result.missingFields.length > 0) {
+    result.warning = t('altman.missingFields', { fields: result.missingFields.join(', ') });
+    return result;
+  }
+  if (numbers.totalAssets === 0 || ('totalLiabilities' in numbers && numbers.totalLiabilities === 0)) {
+    result.warning = t('altman.zeroTotals');
+    return result;
+  }
+
+  result.components = termKeys.map((termKey) => {
+    const value = ALTMAN_TERMS[termKey].compute(numbers, periodDays);
+    const coefficient = variant.coefficients[termKey];
+    return { key: termKey, label: t(`altman.terms.${termKey}`), value, coefficient, contribution: value * coefficient };
+  });
+  result.score = result.components.reduce((sum, component) => sum + component.contribution, 0);
+  let zoneKey = 'distress';
+  if (result.score > variant.limits.safe) zoneKey = 'safe';
+  else if (result.score >= variant.limits.distress) zoneKey = 'grey';
+  result.zone = t(`altman.zones.${zoneKey}`);
+  return result;
+};
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { applyMarketDataValue, computeAltmanZScore, getMarketDataValue } from './altmanZScore';
+import { analyzeBalanceSheet } from './ratioEngine';
+import { buildExportRecord } from './exporters';
+
+const FIGURES = {
+  currentAssets: '150',
+  currentLiabilities: '80',
+  inventory: '30',
+  totalAssets: '500',
+  totalLiabilities: '300',
+  shareholdersEquity: '200',
+  revenue: '400',
+  costOfGoodsSold: '240',
+  operatingIncome: '60',
+  netIncome: '35',
+  interestExpense: '10',
+  ebitda: '80',
+  retainedEarnings: '120',
+  marketValueOfEquity: '',
+  sharePrice: '45',
+  sharesOutstanding: '10',
+};
+
+describe('getMarketDataValue', () => {
+  it('multiplies the share price by the shares outstanding', () => {
+    expect(getMarketDataValue(FIGURES)).toBe(450);
+  });
+
+  it('returns null without the market data', () => {
+    expect(getMarketDataValue({ ...FIGURES, sharePrice: '' })).toBeNull();
+    expect(getMarketDataValue({ ...FIGURES, sharesOutstanding: '' })).toBeNull();
+  });
+
+  it('treats market data that is not a number as missing', () => {
+    expect(getMarketDataValue({ ...FIGURES, sharePrice: '12abc' })).toBeNull();
+    expect(applyMarketDataValue({ ...FIGURES, sharePrice: '12abc', marketValueOfEquity: '300' }).marketValueOfEquity).toBe('300');
+  });
+});
+
+describe('applyMarketDataValue', () => {
+  it('fills an empty market value from the market data', () => {
+    expect(applyMarketDataValue(FIGURES).marketValueOfEquity).toBe('450');
+  });
+
+  it('replaces an entered market value with the market data', () => {
+    expect(applyMarketDataValue({ ...FIGURES, marketValueOfEquity: '300' }).marketValueOfEquity).toBe('450');
+  });
+
+  it('keeps the figures without the market data', () => {
+    const figures = { ...FIGURES, sharePrice: '', marketValueOfEquity: '300' };
+    expect(applyMarketDataValue(figures)).toBe(figures);
+  });
+
+  it('exports the market value the models use', () => {
+    const record = buildExportRecord({
+      companyTicker: 'ACME',
+      reportDate: '2024-12-31',
+      currency: 'MXN',
+      sectorLabel: 'General',
+      figures: applyMarketDataValue(FIGURES),
+      analysis: analyzeBalanceSheet(FIGURES),
+    });
+    expect(record.figures.marketValueOfEquity).toBe(450);
+    expect(record.figures.sharePrice).toBe(45);
+  });
+
+  it('gives the Z-Score the same market value', () => {
+    const fromMarketData = computeAltmanZScore(FIGURES, 'public');
+    const fromField = computeAltmanZScore({ ...FIGURES, sharePrice: '', sharesOutstanding: '', marketValueOfEquity: '450' }, 'public');
+    expect(fromMarketData.score).not.toBeNull();
+    expect(fromMarketData.score).toBeCloseTo(fromField.score, 10);
+  });
+});
@@ -0,0 +1,123 @@
+// Library of saved analyses persisted in the browser (localStorage).
+// Each record is identified by `id` and naturally keyed by ticker + report date + currency.
+
+import { createTranslator } from './i18n';
+
+const STORAGE_KEY = 'calculaSaludFinanc.savedAnalyses';
+
+/**
+ * Builds the natural key of an analysis.
+ * @param {string} companyTicker - The company ticker.
+ * @param {string} reportDate - The report date as entered.
+ * @param {string} currency - The currency code.
+ * @returns {string} - The key (e.g., 'BIMBOA|31-dic-2024|MXN').
+ */
+export const getAnalysisKey = (companyTicker, reportDate, currency) =>
+  [companyTicker.trim().toUpperCase(), reportDate.trim().toLowerCase(), currency].join('|');
+
+/**
+ * Loads the analyses saved in this browser.
+ * @returns {Array<object>} - The saved analyses, or an empty list if none or unreadable.
+ */
+export const loadSavedAnalyses = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves the analyses in this browser.
+ * @param {Array<object>} analyses - The analyses to save.
+ */
+export const persistSavedAnalyses = (analyses) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(analyses));
+};
+
+/**
+ * Creates a unique id for a saved analysis.
+ * @returns {string} - The id.
+ */
+const createAnalysisId = () => `analysis-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Adds or updates an analysis. The record with `preferredId` is updated if it
+ * exists and still has the same ticker + date + currency (a copy may share them
+ * with its original); otherwise a record with that ticker + date + currency is
+ * replaced; otherwise a new record is added, leaving the one the form was
+ * opened from untouched.
+ * @param {Array<object>} analyses - Current saved analyses.
+ * @param {object} data - { companyTicker, reportDate, fiscalPeriod, currency, sector, figures, name? }.
+ * @param {string|null} [preferredId] - Id of the analysis the form was opened from.
+ * @param {function} [t] - Translator for the default names (see ./i18n); defaults to Spanish.
+ * @returns {{analyses: Array<object>, record: object}} - The updated list and the saved record.
+ */
+export const upsertAnalysis = (analyses, data, preferredId = null, t = createTranslator()) => {
+  const key = getAnalysisKey(data.companyTicker, data.reportDate, data.currency);
+  const hasKey = (analysis) => getAnalysisKey(analysis.companyTicker, analysis.reportDate, analysis.currency) === key;
+  const existing = analyses.find((analysis) => analysis.id === preferredId && hasKey(analysis)) ||
+    analyses.find(hasKey);
+
+  const record = {
+    ...data,
+    id: existing ? existing.id : createAnalysisId(),
+    name: data.name || (existing && existing.name) || `${data.companyTicker || t('analysisLibrary.noTicker')} ${data.reportDate}`.trim(),
+    savedAt: new Date().toISOString(),
+  };
+  const nextAnalyses = existing
+    ? analyses.map((analysis) => (analysis.id === existing.id ? record : analysis))
+    : [...analyses, record];
+  return { analyses: nextAnalyses, record };
+};
+
+/**
+ * Duplicates a saved analysis under a new id and name.
+ * @param {Array<object>} analyses - Current saved analyses.
+ * @param {string} id - Id of the analysis to duplicate.
+ * @param {function} [t] - Translator for the default names (see ./i18n); defaults to Spanish.
+ * @returns {Array<object>} - The updated list.
+ */
+export const duplicateAnalysis = (analyses, id, t = createTranslator()) => {
+  const original = analyses.find((analysis) => analysis.id === id);
+  if (!original) return analyses;
+  return [...analyses, {
+    ...original,
+    id: createAnalysisId(),
+    name: t('analysisLibrary.copyOf', { name: original.name }),
+    savedAt: new Date().toISOString(),
+  }];
+};
+
+/**
+ * Renames a saved analysis.
+ * @param {Array<object>} analyses - Current saved analyses.
+ * @param {string} id - Id of the analysis to rename.
+ * @param {string} name - The new name.
+ * @returns {Array<object>} - The updated list.
+ */
+export const renameAnalysis = (analyses, id, name) =>
+  analyses.map((analysis) => (analysis.id === id ? { ...analysis, name } : analysis));
+
+/**
+ * Deletes a saved analysis.
+ * @param {Array<object>} analyses - Current saved analyses.
+ * @param {string} id - Id of the analysis to delete.
+ * @returns {Array<object>} - The updated list.
+ */
+export const deleteAnalysis = (analyses, id) => analyses.filter((analysis) => analysis.id !== id);
+
+/**
+ * Filters analyses by ticker (case-insensitive, partial match) and sorts them by
+ * ticker, then by most recently saved.
+ * @param {Array<object>} analyses - Saved analyses.
+ * @param {string} tickerQuery - Text to search in the ticker.
+ * @returns {Array<object>} - The matching analyses.
+ */
+export const searchAnalyses = (analyses, tickerQuery) => {
+  const query = tickerQuery.trim().toUpperCase();
+  return analyses
+    .filter((analysis) => !query || (analysis.companyTicker || '').toUpperCase().includes(query))
+    .sort((a, b) => (a.companyTicker || '').localeCompare(b.companyTicker || '') || b.savedAt.localeCompare(a.savedAt));
+};
@@ -0,0 +1,122 @@
+// Geometry of the SVG charts: where a value falls on a ratio's gauge, axis
+// scales for the period and company charts, and the balance sheet composition.
+// The chart components only draw what these functions compute.
+
+import { getBandRank } from './thresholds';
+
+/**
+ * Fill colors of the interpretation bands, indexed by band rank (0 = Pésimo ... 4 = Excelente).
+ */
+export const BAND_COLORS = ['#DC2626', '#F97316', '#FACC15', '#84CC16', '#16A34A'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Returns the band limits ordered from the worst band to the best one, i.e.
+ * the boundaries between the five gauge segments.
+ * @param {{direction: string, limits: number[]}} bands - The ratio's bands (see ./thresholds).
+ * @returns {number[]} - The four limits, from the Malo cut-off to the Excelente cut-off.
+ */
+export const getGaugeBoundaries = (bands) => [...bands.limits].reverse();
+
+/**
+ * Returns where a value falls on a gauge whose five bands are drawn with equal
+ * widths, from the worst band (0) to the best one (1). Inside a band the
+ * position is proportional to the value; the open-ended outer bands are as wide
+ * as their neighbour band, and values beyond them stick to the gauge's ends.
+ * @param {number} value - The value compared against the bands.
+ * @param {{direction: string, limits: number[]}} bands - The ratio's bands (see ./thresholds).
+ * @returns {number} - The position, between 0 and 1.
+ */
+export const getGaugePosition = (value, bands) => {
+  const boundaries = getGaugeBoundaries(bands);
+  const rank = getBandRank(value, bands);
+  const sign = bands.direction === 'lower' ? -1 : 1;
+  let from;
+  let to;
+  if (rank === 0) {
+    to = boundaries[0];
+    from = to - sign * Math.abs(boundaries[1] - boundaries[0]);
+  } else if (rank === 4) {
+    from = boundaries[3];
+    to = from + sign * Math.abs(boundaries[3] - boundaries[2]);
+  } else {
+    from = boundaries[rank - 1];
+    to = boundaries[rank];
+  }
+  const offset = to === from ? 0.5 : clamp((value - from) / (to - from), 0, 1);
+  return (rank + offset) / 5;
+};
+
+/**
+ * Returns a step of 1, 2 or 5 times a power of ten that splits a range into
+ * about `count` intervals.
+ * @param {number} range - The range to split.
+ * @param {number} count - The wanted number of intervals.
+ * @returns {number} - The step.
+ */
+const getNiceStep = (range, count) => {
+  const roughStep = range / count;
+  const magnitude = 10 ** Math.floor(Math.log10(roughStep));
+  const fraction = roughStep / magnitude;
+  if (fraction <= 1) return magnitude;
+  if (fraction <= 2) return 2 * magnitude;
+  if (fraction <= 5) return 5 * magnitude;
+  return 10 * magnitude;
+};
+
+/**
+ * Builds the value axis of a chart, with round tick values covering all values.
+ * @param {Array<number|null>} values - Values to plot; nulls (N/A) are ignored.
+ * @param {object} [options] - Scale options.
+ * @param {boolean} [options.includeZero] - Whether the axis must include zero (bar charts).
+ * @returns {{min: number, max: number, ticks: number[], toFraction: function(number): number}|null}
+ *   `toFraction` maps a value to its height on the axis (0 = min, 1 = max); null when there is no value.
+ */
+export const getValueScale = (values, { includeZero = false } = {}) => {
+  const numbers = values.filter((value) => typeof value === 'number' && isFinite(value));
+  if (numbers.length === 0) return null;
+  let low = Math.min(...numbers, ...(includeZero ? [0] : []));
+  let high = Math.max(...numbers, ...(includeZero ? [0] : []));
+  if (low === high) {
+    // A single level: give it some room so it sits in the middle of the chart
+    const margin = Math.abs(low) || 1;
+    low -= margin / 2;
+    high += margin / 2;
+  }
+  const step = getNiceStep(high - low, 4);
+  const min = Math.floor(low / step) * step;
+  const max = Math.ceil(high / step) * step;
+  const ticks = [];
+  for (let tick = min; tick <= max + step / 2; tick += step) ticks.push(parseFloat(tick.toPrecision(12)));
+  return { min, max, ticks, toFraction: (value) => (value - min) / (max - min) };
+};
+
+/**
+ * Splits the balance sheet into the parts of its composition chart: current and
+ * non-current assets, and current liabilities, non-current liabilities and equity.
+ * @param {object} figures - Map of field key (see ./ratioEngine) to a numeric string.
+ * @returns {{assets: Array<{key: string, value: number}>, financing: Array<{key: string, value: number}>, total: number}|null}
+ *   The parts of each bar and the length of the longer bar, or null when
+ *   the balance sheet is incomplete or has no positive total.
+ */
+export const buildBalanceSheetComposition = (figures) => {
+  const n = {};
+  for (const key of ['currentAssets', 'currentLiabilities', 'totalAssets', 'totalLiabilities', 'shareholdersEquity']) {
+    n[key] = parseFloat(figures[key]);
+    if (isNaN(n[key])) return null;
+  }
+  const assets = [
+    { key: 'currentAssets', value: n.currentAssets },
+    { key: 'nonCurrentAssets', value: n.totalAssets - n.currentAssets },
+  ];
+  const financing = [
+    { key: 'currentLiabilities', value: n.currentLiabilities },
+    { key: 'nonCurrentLiabilities', value: n.totalLiabilities - n.currentLiabilities },
+    { key: 'shareholdersEquity', value: n.shareholdersEquity },
+  ];
+  // Negative parts (e.g. negative equity) are listed but take no room in the bars
+  const barLength = (parts) => parts.reduce((sum, part) => sum + Math.max(0, part.value), 0);
+  const total = Math.max(barLength(assets), barLength(financing));
+  return total > 0 ? { assets, financing, total } : null;
+};
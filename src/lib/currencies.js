@@ -0,0 +1,18 @@
+// Currencies the figures can be entered in, in display order. Their names are
+// under `currencies.<code>` in the translation catalogs.
+
+export const CURRENCIES = [
+  { code: 'USD' },
+  { code: 'MXN' },
+  { code: 'EUR' },
+  { code: 'JPY' },
+  { code: 'GBP' },
+  { code: 'CAD' },
+  { code: 'AUD' },
+  { code: 'CHF' },
+  { code: 'CNY' },
+  { code: 'INR' },
+  { code: 'BRL' },
+  { code: 'RUB' },
+  { code: 'ZAR' },
+];
@@ -0,0 +1,19 @@
+// Browser file download helper.
+
+/**
+ * Downloads content as a file.
+ * @param {string|Blob} content - File content, as text or an already built Blob.
+ * @param {string} filename - Suggested file name.
+ * @param {string} mimeType - MIME type of the content (ignored for Blobs).
+ */
+export const downloadTextFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
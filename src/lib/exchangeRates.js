@@ -0,0 +1,100 @@
+// Offline currency conversion with a user-maintained table of exchange rates
+// persisted in the browser (localStorage). Each rate has an effective date and
+// applies to reports dated on or after it, until a newer rate takes effect.
+
+import { INPUT_FIELDS, RATIO_DEFINITIONS, parseInputValue } from './ratioEngine';
+import { formatLocalizedNumber } from './numberFormat';
+
+const STORAGE_KEY = 'calculaSaludFinanc.exchangeRates';
+
+// Decimals shown for a rate, enough for inverted rates such as 1 MXN = 0.0588 USD
+const EXCHANGE_RATE_DECIMALS = 4;
+
+/**
+ * Formats an exchange rate for display with a fixed number of decimals.
+ * @param {number} rate - The rate.
+ * @param {string} formatKey - Key of the number format (see NUMBER_FORMATS).
+ * @returns {string} - The formatted rate, e.g. '0.0588' or '0,0588'.
+ */
+export const formatExchangeRate = (rate, formatKey) =>
+  formatLocalizedNumber(rate, formatKey, { fractionDigits: EXCHANGE_RATE_DECIMALS });
+
+/**
+ * Loads the exchange rates saved in this browser.
+ * @returns {Array<{id: string, fromCurrency: string, toCurrency: string, rate: number, effectiveDate: string}>}
+ *   The rates (effective dates as 'YYYY-MM-DD'), or an empty list if none or unreadable.
+ */
+export const loadExchangeRates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves the exchange rates in this browser.
+ * @param {Array<object>} rates - The rates to save.
+ */
+export const saveExchangeRates = (rates) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rates));
+};
+
+/**
+ * Creates a unique id for a new exchange rate.
+ * @returns {string} - The id.
+ */
+export const createExchangeRateId = () => `fx-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Finds the rate to convert between two currencies on a date: the one with the
+ * latest effective date not after it. A rate entered in the opposite direction
+ * is used inverted.
+ * @param {Array<object>} rates - The exchange rate table.
+ * @param {string} fromCurrency - Currency of the figures.
+ * @param {string} toCurrency - Reporting currency.
+ * @param {string} [isoDate] - Report date as 'YYYY-MM-DD'; without it the latest rate is used.
+ * @returns {{rate: number, effectiveDate: string}|null} - Units of `toCurrency` per unit of
+ *   `fromCurrency`, or null when no rate applies.
+ */
+export const findExchangeRate = (rates, fromCurrency, toCurrency, isoDate) => {
+  const candidates = rates
+    .filter((entry) => !isoDate || entry.effectiveDate <= isoDate)
+    .flatMap((entry) => {
+      if (entry.fromCurrency === fromCurrency && entry.toCurrency === toCurrency) {
+        return [{ rate: entry.rate, effectiveDate: entry.effectiveDate, isDirect: true }];
+      }
+      if (entry.fromCurrency === toCurrency && entry.toCurrency === fromCurrency) {
+        return [{ rate: 1 / entry.rate, effectiveDate: entry.effectiveDate, isDirect: false }];
+      }
+      return [];
+    })
+    // Latest effective date first; on the same date a directly entered rate wins
+    .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate) || Number(b.isDirect) - Number(a.isDirect));
+  return candidates.length > 0 ? { rate: candidates[0].rate, effectiveDate: candidates[0].effectiveDate } : null;
+};
+
+/**
+ * Converts every amount of a figures object. Share counts are not amounts and are kept.
+ * @param {object} figures - Raw figures keyed by INPUT_FIELDS.
+ * @param {number} rate - Units of the reporting currency per unit of the original one.
+ * @returns {object} - Figures with the converted amounts as numeric strings (empty ones stay empty).
+ */
+export const convertFigures = (figures, rate) => Object.fromEntries(INPUT_FIELDS.map((field) => {
+  const value = parseInputValue(figures[field.key]);
+  if (isNaN(value) || field.unit === 'shares') return [field.key, figures[field.key] ?? ''];
+  return [field.key, String(value * rate)];
+}));
+
+/**
+ * Converts the ratios expressed in currency (e.g. free cash flow); the others
+ * are quotients and do not depend on the currency.
+ * @param {object} ratios - Map of ratio key to value, as returned by analyzeBalanceSheet.
+ * @param {number} rate - Units of the reporting currency per unit of the original one.
+ * @returns {object} - The ratios with the amounts converted.
+ */
+export const convertRatios = (ratios, rate) => Object.fromEntries(Object.entries(ratios).map(([key, value]) => {
+  const definition = RATIO_DEFINITIONS.find((candidate) => candidate.key === key);
+  return [key, value !== null && definition && definition.format === 'currency' ? value * rate : value];
+}));
@@ -0,0 +1,209 @@
+// Machine-readable exports (JSON, CSV and XLSX sheet data) of one or more analyses.
+
+import { INPUT_FIELDS, RATIO_DEFINITIONS, parseInputValue } from './ratioEngine';
+import { convertFigures, convertRatios } from './exchangeRates';
+import { createTranslator } from './i18n';
+
+/**
+ * Converts raw figures into numbers, with null for the empty ones.
+ * @param {object} figures - Raw figures keyed by INPUT_FIELDS.
+ * @returns {object} - Map of field key to number or null.
+ */
+const toNumericFigures = (figures) => Object.fromEntries(INPUT_FIELDS.map((field) => {
+  const value = parseInputValue(figures[field.key]);
+  return [field.key, isNaN(value) ? null : value];
+}));
+
+/**
+ * Builds the export record of an analysis.
+ * @param {object} source - { companyTicker, reportDate, fiscalPeriod, currency, sectorLabel, figures, analysis,
+ *   conversion } where `reportDate` is 'YYYY-MM-DD', `fiscalPeriod` is { periodType,
+ *   fiscalYearEnd, auditStatus }, `analysis` is the result of analyzeBalanceSheet for those figures and the
+ *   optional `conversion` ({ currency, rate, effectiveDate }) converts the amounts
+ *   into a reporting currency.
+ * @returns {object} - Record with numeric figures, ratios and interpretations, plus the
+ *   converted figures and ratios when there is a conversion.
+ */
+export const buildExportRecord = ({
+  companyTicker, reportDate, fiscalPeriod, currency, sectorLabel, figures, analysis, conversion,
+}) => ({
+  companyTicker,
+  reportDate,
+  fiscalPeriod,
+  currency,
+  sector: sectorLabel,
+  figures: toNumericFigures(figures),
+  ratios: { ...analysis.ratios },
+  interpretations: { ...analysis.interpretations },
+  ...(conversion && conversion.rate ? {
+    reportingCurrency: conversion.currency,
+    exchangeRate: conversion.rate,
+    exchangeRateDate: conversion.effectiveDate,
+    convertedFigures: toNumericFigures(convertFigures(figures, conversion.rate)),
+    convertedRatios: convertRatios(analysis.ratios, conversion.rate),
+  } : {}),
+});
+
+/**
+ * Serializes records as JSON.
+ * @param {Array<object>} records - Export records.
+ * @returns {string} - Pretty-printed JSON.
+ */
+export const exportToJson = (records) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  analyses: records,
+}, null, 2);
+
+/**
+ * Returns the rows of the long-format table shared by CSV and XLSX: one row per
+ * entered figure and per ratio of every record.
+ * @param {Array<object>} records - Export records.
+ * @param {function} t - Translator for the headers and labels.
+ * @returns {Array<Array<string|number|null>>} - Header row followed by data rows.
+ */
+const buildDetailRows = (records, t) => {
+  const rows = [['ticker', 'reportDate', 'currency', 'sector', 'type', 'key', 'concept', 'value', 'interpretation',
+    'reportingCurrency', 'exchangeRate', 'convertedValue'].map((column) => t(`exports.${column}`))];
+  records.forEach((record) => {
+    const prefix = [record.companyTicker, record.reportDate, record.currency, record.sector];
+    const conversion = record.reportingCurrency ? [record.reportingCurrency, record.exchangeRate] : ['', ''];
+    INPUT_FIELDS.forEach((field) => {
+      if (record.figures[field.key] === null) return;
+      rows.push([...prefix, t('exports.figureType'), field.key, t(`fields.${field.key}`), record.figures[field.key], '',
+        ...conversion, record.convertedFigures ? record.convertedFigures[field.key] : '']);
+    });
+    RATIO_DEFINITIONS.forEach((definition) => {
+      if (!(definition.key in record.ratios)) return;
+      const isAmount = definition.format === 'currency' && record.convertedRatios;
+      rows.push([...prefix, t('exports.ratioType'), definition.key, t(`ratios.${definition.key}.label`),
+        record.ratios[definition.key], record.interpretations[definition.key],
+        ...(isAmount ? conversion : ['', '']), isAmount ? record.convertedRatios[definition.key] : '']);
+    });
+  });
+  return rows;
+};
+
+/**
+ * Escapes a CSV cell.
+ * @param {string|number|null} value - The cell value.
+ * @returns {string} - The escaped cell.
+ */
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes table rows as CSV. Starts with a BOM so spreadsheet apps detect
+ * UTF-8 and keep accents and emojis.
+ * @param {Array<Array<string|number|null>>} rows - The rows.
+ * @returns {string} - CSV text.
+ */
+const rowsToCsv = (rows) => `\uFEFF${rows
+  .map((row) => row.map(escapeCsvCell).join(','))
+  .join('\r\n')}\r\n`;
+
+/**
+ * Converts table rows into write-excel-file sheet data, with a bold header row.
+ * @param {Array<Array<string|number|null>>} rows - Header row followed by data rows.
+ * @returns {Array<Array<object|null>>} - The sheet data.
+ */
+const rowsToSheetData = ([header, ...rows]) => {
+  const toCell = (value, bold = false) => (value === null || value === undefined || value === ''
+    ? null
+    : { value, ...(bold ? { fontWeight: 'bold' } : {}) });
+  return [header.map((value) => toCell(value, true)), ...rows.map((row) => row.map((value) => toCell(value)))];
+};
+
+/**
+ * Serializes records as CSV (long format).
+ * @param {Array<object>} records - Export records.
+ * @param {function} [t] - Translator for the headers and labels (see ./i18n); defaults to Spanish.
+ * @returns {string} - CSV text.
+ */
+export const exportToCsv = (records, t = createTranslator()) => rowsToCsv(buildDetailRows(records, t));
+
+/**
+ * Builds the XLSX sheets: a summary with one row per analysis and one column per
+ * ratio, and the same long-format detail as the CSV export.
+ * @param {Array<object>} records - Export records.
+ * @param {function} [t] - Translator for the headers and labels (see ./i18n); defaults to Spanish.
+ * @returns {Array<{sheet: string, data: Array<Array<object|null>>}>} - Sheet data for write-excel-file.
+ */
+export const buildXlsxSheets = (records, t = createTranslator()) => {
+  const ratioDefinitions = RATIO_DEFINITIONS.filter((definition) =>
+    records.some((record) => definition.key in record.ratios));
+  const summary = [
+    [...['ticker', 'reportDate', 'currency', 'sector', 'reportingCurrency', 'exchangeRate'].map((column) => t(`exports.${column}`)),
+      ...ratioDefinitions.map((definition) => t(`ratios.${definition.key}.label`))],
+    ...records.map((record) => [
+      record.companyTicker, record.reportDate, record.currency, record.sector,
+      record.reportingCurrency || '', record.exchangeRate || '',
+      // Amounts in the reporting currency when converted, so rows are comparable
+      ...ratioDefinitions.map((definition) => (record.convertedRatios || record.ratios)[definition.key] ?? null),
+    ]),
+  ];
+  return [
+    { sheet: t('exports.summarySheet'), data: rowsToSheetData(summary) },
+    { sheet: t('exports.detailSheet'), data: rowsToSheetData(buildDetailRows(records, t)) },
+  ];
+};
+
+/**
+ * Returns the rows of a peer comparison table: per company its value and its
+ * rank on every ratio, plus the peer median.
+ * @param {Array<{label: string}>} companies - The compared companies, in column order.
+ * @param {Array<object>} comparisonRows - Rows returned by buildPeerComparison.
+ * @param {function} t - Translator for the headers and labels.
+ * @returns {Array<Array<string|number|null>>} - Header row followed by one row per ratio.
+ */
+const buildComparisonRows = (companies, comparisonRows, t) => [
+  [
+    t('exports.ratio'),
+    ...companies.flatMap((company) => [company.label, t('exports.rankOf', { label: company.label })]),
+    t('exports.median'),
+  ],
+  ...comparisonRows.map(({ definition, cells, median }) => [
+    t(`ratios.${definition.key}.label`),
+    ...cells.flatMap((cell) => [cell.value, cell.rank]),
+    median,
+  ]),
+];
+
+/**
+ * Serializes a peer comparison as CSV.
+ * @param {Array<{label: string}>} companies - The compared companies.
+ * @param {Array<object>} comparisonRows - Rows returned by buildPeerComparison.
+ * @param {function} [t] - Translator for the headers and labels (see ./i18n); defaults to Spanish.
+ * @returns {string} - CSV text.
+ */
+export const exportComparisonToCsv = (companies, comparisonRows, t = createTranslator()) =>
+  rowsToCsv(buildComparisonRows(companies, comparisonRows, t));
+
+/**
+ * Builds the XLSX sheet of a peer comparison.
+ * @param {Array<{label: string}>} companies - The compared companies.
+ * @param {Array<object>} comparisonRows - Rows returned by buildPeerComparison.
+ * @param {function} [t] - Translator for the headers and labels (see ./i18n); defaults to Spanish.
+ * @returns {Array<{sheet: string, data: Array<Array<object|null>>}>} - Sheet data for write-excel-file.
+ */
+export const buildComparisonXlsxSheets = (companies, comparisonRows, t = createTranslator()) => [
+  { sheet: t('exports.comparisonSheet'), data: rowsToSheetData(buildComparisonRows(companies, comparisonRows, t)) },
+];
+
+/**
+ * Suggests a file name for an export.
+ * @param {Array<object>} records - Export records.
+ * @param {string} extension - File extension without the dot.
+ * @param {function} [t] - Translator for the fallback names (see ./i18n); defaults to Spanish.
+ * @returns {string} - E.g. 'BIMBOA_2024-12-31.csv' or 'analisis_3.xlsx'.
+ */
+export const getExportFileName = (records, extension, t = createTranslator()) => {
+  if (records.length === 1) {
+    const [record] = records;
+    const base = [record.companyTicker, record.reportDate].filter(Boolean).join('_').replace(/[^\w-]+/g, '_');
+    return `${base || t('exports.fileName')}.${extension}`;
+  }
+  return `${t('exports.fileNameMany', { count: records.length })}.${extension}`;
+};
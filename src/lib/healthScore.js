@@ -0,0 +1,116 @@
+// Composite financial health score (0-100): a weighted average of the band each
+// ratio falls in, with a breakdown of how much every ratio contributes.
+
+import { RATIO_DEFINITIONS, getInterpretationRank } from './ratioEngine';
+import { interpretWithBands } from './thresholds';
+import { createTranslator } from './i18n';
+
+const STORAGE_KEY = 'calculaSaludFinanc.scoreWeights';
+
+/**
+ * Default weight of each ratio in the composite score. Weights are relative:
+ * only their proportions matter, and ratios that could not be computed are left out.
+ */
+export const DEFAULT_SCORE_WEIGHTS = {
+  currentRatio: 10,
+  quickRatio: 8,
+  inventoryTurnover: 3,
+  daysSalesOutstanding: 3,
+  daysInventoryOutstanding: 0, // Same information as the inventory turnover
+  daysPayableOutstanding: 2,
+  cashConversionCycle: 5,
+  debtToEquityRatio: 10,
+  debtToAssetsRatio: 8,
+  grossMargin: 5,
+  operatingMargin: 7,
+  netMargin: 7,
+  returnOnAssets: 8,
+  returnOnEquity: 7,
+  interestCoverage: 8,
+  freeCashFlow: 5,
+  operatingCashFlowRatio: 7,
+  cashRatio: 5,
+  capexCoverage: 5,
+  // Valuation ratios describe the share price rather than the company's health
+  marketCapitalization: 0,
+  priceToEarnings: 0,
+  priceToBook: 0,
+  evToEbitda: 0,
+  dividendYield: 0,
+};
+
+/**
+ * Bands of the composite score itself, read like any 'higher is better' ratio.
+ */
+const SCORE_BANDS = { direction: 'higher', limits: [80, 60, 40, 20] };
+
+/**
+ * Computes the composite score of an analysis.
+ * @param {object} analysis - Result of analyzeBalanceSheet.
+ * @param {object} [weights] - Map of ratio key to weight; defaults to DEFAULT_SCORE_WEIGHTS.
+ * @param {function} [t] - Translator for the labels (see ./i18n); defaults to Spanish.
+ * @returns {{score: number|null, interpretation: string, contributions: Array<object>}}
+ *   `score` is null when no weighted ratio has a band. Each contribution is
+ *   { key, label, interpretation, weight, share, points, contribution }, where
+ *   `points` is the ratio's band on a 0-100 scale, `share` its fraction of the
+ *   used weight and `contribution` the score points it adds.
+ */
+export const computeHealthScore = (analysis, weights = DEFAULT_SCORE_WEIGHTS, t = createTranslator()) => {
+  const scoredRatios = RATIO_DEFINITIONS
+    .map((definition) => ({
+      key: definition.key,
+      label: t(`ratios.${definition.key}.label`),
+      interpretation: analysis.interpretations[definition.key],
+      weight: weights[definition.key] || 0,
+      rank: getInterpretationRank(analysis.interpretations[definition.key]),
+    }))
+    .filter((ratio) => ratio.weight > 0 && ratio.rank !== -1);
+
+  const totalWeight = scoredRatios.reduce((sum, ratio) => sum + ratio.weight, 0);
+  if (totalWeight === 0) return { score: null, interpretation: '', contributions: [] };
+
+  const contributions = scoredRatios.map(({ rank, ...ratio }) => {
+    const points = rank * 25;
+    const share = ratio.weight / totalWeight;
+    return { ...ratio, share, points, contribution: points * share };
+  });
+  const score = contributions.reduce((sum, ratio) => sum + ratio.contribution, 0);
+  return { score, interpretation: interpretWithBands(score, SCORE_BANDS, t), contributions };
+};
+
+/**
+ * Checks a set of weights: every weight must be a non-negative number and at
+ * least one must be positive.
+ * @param {object} weights - Map of ratio key to weight.
+ * @param {function} [t] - Translator for the message (see ./i18n); defaults to Spanish.
+ * @returns {string|null} - The error message, or null when the weights are valid.
+ */
+export const validateScoreWeights = (weights, t = createTranslator()) => {
+  const values = RATIO_DEFINITIONS.map((definition) => weights[definition.key]);
+  if (values.some((value) => typeof value !== 'number' || isNaN(value) || value < 0)) {
+    return t('healthScore.invalidWeights');
+  }
+  if (values.every((value) => value === 0)) return t('healthScore.noPositiveWeight');
+  return null;
+};
+
+/**
+ * Loads the score weights saved in localStorage, falling back to the defaults.
+ * @returns {object} - Map of ratio key to weight.
+ */
+export const loadScoreWeights = () => {
+  try {
+    const weights = { ...DEFAULT_SCORE_WEIGHTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    return validateScoreWeights(weights) ? { ...DEFAULT_SCORE_WEIGHTS } : weights;
+  } catch {
+    return { ...DEFAULT_SCORE_WEIGHTS };
+  }
+};
+
+/**
+ * Persists the score weights in localStorage.
+ * @param {object} weights - Map of ratio key to weight.
+ */
+export const saveScoreWeights = (weights) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(weights));
+};
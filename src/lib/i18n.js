@@ -0,0 +1,85 @@
+// Interface translations. Texts live in one catalog per language (../locales)
+// and code refers to them by dotted key, e.g. t('fields.currentAssets'). Pure
+// modules take a translator as an option and default to Spanish, so they keep
+// working from scripts without any setup.
+
+import es from '../locales/es';
+import en from '../locales/en';
+
+const STORAGE_KEY = 'calculaSaludFinanc.language';
+
+const CATALOGS = { es, en };
+
+/**
+ * Default language, also used for keys missing from another catalog.
+ */
+export const DEFAULT_LANGUAGE = 'es';
+
+/**
+ * Supported languages, with the locale used to format dates.
+ */
+export const LANGUAGES = [
+  { key: 'es', label: 'Español', locale: 'es-ES' },
+  { key: 'en', label: 'English', locale: 'en-US' },
+];
+
+/**
+ * Returns a language by key, falling back to the default language.
+ * @param {string} languageKey - Key of the language (see LANGUAGES).
+ * @returns {{key: string, label: string, locale: string}} - The language.
+ */
+export const getLanguage = (languageKey) =>
+  LANGUAGES.find((language) => language.key === languageKey) || LANGUAGES[0];
+
+/**
+ * Looks up a dotted key in a catalog.
+ * @param {object} catalog - The catalog.
+ * @param {string} key - E.g. 'ratios.currentRatio.label'.
+ * @returns {*} - The entry, or undefined when the key does not exist.
+ */
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * Creates the translation function of a language.
+ * @param {string} [languageKey] - Key of the language; defaults to Spanish.
+ * @returns {function(string, object=): *} - `t(key, params)`: the text of `key` with its
+ *   {placeholders} replaced by `params`. Entries that are not text (e.g. the list of
+ *   interpretation labels) are returned as they are, and unknown keys as the key itself.
+ */
+export const createTranslator = (languageKey = DEFAULT_LANGUAGE) => {
+  const catalog = CATALOGS[getLanguage(languageKey).key];
+  return (key, params = {}) => {
+    const entry = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key;
+    if (typeof entry !== 'string') return entry;
+    return entry.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+  };
+};
+
+/**
+ * Returns the entry of a key in every catalog, e.g. to recognize text produced
+ * in any language.
+ * @param {string} key - The dotted key.
+ * @returns {Array<*>} - One entry per language, in LANGUAGES order.
+ */
+export const getTranslationsInAllLanguages = (key) =>
+  LANGUAGES.map((language) => lookup(CATALOGS[language.key], key)).filter((entry) => entry !== undefined);
+
+/**
+ * Loads the interface language chosen in this browser.
+ * @returns {string} - The language key, or the default language.
+ */
+export const loadLanguage = () => {
+  try {
+    return getLanguage(localStorage.getItem(STORAGE_KEY)).key;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+/**
+ * Saves the interface language.
+ * @param {string} languageKey - The language key.
+ */
+export const saveLanguage = (languageKey) => {
+  localStorage.setItem(STORAGE_KEY, languageKey);
+};
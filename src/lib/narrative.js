@@ -0,0 +1,143 @@
+// Plain-language summary of an analysis: a few paragraphs built from the
+// interpretation bands with fixed templates, in the translator's language. The
+// same analysis always reads the same way. Templates are under `narrative` in
+// the catalogs.
+
+import { RATIO_DEFINITIONS, RATIO_GROUPS, getInterpretationRank } from './ratioEngine';
+import { DEFAULT_SCORE_WEIGHTS } from './healthScore';
+import { createTranslator } from './i18n';
+
+/**
+ * Joins phrases into a list: "a, b y c".
+ * @param {string[]} items - The phrases.
+ * @param {function} t - Translator for the conjunction.
+ * @returns {string} - The list.
+ */
+const joinList = (items, t) => (items.length > 1
+  ? `${items.slice(0, -1).join(', ')}${t('narrative.and')}${items[items.length - 1]}`
+  : items[0] || '');
+
+/**
+ * Upper-cases the first letter of a sentence.
+ * @param {string} text - The sentence.
+ * @returns {string} - The sentence, capitalized.
+ */
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Returns the level of a ratio group from the average band of its ratios:
+ * 0 (weak) below Regular, 1 (adequate) from Regular and 2 (strong) from Bueno.
+ * @param {number[]} ranks - Band ranks of the group's ratios (0 = Pésimo ... 4 = Excelente).
+ * @returns {number} - The level.
+ */
+const getGroupLevel = (ranks) => {
+  const average = ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length;
+  if (average >= 3) return 2;
+  return average >= 2 ? 1 : 0;
+};
+
+/**
+ * Writes the narrative summary of an analysis.
+ * @param {object} analysis - Result of analyzeBalanceSheet.
+ * @param {object} options - Narrative options.
+ * @param {function(number, string): string} options.formatValue - Formats a value for a ratio format
+ *   ('ratio', 'percentage', 'currency' or 'days').
+ * @param {{score: number|null, interpretation: string}} [options.healthScore] - Composite score to
+ *   open the summary with (see ./healthScore).
+ * @param {object} [options.weights] - Score weights, used to pick between equally rated ratios;
+ *   defaults to DEFAULT_SCORE_WEIGHTS.
+ * @param {function} [options.t] - Translator (see ./i18n); defaults to Spanish.
+ * @returns {string[]} - The paragraphs; empty when no ratio has a band.
+ */
+export const buildNarrative = (analysis, {
+  formatValue, healthScore = null, weights = DEFAULT_SCORE_WEIGHTS, t = createTranslator(),
+}) => {
+  const rated = RATIO_DEFINITIONS
+    .map((definition) => ({
+      definition,
+      value: analysis.ratios[definition.key],
+      rank: getInterpretationRank(analysis.interpretations[definition.key]),
+    }))
+    .filter((ratio) => ratio.value != null && ratio.rank !== -1);
+  if (rated.length === 0) return [];
+
+  const byKey = Object.fromEntries(rated.map((ratio) => [ratio.definition.key, ratio]));
+  const describe = (ratio) => ({
+    label: t(`ratios.${ratio.definition.key}.label`),
+    value: formatValue(ratio.value, ratio.definition.format),
+    band: t('narrative.bands')[ratio.rank],
+  });
+  const paragraphs = [];
+
+  // Overview: one phrase per ratio group, the weak ones after a "but"
+  const groupPhrases = RATIO_GROUPS
+    .map((group) => {
+      const ranks = rated.filter((ratio) => ratio.definition.group === group.key).map((ratio) => ratio.rank);
+      if (ranks.length === 0) return null;
+      const level = getGroupLevel(ranks);
+      return { level, phrase: t(`narrative.groups.${group.key}`)[level] };
+    })
+    .filter(Boolean);
+  const positives = groupPhrases.filter((group) => group.level > 0).map((group) => group.phrase);
+  const negatives = groupPhrases.filter((group) => group.level === 0).map((group) => group.phrase);
+  const overview = positives.length > 0 && negatives.length > 0
+    ? t('narrative.overviewMixed', { positives: joinList(positives, t), negatives: joinList(negatives, t) })
+    : t('narrative.overview', { phrases: joinList([...positives, ...negatives], t) });
+  const scoreRank = healthScore && healthScore.score !== null ? getInterpretationRank(healthScore.interpretation) : -1;
+  paragraphs.push([
+    scoreRank !== -1 && t('narrative.score', { score: Math.round(healthScore.score), band: t('narrative.bands')[scoreRank] }),
+    capitalize(overview),
+  ].filter(Boolean).join(' '));
+
+  // Observations on how some ratios relate to each other
+  const has = (...keys) => keys.every((key) => key in byKey);
+  const observations = [];
+  if (has('currentRatio', 'quickRatio') && byKey.currentRatio.value > 0) {
+    const inventoryShare = 1 - byKey.quickRatio.value / byKey.currentRatio.value;
+    if (byKey.quickRatio.rank < byKey.currentRatio.rank && inventoryShare >= 0.25) {
+      observations.push(t('narrative.inventoryDependence', {
+        quick: describe(byKey.quickRatio).value,
+        current: describe(byKey.currentRatio).value,
+        share: formatValue(inventoryShare, 'percentage'),
+      }));
+    }
+  }
+  if (has('debtToEquityRatio', 'interestCoverage') && byKey.debtToEquityRatio.rank <= 1 && byKey.interestCoverage.rank <= 1) {
+    observations.push(t('narrative.leverageAndCoverage', {
+      debtToEquity: describe(byKey.debtToEquityRatio).value,
+      coverage: describe(byKey.interestCoverage).value,
+    }));
+  }
+  if (has('returnOnEquity', 'returnOnAssets') && byKey.returnOnEquity.rank >= 3 && byKey.returnOnAssets.rank <= 1) {
+    observations.push(t('narrative.leveragedReturns', {
+      returnOnEquity: describe(byKey.returnOnEquity).value,
+      returnOnAssets: describe(byKey.returnOnAssets).value,
+    }));
+  }
+  if (has('netMargin', 'freeCashFlow') && byKey.netMargin.rank >= 3 && byKey.freeCashFlow.rank <= 1) {
+    observations.push(t('narrative.profitWithoutCash', {
+      netMargin: describe(byKey.netMargin).value,
+      freeCashFlow: describe(byKey.freeCashFlow).value,
+    }));
+  }
+  if (has('cashConversionCycle') && byKey.cashConversionCycle.rank <= 1) {
+    observations.push(t('narrative.longCashCycle', { days: describe(byKey.cashConversionCycle).value }));
+  }
+  if (observations.length > 0) paragraphs.push(observations.join(' '));
+
+  // The weakest and the strongest ratio; ties go to the ratio with more weight, then to the first one
+  const byImportance = [...rated].sort((a, b) => (weights[b.definition.key] || 0) - (weights[a.definition.key] || 0));
+  const weakest = byImportance.reduce((worst, ratio) => (ratio.rank < worst.rank ? ratio : worst));
+  const strongest = byImportance.reduce((best, ratio) => (ratio.rank > best.rank ? ratio : best));
+  const extremes = [t(weakest.rank <= 1 ? 'narrative.biggestConcern' : 'narrative.noConcern', describe(weakest))];
+  if (strongest.rank >= 3 && strongest !== weakest) extremes.push(t('narrative.biggestStrength', describe(strongest)));
+  paragraphs.push(extremes.join(' '));
+
+  // Ratios left out for lack of data
+  const unavailable = RATIO_DEFINITIONS
+    .filter((definition) => definition.key in analysis.ratios && analysis.ratios[definition.key] === null)
+    .map((definition) => t(`ratios.${definition.key}.label`));
+  if (unavailable.length > 0) paragraphs.push(t('narrative.unavailable', { ratios: joinList(unavailable, t) }));
+
+  return paragraphs;
+};
@@ -0,0 +1,123 @@
+// Locale-aware number entry and display. Figures are always stored as plain
+// numeric strings in units ("1234567.89"); the number format and the unit scale
+// only change how they are typed and shown.
+
+const STORAGE_KEY = 'calculaSaludFinanc.numberPreferences';
+
+/**
+ * Supported number formats: thousands and decimal separators.
+ */
+export const NUMBER_FORMATS = [
+  { key: 'en', label: '1,234.56', thousands: ',', decimal: '.' },
+  { key: 'es', label: '1.234,56', thousands: '.', decimal: ',' },
+  { key: 'fr', label: '1 234,56', thousands: ' ', decimal: ',' },
+];
+
+/**
+ * Unit scales the amounts can be entered in. Their names are under `unitScales`
+ * (and, in running text, `unitScaleNames`) in the translation catalogs.
+ */
+export const UNIT_SCALES = [
+  { key: 'units', factor: 1 },
+  { key: 'thousands', factor: 1e3 },
+  { key: 'millions', factor: 1e6 },
+];
+
+/**
+ * Returns a number format by key, falling back to '1,234.56'.
+ * @param {string} formatKey - Key of the format (see NUMBER_FORMATS).
+ * @returns {object} - The number format.
+ */
+export const getNumberFormat = (formatKey) =>
+  NUMBER_FORMATS.find((format) => format.key === formatKey) || NUMBER_FORMATS[0];
+
+/**
+ * Returns a unit scale by key, falling back to units.
+ * @param {string} scaleKey - Key of the scale (see UNIT_SCALES).
+ * @returns {object} - The unit scale.
+ */
+export const getUnitScale = (scaleKey) => UNIT_SCALES.find((scale) => scale.key === scaleKey) || UNIT_SCALES[0];
+
+/**
+ * Parses a number typed in a given format. Accepts a leading minus sign or
+ * accounting-style parentheses, e.g. "(1,234)", for negatives; "(1,234" is not a
+ * number, since a half-typed negative must not be read as positive. Thousands
+ * separators (or spaces) must group the digits in threes: with 1,234.56, "1,5"
+ * is not a number rather than 15.
+ * @param {string} text - The text as typed.
+ * @param {string} formatKey - Key of the number format.
+ * @returns {number} - The number, or NaN if the text is not a number.
+ */
+export const parseLocalizedNumber = (text, formatKey) => {
+  const { thousands, decimal } = getNumberFormat(formatKey);
+  let cleaned = String(text).trim();
+  const isAccounting = /^\(.*\)$/.test(cleaned);
+  if (!isAccounting && /[()]/.test(cleaned)) return NaN; // A parenthesis without its partner, e.g. "(1,234"
+  const isNegative = isAccounting || cleaned.startsWith('-');
+  cleaned = (isAccounting ? cleaned.slice(1, -1) : cleaned.replace(/^-/, '')).trim();
+  const [integerPart, ...fractionParts] = cleaned.split(decimal);
+  if (fractionParts.length > 1) return NaN;
+  const separator = `(?:\\${thousands}|\\s)`;
+  if (new RegExp(separator).test(integerPart) && !new RegExp(`^\\d{1,3}(${separator}\\d{3})+$`).test(integerPart)) return NaN;
+  cleaned = integerPart.replace(new RegExp(separator, 'g'), '') + (fractionParts.length > 0 ? `.${fractionParts[0]}` : '');
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(cleaned)) return NaN;
+  const value = parseFloat(cleaned);
+  return isNegative ? -value : value;
+};
+
+/**
+ * Formats a number with the separators of a given format.
+ * @param {number|string} value - The number or raw numeric string.
+ * @param {string} formatKey - Key of the number format.
+ * @param {object} [options]
+ * @param {number} [options.fractionDigits] - Fixed number of decimals; by default
+ *   two when the value has decimals and none otherwise.
+ * @param {boolean} [options.accounting] - Show negatives in parentheses, e.g. "(1,234)".
+ * @returns {string} - The formatted number, or the value unchanged if it is not a number.
+ */
+export const formatLocalizedNumber = (value, formatKey, { fractionDigits, accounting = false } = {}) => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (value === '' || isNaN(number)) return String(value);
+  const { thousands, decimal } = getNumberFormat(formatKey);
+  const digits = fractionDigits ?? (Number.isInteger(parseFloat(number.toFixed(2))) ? 0 : 2);
+  const [integerPart, fractionPart] = Math.abs(number).toFixed(digits).split('.');
+  const grouped = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, thousands);
+  const formatted = fractionPart ? `${grouped}${decimal}${fractionPart}` : grouped;
+  const isNegative = number < 0 && parseFloat(formatted.replace(/\D/g, '')) !== 0;
+  if (!isNegative) return formatted;
+  return accounting ? `(${formatted})` : `-${formatted}`;
+};
+
+/**
+ * Multiplies an amount by a unit scale factor without floating point noise
+ * (e.g. 0.1 millions is 100000, not 100000.00000000001).
+ * @param {number} value - The amount.
+ * @param {number} factor - The scale factor.
+ * @returns {number} - The scaled amount.
+ */
+export const scaleAmount = (value, factor) => Number((value * factor).toPrecision(15));
+
+/**
+ * Loads the number format and unit scale preferences.
+ * @returns {{numberFormat: string, unitScale: string}} - The preferences, or the defaults.
+ */
+export const loadNumberPreferences = () => {
+  const defaults = { numberFormat: NUMBER_FORMATS[0].key, unitScale: UNIT_SCALES[0].key };
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      numberFormat: getNumberFormat(stored && stored.numberFormat).key,
+      unitScale: getUnitScale(stored && stored.unitScale).key,
+    };
+  } catch {
+    return defaults;
+  }
+};
+
+/**
+ * Saves the number format and unit scale preferences.
+ * @param {{numberFormat: string, unitScale: string}} preferences - The preferences.
+ */
+export const saveNumberPreferences = (preferences) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+};
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { formatLocalizedNumber, parseLocalizedNumber } from './numberFormat';
+
+describe('parseLocalizedNumber', () => {
+  it('reads the separators of each format', () => {
+    expect(parseLocalizedNumber('1,234,567.89', 'en')).toBe(1234567.89);
+    expect(parseLocalizedNumber('1.234.567,89', 'es')).toBe(1234567.89);
+    expect(parseLocalizedNumber('1 234 567,89', 'fr')).toBe(1234567.89);
+    expect(parseLocalizedNumber('1234.5', 'en')).toBe(1234.5);
+    expect(parseLocalizedNumber('.5', 'en')).toBe(0.5);
+  });
+
+  it('reads a leading minus sign and accounting parentheses as negatives', () => {
+    expect(parseLocalizedNumber('-1,234', 'en')).toBe(-1234);
+    expect(parseLocalizedNumber('(1,234)', 'en')).toBe(-1234);
+    expect(parseLocalizedNumber(' ( 1.234,5 ) ', 'es')).toBe(-1234.5);
+  });
+
+  it('rejects a parenthesis without its partner', () => {
+    expect(parseLocalizedNumber('(1,234', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('1,234)', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('(1.234', 'es')).toBeNaN();
+    expect(parseLocalizedNumber('-1,234)', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('(', 'en')).toBeNaN();
+  });
+
+  it('rejects signs and parentheses together or inside the number', () => {
+    expect(parseLocalizedNumber('(-1,234)', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('1(2)', 'en')).toBeNaN();
+  });
+
+  it('rejects thousands separators that do not group the digits in threes', () => {
+    expect(parseLocalizedNumber('1,5', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('12,34,567', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('1.5', 'es')).toBeNaN();
+    expect(parseLocalizedNumber('1,5', 'es')).toBe(1.5);
+  });
+
+  it('rejects text that is not a number', () => {
+    expect(parseLocalizedNumber('', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('12abc', 'en')).toBeNaN();
+    expect(parseLocalizedNumber('1.2.3', 'en')).toBeNaN();
+  });
+});
+
+describe('formatLocalizedNumber', () => {
+  it('formats accounting negatives that parse back to the same number', () => {
+    const formatted = formatLocalizedNumber(-1234.5, 'es', { accounting: true });
+    expect(formatted).toBe('(1.234,50)');
+    expect(parseLocalizedNumber(formatted, 'es')).toBe(-1234.5);
+  });
+});
@@ -0,0 +1,231 @@
+// Client-side PDF report: cover, narrative summary, entered data, ratio table,
+// interpretation guide, disclaimer and page numbers, with the same layout in every browser.
+
+import { INPUT_FIELDS, INPUT_SECTIONS, RATIO_DEFINITIONS, RATIO_GROUPS, getRatioGuideLabel } from './ratioEngine';
+import { describeBands } from './thresholds';
+
+const TEAL = [0, 121, 107];
+const LIGHT_TEAL = [224, 242, 241];
+const PAGE_MARGIN = 20; // mm
+
+/**
+ * Removes characters the standard PDF fonts cannot draw (e.g. the emojis of the
+ * interpretation labels).
+ * @param {string} text - The text to draw.
+ * @returns {string} - The text restricted to Latin-1 (plus ™).
+ */
+const toPdfText = (text) => String(text).replace(/[^\x20-\xff™\n]/g, '').replace(/ {2,}/g, ' ').trim();
+
+/**
+ * Draws the "Salud Financiera" logo as vector shapes.
+ * @param {object} doc - The jsPDF document.
+ * @param {number} centerX - Horizontal center of the logo.
+ * @param {number} centerY - Vertical center of the logo.
+ * @param {function} t - Translator for the logo text.
+ */
+const drawLogo = (doc, centerX, centerY, t) => {
+  doc.setFillColor(...TEAL);
+  doc.circle(centerX, centerY, 25, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(toPdfText(t('app.logoTop')), centerX, centerY - 3, { align: 'center' });
+  doc.text(toPdfText(t('app.logoBottom')), centerX, centerY + 7, { align: 'center' });
+};
+
+/**
+ * Draws a section heading.
+ * @param {object} doc - The jsPDF document.
+ * @param {string} text - The heading.
+ * @param {number} y - Baseline of the heading.
+ */
+const drawHeading = (doc, text, y) => {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.setTextColor(...TEAL);
+  doc.text(toPdfText(text), PAGE_MARGIN, y);
+  doc.setTextColor(0, 0, 0);
+};
+
+/**
+ * Generates the PDF report of an analysis. jsPDF is loaded on demand so it does
+ * not weigh on the initial page load.
+ * @param {object} report - The report contents:
+ *   { companyTicker, reportDate, currency, sectorLabel, fiscalPeriodLabel, figures, analysis, thresholds,
+ *     narrative, disclaimer, generatedAt, unitScaleLabel, formatFigure(value, fieldKey), formatRatio(value, definition),
+ *     formatBandLimit(limit, definition), conversion, t }
+ *   where `reportDate`, `fiscalPeriodLabel` and `generatedAt` are already formatted for display,
+ *   `narrative` holds the paragraphs of the summary (see ./narrative; optional),
+ *   `unitScaleLabel` names the scale of the amounts ('miles', 'millones', '' for units),
+ *   `t` is the translator of the report language (see ./i18n) and the
+ *   optional `conversion` ({ currency, rate, effectiveDate, formatRate(rate), formatAmount(value, fieldKey) })
+ *   adds the amounts converted into the reporting currency. `fieldKey` is only
+ *   given for entered figures, some of which are not amounts (see INPUT_FIELDS).
+ * @returns {Promise<Blob>} - The PDF file.
+ */
+export const generatePdfReport = async (report) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const centerX = pageWidth / 2;
+  const { t } = report;
+  const tableDefaults = {
+    margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN },
+    styles: { fontSize: 9, cellPadding: 1.5 },
+    headStyles: { fillColor: TEAL },
+  };
+
+  // Cover
+  drawLogo(doc, centerX, 70, t);
+  doc.setTextColor(0, 0, 0);
+  doc.setFontSize(22);
+  doc.text(toPdfText(t('report.title')), centerX, 115, { align: 'center' });
+  if (report.companyTicker) {
+    doc.setFontSize(28);
+    doc.setTextColor(...TEAL);
+    doc.text(toPdfText(report.companyTicker), centerX, 135, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+  }
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(12);
+  [
+    report.reportDate && t('report.reportDate', { date: report.reportDate }),
+    report.fiscalPeriodLabel && t('report.fiscalPeriod', { description: report.fiscalPeriodLabel }),
+    t('report.dataCurrency', { currency: report.currency }) +
+      (report.unitScaleLabel ? t('report.unitScaleNote', { scale: report.unitScaleLabel }) : ''),
+    report.conversion && t('report.reportingCurrency', {
+      currency: report.conversion.currency,
+      from: report.currency,
+      rate: report.conversion.formatRate(report.conversion.rate),
+      date: report.conversion.effectiveDate,
+    }),
+    t('report.sector', { sector: report.sectorLabel }),
+  ].filter(Boolean).forEach((line, index) => {
+    doc.text(toPdfText(line), centerX, 155 + index * 8, { align: 'center' });
+  });
+  doc.setFontSize(9);
+  doc.setTextColor(100, 100, 100);
+  doc.text(toPdfText(t('report.generatedAt', { date: report.generatedAt })), centerX, pageHeight - 35, { align: 'center' });
+  doc.setTextColor(0, 0, 0);
+
+  // Narrative summary
+  if (report.narrative && report.narrative.length > 0) {
+    doc.addPage();
+    drawHeading(doc, t('narrative.title'), PAGE_MARGIN + 5);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(11);
+    let paragraphY = PAGE_MARGIN + 14;
+    report.narrative.forEach((paragraph) => {
+      const lines = doc.splitTextToSize(toPdfText(paragraph), pageWidth - PAGE_MARGIN * 2);
+      if (paragraphY + lines.length * 5 > pageHeight - PAGE_MARGIN) {
+        doc.addPage();
+        paragraphY = PAGE_MARGIN + 5;
+      }
+      doc.text(lines, PAGE_MARGIN, paragraphY);
+      paragraphY += lines.length * 5 + 4;
+    });
+  }
+
+  // Entered data and ratios
+  const { conversion } = report;
+  const columnCount = conversion ? 3 : 2;
+  const valueHeader = (currency) => (report.unitScaleLabel
+    ? t('report.valueInScale', { currency, scale: report.unitScaleLabel })
+    : t('report.valueIn', { currency }));
+  doc.addPage();
+  drawHeading(doc, t('report.enteredData'), PAGE_MARGIN + 5);
+  autoTable(doc, {
+    ...tableDefaults,
+    startY: PAGE_MARGIN + 9,
+    head: [[
+      t('report.concept'),
+      toPdfText(valueHeader(report.currency)),
+      ...(conversion ? [toPdfText(valueHeader(conversion.currency))] : []),
+    ]],
+    body: INPUT_SECTIONS
+      .filter((section) => INPUT_FIELDS.some((field) => field.section === section.key && report.figures[field.key] !== ''))
+      .flatMap((section) => [
+        [{ content: toPdfText(t(`sections.${section.key}.title`)), colSpan: columnCount, styles: { fontStyle: 'bold', fillColor: LIGHT_TEAL } }],
+        ...INPUT_FIELDS
+          .filter((field) => field.section === section.key && report.figures[field.key] !== '')
+          .map((field) => [
+            toPdfText(t(`fields.${field.key}`)),
+            toPdfText(report.formatFigure(report.figures[field.key], field.key)),
+            ...(conversion ? [toPdfText(field.unit === 'shares'
+              ? report.formatFigure(report.figures[field.key], field.key)
+              : conversion.formatAmount(report.figures[field.key], field.key))] : []),
+          ]),
+      ]),
+    columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' } },
+  });
+
+  drawHeading(doc, t('report.ratios'), doc.lastAutoTable.finalY + 12);
+  autoTable(doc, {
+    ...tableDefaults,
+    startY: doc.lastAutoTable.finalY + 16,
+    head: [[t('report.ratio'), t('report.value'), t('report.description'), t('report.interpretation')]].map((row) => row.map(toPdfText)),
+    body: RATIO_GROUPS.flatMap((group) => {
+      const groupDefinitions = RATIO_DEFINITIONS.filter(
+        (definition) => definition.group === group.key && definition.key in report.analysis.ratios
+      );
+      if (groupDefinitions.length === 0) return [];
+      return [
+        [{ content: toPdfText(t(`groups.${group.key}`)), colSpan: 4, styles: { fontStyle: 'bold', fillColor: LIGHT_TEAL } }],
+        ...groupDefinitions.map((definition) => [
+          toPdfText(t(`ratios.${definition.key}.label`)),
+          toPdfText(report.formatRatio(report.analysis.ratios[definition.key], definition) +
+            (conversion && definition.format === 'currency' && report.analysis.ratios[definition.key] !== null
+              ? ` (${conversion.formatAmount(report.analysis.ratios[definition.key])})`
+              : '')),
+          toPdfText(t(`ratios.${definition.key}.description`)),
+          toPdfText(report.analysis.interpretations[definition.key]),
+        ]),
+      ];
+    }),
+    columnStyles: { 0: { cellWidth: 40 }, 1: { cellWidth: 28, halign: 'right' }, 3: { cellWidth: 35 } },
+  });
+
+  // Interpretation guide
+  doc.addPage();
+  drawHeading(doc, t('report.guide', { profile: report.sectorLabel }), PAGE_MARGIN + 5);
+  autoTable(doc, {
+    ...tableDefaults,
+    startY: PAGE_MARGIN + 9,
+    head: [[t('report.ratio'), t('report.range'), t('report.interpretation')]].map((row) => row.map(toPdfText)),
+    body: RATIO_DEFINITIONS.flatMap((definition) => {
+      const bands = describeBands(report.thresholds[definition.key], (limit) => report.formatBandLimit(limit, definition), t);
+      return bands.map((band, index) => [
+        ...(index === 0
+          ? [{ content: toPdfText(getRatioGuideLabel(definition.key, t)), rowSpan: bands.length, styles: { fontStyle: 'bold' } }]
+          : []),
+        toPdfText(band.range),
+        toPdfText(band.label),
+      ]);
+    }),
+    columnStyles: { 0: { cellWidth: 60 } },
+  });
+
+  // Disclaimer, on a new page if it does not fit below the guide
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  const disclaimerLines = doc.splitTextToSize(toPdfText(`*${report.disclaimer}`), pageWidth - PAGE_MARGIN * 2);
+  let disclaimerY = doc.lastAutoTable.finalY + 10;
+  if (disclaimerY + disclaimerLines.length * 4 > pageHeight - PAGE_MARGIN) {
+    doc.addPage();
+    disclaimerY = PAGE_MARGIN + 5;
+  }
+  doc.text(disclaimerLines, PAGE_MARGIN, disclaimerY);
+
+  // Footer with page numbers
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.setTextColor(100, 100, 100);
+    doc.text(toPdfText(t('report.footer')), PAGE_MARGIN, pageHeight - 10);
+    doc.text(toPdfText(t('report.page', { page, pageCount })), pageWidth - PAGE_MARGIN, pageHeight - 10, { align: 'right' });
+  }
+
+  return doc.output('blob');
+};
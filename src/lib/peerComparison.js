@@ -0,0 +1,57 @@
+// Side-by-side comparison of several companies: one row per ratio, one column
+// per company, with the peer median and each company's rank on every ratio.
+
+import { RATIO_DEFINITIONS } from './ratioEngine';
+import { DEFAULT_THRESHOLDS } from './thresholds';
+
+/**
+ * Returns the median of a list of numbers.
+ * @param {number[]} values - The values.
+ * @returns {number|null} - The median, or null for an empty list.
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Builds the comparison table of several companies.
+ * @param {Array<{id: string, label: string, analysis: object}>} companies - The companies, each
+ *   with the result of analyzeBalanceSheet (ideally computed with the same thresholds).
+ * @param {object} [thresholds] - Map of ratio key to bands; their direction decides which value is best.
+ *   Negative values of a lower-is-better ratio whose bands are all positive rank last.
+ * @returns {Array<{definition: object, median: number|null, cells: Array<object>}>} - One row per ratio
+ *   available for at least one company. Each cell is { value, interpretation, rank, isBest, isWorst };
+ *   `rank` is 1 for the best value (ties share the rank) and null when the ratio is N/A.
+ */
+export const buildPeerComparison = (companies, thresholds = DEFAULT_THRESHOLDS) => RATIO_DEFINITIONS
+  .map((definition) => {
+    const { direction, limits } = thresholds[definition.key] || DEFAULT_THRESHOLDS[definition.key];
+    const values = companies.map((company) => company.analysis.ratios[definition.key] ?? null);
+    const available = values.filter((value) => value !== null);
+    // When lower is better but no band reaches below zero, a negative value is a
+    // distortion (e.g. debt to equity with negative equity), not the best value
+    const negativesLast = direction === 'lower' && limits[0] > 0;
+    const sorted = [...available].sort((a, b) => {
+      if (negativesLast && (a < 0) !== (b < 0)) return a < 0 ? 1 : -1;
+      return direction === 'lower' ? a - b : b - a;
+    });
+    const hasSpread = sorted.length > 1 && sorted[0] !== sorted[sorted.length - 1];
+
+    const cells = companies.map((company, index) => {
+      const value = values[index];
+      const interpretation = company.analysis.interpretations[definition.key] || '';
+      if (value === null) return { value, interpretation, rank: null, isBest: false, isWorst: false };
+      return {
+        value,
+        interpretation,
+        rank: sorted.indexOf(value) + 1,
+        isBest: hasSpread && value === sorted[0],
+        isWorst: hasSpread && value === sorted[sorted.length - 1],
+      };
+    });
+    return { definition, median: median(available), cells };
+  })
+  .filter((row) => row.cells.some((cell) => cell.value !== null));
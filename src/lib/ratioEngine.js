@@ -0,0 +1,456 @@
+// Framework-free ratio engine for the Financial Health Analyzer.
+// Everything here is pure: it takes raw figures and returns ratios and their
+// interpretations, so it can be reused from scripts as well as from the UI.
+// Labels and messages come from the translation catalogs, by key.
+
+import { DEFAULT_THRESHOLDS, interpretWithBands } from './thresholds';
+import { createTranslator, getTranslationsInAllLanguages } from './i18n';
+
+/**
+ * Input sections of the form. Only the balance sheet is required; the optional
+ * sections are analyzed when at least one of their fields has been filled in.
+ * In sections with `independentFields` each field may be left empty on its own,
+ * because each of them is needed by some models only; fields marked `independent`
+ * (see INPUT_FIELDS) behave that way in any section. Titles and messages are
+ * under `sections.<key>` in the catalogs.
+ */
+export const INPUT_SECTIONS = [
+  { key: 'balanceSheet', optional: false },
+  { key: 'incomeStatement', optional: true },
+  { key: 'workingCapital', optional: true },
+  { key: 'cashFlow', optional: true },
+  { key: 'riskModels', optional: true, independentFields: true },
+  { key: 'marketData', optional: true },
+];
+
+/**
+ * Input fields accepted by the engine, in display order within each section.
+ * Labels are under `fields.<key>` in the catalogs. New fields go at the end:
+ * shareable links list the figures in this order (see ./shareLink).
+ *
+ * Fields are amounts in the data currency unless `unit` says otherwise:
+ * 'perShare' is an amount per share and 'shares' a number of shares. Neither is
+ * entered in the chosen unit scale, and shares are not converted between currencies.
+ *
+ * `independent` fields may be left empty when the rest of their section is filled
+ * in, and are read whenever they are filled in, even if the rest is empty. Ratios
+ * that need them list them in `requiredFields`.
+ */
+export const INPUT_FIELDS = [
+  { key: 'currentAssets', section: 'balanceSheet', placeholder: '150,000,000' },
+  { key: 'currentLiabilities', section: 'balanceSheet', placeholder: '80,000,000' },
+  { key: 'inventory', section: 'balanceSheet', placeholder: '30,000,000' },
+  { key: 'totalAssets', section: 'balanceSheet', placeholder: '500,000,000' },
+  { key: 'totalLiabilities', section: 'balanceSheet', placeholder: '300,000,000' },
+  { key: 'shareholdersEquity', section: 'balanceSheet', placeholder: '200,000,000' },
+  { key: 'revenue', section: 'incomeStatement', placeholder: '400,000,000' },
+  { key: 'costOfGoodsSold', section: 'incomeStatement', placeholder: '240,000,000' },
+  { key: 'operatingIncome', section: 'incomeStatement', placeholder: '60,000,000' },
+  { key: 'netIncome', section: 'incomeStatement', placeholder: '35,000,000' },
+  { key: 'interestExpense', section: 'incomeStatement', placeholder: '10,000,000' },
+  { key: 'ebitda', section: 'incomeStatement', placeholder: '80,000,000' },
+  { key: 'cashAndEquivalents', section: 'cashFlow', placeholder: '25,000,000', independent: true }, // Also used by EV/EBITDA
+  { key: 'operatingCashFlow', section: 'cashFlow', placeholder: '70,000,000' },
+  { key: 'capitalExpenditures', section: 'cashFlow', placeholder: '30,000,000' },
+  { key: 'dividendsPaid', section: 'cashFlow', placeholder: '10,000,000' },
+  { key: 'debtRepayments', section: 'cashFlow', placeholder: '15,000,000' },
+  { key: 'retainedEarnings', section: 'riskModels', placeholder: '120,000,000' },
+  { key: 'marketValueOfEquity', section: 'riskModels', placeholder: '450,000,000' },
+  { key: 'accountsReceivable', section: 'workingCapital', placeholder: '45,000,000' },
+  { key: 'accountsPayable', section: 'workingCapital', placeholder: '35,000,000' },
+  { key: 'sharePrice', section: 'marketData', placeholder: '45.00', unit: 'perShare' },
+  { key: 'sharesOutstanding', section: 'marketData', placeholder: '10,000,000', unit: 'shares' },
+];
+
+/**
+ * Returns a figures object with every input field empty.
+ * @returns {object} - Map of field key to empty string.
+ */
+export const createEmptyFigures = () => Object.fromEntries(INPUT_FIELDS.map((field) => [field.key, '']));
+
+/**
+ * Groups used to display the ratios, in display order. Titles are under
+ * `groups.<key>` in the catalogs.
+ */
+export const RATIO_GROUPS = [
+  { key: 'liquidity' },
+  { key: 'solvency' },
+  { key: 'profitability' },
+  { key: 'cashFlow' },
+  { key: 'valuation' },
+];
+
+/**
+ * Returns the rank of an interpretation string (0 = Pésimo ... 4 = Excelente),
+ * in any of the supported languages.
+ * @param {string} interpretation - Interpretation string, e.g. 'Bueno 👍' or 'Good 👍'.
+ * @returns {number} - The band rank, or -1 if the string is not a band.
+ */
+export const getInterpretationRank = (interpretation) => {
+  const text = interpretation || '';
+  for (const labels of getTranslationsInAllLanguages('interpretations')) {
+    // The emoji is optional: 'Bueno' matches 'Bueno 👍'
+    const rank = labels.findIndex((label) => label === text || label.startsWith(`${text} `));
+    if (rank !== -1) return rank;
+  }
+  return -1;
+};
+
+/**
+ * Days of a full year, the period length when none is given.
+ */
+export const DAYS_PER_YEAR = 365;
+
+/**
+ * Scales a flow of the period (revenue, earnings, cash flow...) to a full year,
+ * so ratios that compare it with a balance (assets, equity, market value) are
+ * read against the same annual bands whatever the period length.
+ * @param {number} flow - The flow over the period.
+ * @param {number} periodDays - Length of the period in days.
+ * @returns {number} - The flow over a year.
+ */
+export const annualize = (flow, periodDays) => flow * (DAYS_PER_YEAR / periodDays);
+
+/**
+ * Divides two numbers, reporting a zero denominator instead of returning Infinity.
+ * @param {number} numerator - The numerator.
+ * @param {number} denominator - The denominator.
+ * @param {string} zeroKey - Key of the message explaining why the ratio is not
+ *   available (see `zeroDenominators` in the catalogs).
+ * @returns {{value: number|null, zeroKey?: string}} - The quotient or the reason it is missing.
+ */
+export const divide = (numerator, denominator, zeroKey) => (
+  denominator !== 0 ? { value: numerator / denominator } : { value: null, zeroKey }
+);
+
+/**
+ * Divides a market value (capitalization or enterprise value) by a figure that
+ * must be positive for the multiple to mean anything (earnings, book value, EBITDA).
+ * @param {number} numerator - The market value.
+ * @param {number} denominator - The figure it is compared with.
+ * @param {string} nonPositiveKey - Key of the message shown when the figure is zero or negative.
+ * @returns {{value: number|null, zeroKey?: string}} - The multiple or the reason it is missing.
+ */
+export const divideByPositive = (numerator, denominator, nonPositiveKey) => (
+  denominator > 0 ? { value: numerator / denominator } : { value: null, zeroKey: nonPositiveKey }
+);
+
+/**
+ * Ratio definitions. Each ratio belongs to the input section whose fields it
+ * needs (balance sheet fields are always available), plus any other optional
+ * sections listed in `requiredSections` and independent fields listed in
+ * `requiredFields`, and knows how to compute its value from
+ * parsed figures and the length of the period in days. Ratios that compare a flow
+ * of the period with a balance annualize the flow (see annualize); ratios of two
+ * flows or two balances do not depend on the period. Interpretation bands live
+ * in ./thresholds.
+ *
+ * `format` is one of 'ratio' (times), 'percentage' (fraction shown as %),
+ * 'currency' (an amount in the data currency) or 'days'. When the value compared against
+ * the bands is not the ratio itself, `getBandValue` derives it and `bandFormat`
+ * describes it. `bandSuffix` only affects the interpretation guide. Labels,
+ * descriptions and the optional guide label are under `ratios.<key>` in the catalogs.
+ */
+export const RATIO_DEFINITIONS = [
+  {
+    key: 'currentRatio',
+    group: 'liquidity',
+    section: 'balanceSheet',
+    format: 'ratio',
+    compute: (n) => divide(n.currentAssets, n.currentLiabilities, 'currentLiabilities'),
+  },
+  {
+    key: 'quickRatio',
+    group: 'liquidity',
+    section: 'balanceSheet',
+    format: 'ratio',
+    compute: (n) => divide(n.currentAssets - n.inventory, n.currentLiabilities, 'currentLiabilities'),
+  },
+  {
+    key: 'inventoryTurnover',
+    group: 'liquidity',
+    section: 'incomeStatement',
+    format: 'ratio',
+    bandSuffix: 'x',
+    compute: (n, periodDays) => divide(annualize(n.costOfGoodsSold, periodDays), n.inventory, 'inventory'),
+  },
+  {
+    key: 'daysSalesOutstanding',
+    group: 'liquidity',
+    section: 'workingCapital',
+    requiredSections: ['incomeStatement'],
+    format: 'days',
+    compute: (n, periodDays) => divide(n.accountsReceivable * periodDays, n.revenue, 'revenue'),
+  },
+  {
+    key: 'daysInventoryOutstanding',
+    group: 'liquidity',
+    section: 'incomeStatement',
+    format: 'days',
+    compute: (n, periodDays) => divide(n.inventory * periodDays, n.costOfGoodsSold, 'costOfGoodsSold'),
+  },
+  {
+    key: 'daysPayableOutstanding',
+    group: 'liquidity',
+    section: 'workingCapital',
+    requiredSections: ['incomeStatement'],
+    format: 'days',
+    compute: (n, periodDays) => divide(n.accountsPayable * periodDays, n.costOfGoodsSold, 'costOfGoodsSold'),
+  },
+  {
+    key: 'cashConversionCycle',
+    group: 'liquidity',
+    section: 'workingCapital',
+    requiredSections: ['incomeStatement'],
+    format: 'days',
+    // Days sales outstanding + days inventory outstanding - days payable outstanding
+    compute: (n, periodDays) => {
+      if (n.revenue === 0) return { value: null, zeroKey: 'revenue' };
+      if (n.costOfGoodsSold === 0) return { value: null, zeroKey: 'costOfGoodsSold' };
+      return { value: ((n.accountsReceivable / n.revenue) + ((n.inventory - n.accountsPayable) / n.costOfGoodsSold)) * periodDays };
+    },
+  },
+  {
+    key: 'debtToEquityRatio',
+    group: 'solvency',
+    section: 'balanceSheet',
+    format: 'ratio',
+    compute: (n) => divide(n.totalLiabilities, n.shareholdersEquity, 'shareholdersEquity'),
+  },
+  {
+    key: 'debtToAssetsRatio',
+    group: 'solvency',
+    section: 'balanceSheet',
+    format: 'ratio',
+    compute: (n) => divide(n.totalLiabilities, n.totalAssets, 'totalAssets'),
+  },
+  {
+    key: 'grossMargin',
+    group: 'profitability',
+    section: 'incomeStatement',
+    format: 'percentage',
+    compute: (n) => divide(n.revenue - n.costOfGoodsSold, n.revenue, 'revenue'),
+  },
+  {
+    key: 'operatingMargin',
+    group: 'profitability',
+    section: 'incomeStatement',
+    format: 'percentage',
+    compute: (n) => divide(n.operatingIncome, n.revenue, 'revenue'),
+  },
+  {
+    key: 'netMargin',
+    group: 'profitability',
+    section: 'incomeStatement',
+    format: 'percentage',
+    compute: (n) => divide(n.netIncome, n.revenue, 'revenue'),
+  },
+  {
+    key: 'returnOnAssets',
+    group: 'profitability',
+    section: 'incomeStatement',
+    format: 'percentage',
+    compute: (n, periodDays) => divide(annualize(n.netIncome, periodDays), n.totalAssets, 'totalAssets'),
+  },
+  {
+    key: 'returnOnEquity',
+    group: 'profitability',
+    section: 'incomeStatement',
+    format: 'percentage',
+    compute: (n, periodDays) => divide(annualize(n.netIncome, periodDays), n.shareholdersEquity, 'shareholdersEquity'),
+  },
+  {
+    key: 'interestCoverage',
+    group: 'profitability',
+    section: 'incomeStatement',
+    format: 'ratio',
+    bandSuffix: 'x',
+    compute: (n) => divide(n.operatingIncome, n.interestExpense, 'interestExpense'),
+  },
+  {
+    key: 'freeCashFlow',
+    group: 'cashFlow',
+    section: 'cashFlow',
+    format: 'currency',
+    bandFormat: 'ratio',
+    bandSuffix: 'x',
+    compute: (n) => ({ value: n.operatingCashFlow - n.capitalExpenditures }),
+    // Free cash flow is banded by how many times it covers dividends plus debt repayments
+    getBandValue: (value, n) => divide(value, n.dividendsPaid + n.debtRepayments, 'dividendsAndDebtRepayments'),
+  },
+  {
+    key: 'operatingCashFlowRatio',
+    group: 'cashFlow',
+    section: 'cashFlow',
+    format: 'ratio',
+    compute: (n, periodDays) => divide(annualize(n.operatingCashFlow, periodDays), n.currentLiabilities, 'currentLiabilities'),
+  },
+  {
+    key: 'cashRatio',
+    group: 'cashFlow',
+    section: 'cashFlow',
+    requiredFields: ['cashAndEquivalents'],
+    format: 'ratio',
+    compute: (n) => divide(n.cashAndEquivalents, n.currentLiabilities, 'currentLiabilities'),
+  },
+  {
+    key: 'capexCoverage',
+    group: 'cashFlow',
+    section: 'cashFlow',
+    format: 'ratio',
+    bandSuffix: 'x',
+    compute: (n) => divide(n.operatingCashFlow, n.capitalExpenditures, 'capitalExpenditures'),
+  },
+  {
+    key: 'marketCapitalization',
+    group: 'valuation',
+    section: 'marketData',
+    format: 'currency',
+    bandFormat: 'ratio',
+    bandSuffix: 'x',
+    compute: (n) => ({ value: n.sharePrice * n.sharesOutstanding }),
+    // The market capitalization is banded by how many times it covers the total liabilities
+    getBandValue: (value, n) => divide(value, n.totalLiabilities, 'totalLiabilities'),
+  },
+  {
+    key: 'priceToEarnings',
+    group: 'valuation',
+    section: 'marketData',
+    requiredSections: ['incomeStatement'],
+    format: 'ratio',
+    bandSuffix: 'x',
+    compute: (n, periodDays) => divideByPositive(
+      n.sharePrice * n.sharesOutstanding, annualize(n.netIncome, periodDays), 'nonPositiveNetIncome'
+    ),
+  },
+  {
+    key: 'priceToBook',
+    group: 'valuation',
+    section: 'marketData',
+    format: 'ratio',
+    bandSuffix: 'x',
+    compute: (n) => divideByPositive(n.sharePrice * n.sharesOutstanding, n.shareholdersEquity, 'nonPositiveEquity'),
+  },
+  {
+    key: 'evToEbitda',
+    group: 'valuation',
+    section: 'marketData',
+    requiredSections: ['incomeStatement'],
+    requiredFields: ['cashAndEquivalents'],
+    format: 'ratio',
+    bandSuffix: 'x',
+    // Enterprise value = market capitalization + total liabilities - cash
+    compute: (n, periodDays) => divideByPositive(
+      n.sharePrice * n.sharesOutstanding + n.totalLiabilities - n.cashAndEquivalents,
+      annualize(n.ebitda, periodDays),
+      'nonPositiveEbitda'
+    ),
+  },
+  {
+    key: 'dividendYield',
+    group: 'valuation',
+    section: 'marketData',
+    requiredSections: ['cashFlow'],
+    format: 'percentage',
+    compute: (n, periodDays) => divide(
+      annualize(n.dividendsPaid, periodDays), n.sharePrice * n.sharesOutstanding, 'marketCapitalization'
+    ),
+  },
+];
+
+/**
+ * Returns the label of a ratio in the interpretation guide, which some ratios
+ * spell out in more detail than in the results.
+ * @param {string} ratioKey - Key of the ratio (see RATIO_DEFINITIONS).
+ * @param {function} [t] - Translator (see ./i18n); defaults to Spanish.
+ * @returns {string} - The guide label, or the ratio label.
+ */
+export const getRatioGuideLabel = (ratioKey, t = createTranslator()) => {
+  const guideKey = `ratios.${ratioKey}.guideLabel`;
+  const guideLabel = t(guideKey);
+  return guideLabel === guideKey ? t(`ratios.${ratioKey}.label`) : guideLabel;
+};
+
+/**
+ * Returns true when an input value has not been filled in.
+ * @param {string|number|null|undefined} value - Raw input value.
+ * @returns {boolean} - Whether the value is empty.
+ */
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Parses a raw input value. Unlike parseFloat, trailing text makes the whole
+ * value invalid, so "12abc" is not read as 12.
+ * @param {string|number|null|undefined} value - Raw input value.
+ * @returns {number} - The number, or NaN when the value is empty or not a number.
+ */
+export const parseInputValue = (value) => (isEmptyValue(value) || /^\s*$/.test(value) ? NaN : Number(value));
+
+/**
+ * Analyzes a set of financial statement figures.
+ *
+ * Balance sheet fields are required. The other sections are optional: a section
+ * is analyzed when any of its fields is filled in, and then all of its fields
+ * (only the filled ones, for sections with `independentFields` and for
+ * `independent` fields) must be valid numbers. Filled independent fields are
+ * read even when the rest of their section is empty.
+ *
+ * @param {object} inputs - Map of field key (see INPUT_FIELDS) to a number or numeric string.
+ * @param {object} [options] - Analysis options.
+ * @param {object} [options.thresholds] - Map of ratio key to bands (see ./thresholds); defaults to the general thresholds.
+ * @param {number} [options.periodDays] - Length of the period the figures cover, in days (see
+ *   getPeriodDays in ./reportDates); defaults to a full year.
+ * @param {function} [options.t] - Translator for the interpretations and messages (see ./i18n); defaults to Spanish.
+ * @returns {{ratios: object, bandValues: object, interpretations: object, warnings: string[], sections: string[], error: string|null}}
+ *   `ratios` maps each analyzed ratio key to its value, or null when it is not
+ *   available (N/A); `bandValues` holds the value compared against the bands
+ *   (see `getBandValue`), or null; `interpretations` holds the band (or the reason for N/A);
+ *   `warnings` lists the ratios that could not be computed; `sections` lists the
+ *   analyzed input sections; `error` is set when the inputs are invalid.
+ */
+export const analyzeBalanceSheet = (inputs, { thresholds = DEFAULT_THRESHOLDS, periodDays = DAYS_PER_YEAR, t = createTranslator() } = {}) => {
+  const createResult = () => ({ ratios: {}, bandValues: {}, interpretations: {}, warnings: [], sections: [], error: null });
+  const result = createResult();
+  const numbers = {};
+
+  for (const section of INPUT_SECTIONS) {
+    const sectionFields = INPUT_FIELDS.filter((field) => field.section === section.key);
+    const isIndependent = (field) => section.independentFields || field.independent;
+    const isFilled = (field) => !isEmptyValue(inputs[field.key]);
+    const isAnalyzed = !section.optional || sectionFields.some((field) => isFilled(field) && (section.independentFields || !field.independent));
+
+    const fields = sectionFields.filter((field) => isFilled(field) || (isAnalyzed && !isIndependent(field)));
+    const parsedValues = fields.map((field) => parseInputValue(inputs[field.key]));
+    if (parsedValues.some((value) => isNaN(value))) {
+      return { ...createResult(), error: t(`sections.${section.key}.invalidMessage`) };
+    }
+    fields.forEach((field, index) => { numbers[field.key] = parsedValues[index]; });
+    if (isAnalyzed) result.sections.push(section.key);
+  }
+
+  for (const definition of RATIO_DEFINITIONS) {
+    if (!result.sections.includes(definition.section)) continue;
+
+    const missingSection = (definition.requiredSections || []).find((sectionKey) => !result.sections.includes(sectionKey));
+    const missingField = (definition.requiredFields || []).find((fieldKey) => !(fieldKey in numbers));
+    const { value, zeroKey } = missingSection || missingField ? { value: null } : definition.compute(numbers, periodDays);
+    result.ratios[definition.key] = value;
+    result.bandValues[definition.key] = null;
+    if (value === null) {
+      let warning = t(`zeroDenominators.${zeroKey}`);
+      if (missingSection) warning = t('missingSection', { section: t(`sections.${missingSection}.title`) });
+      else if (missingField) warning = t('missingField', { field: t(`fields.${missingField}`) });
+      result.interpretations[definition.key] = warning;
+      result.warnings.push(t('ratioWarning', { label: t(`ratios.${definition.key}.label`), warning }));
+      continue;
+    }
+
+    const bandValue = definition.getBandValue ? definition.getBandValue(value, numbers) : { value };
+    result.bandValues[definition.key] = bandValue.value;
+    result.interpretations[definition.key] = bandValue.value === null
+      ? t(`zeroDenominators.${bandValue.zeroKey}`)
+      : interpretWithBands(bandValue.value, thresholds[definition.key] || DEFAULT_THRESHOLDS[definition.key], t);
+  }
+
+  return result;
+};
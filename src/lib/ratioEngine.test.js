@@ -0,0 +1,255 @@
+import { describe, expect, it } from 'vitest';
+import { DAYS_PER_YEAR, analyzeBalanceSheet, annualize, divide, divideByPositive, parseInputValue } from './ratioEngine';
+import { getSectorThresholds } from './thresholds';
+import { createTranslator } from './i18n';
+
+const t = createTranslator();
+const labels = t('interpretations');
+
+// A full year of figures with every section filled in.
+const FIGURES = {
+  currentAssets: 150,
+  currentLiabilities: 80,
+  inventory: 30,
+  totalAssets: 500,
+  totalLiabilities: 300,
+  shareholdersEquity: 200,
+  revenue: 400,
+  costOfGoodsSold: 240,
+  operatingIncome: 60,
+  netIncome: 35,
+  interestExpense: 10,
+  ebitda: 80,
+  cashAndEquivalents: 25,
+  operatingCashFlow: 70,
+  capitalExpenditures: 30,
+  dividendsPaid: 10,
+  debtRepayments: 15,
+  retainedEarnings: 120,
+  marketValueOfEquity: 450,
+  accountsReceivable: 45,
+  accountsPayable: 35,
+  sharePrice: 45,
+  sharesOutstanding: 10,
+};
+
+const BALANCE_SHEET = {
+  currentAssets: 150,
+  currentLiabilities: 80,
+  inventory: 30,
+  totalAssets: 500,
+  totalLiabilities: 300,
+  shareholdersEquity: 200,
+};
+
+describe('divide', () => {
+  it('divides by any non-zero denominator', () => {
+    expect(divide(150, 80, 'currentLiabilities')).toEqual({ value: 1.875 });
+    expect(divide(150, -75, 'currentLiabilities')).toEqual({ value: -2 });
+    expect(divide(0, 80, 'currentLiabilities')).toEqual({ value: 0 });
+  });
+
+  it('reports a zero denominator with its key', () => {
+    expect(divide(150, 0, 'currentLiabilities')).toEqual({ value: null, zeroKey: 'currentLiabilities' });
+    expect(divide(0, 0, 'revenue')).toEqual({ value: null, zeroKey: 'revenue' });
+  });
+});
+
+describe('divideByPositive', () => {
+  it('divides by a positive denominator', () => {
+    expect(divideByPositive(450, 35, 'nonPositiveNetIncome').value).toBeCloseTo(12.857, 3);
+  });
+
+  it('reports a zero or negative denominator with its key', () => {
+    expect(divideByPositive(450, 0, 'nonPositiveNetIncome')).toEqual({ value: null, zeroKey: 'nonPositiveNetIncome' });
+    expect(divideByPositive(450, -1, 'nonPositiveEquity')).toEqual({ value: null, zeroKey: 'nonPositiveEquity' });
+  });
+});
+
+describe('parseInputValue', () => {
+  it('reads numbers and numeric strings', () => {
+    expect(parseInputValue(12)).toBe(12);
+    expect(parseInputValue('12.5')).toBe(12.5);
+    expect(parseInputValue('-3')).toBe(-3);
+  });
+
+  it('returns NaN for empty values and text', () => {
+    [undefined, null, '', '  ', '12abc', 'abc', '1,234'].forEach((value) => {
+      expect(parseInputValue(value)).toBeNaN();
+    });
+  });
+});
+
+describe('analyzeBalanceSheet', () => {
+  it('analyzes only the balance sheet when the optional sections are empty', () => {
+    const result = analyzeBalanceSheet(BALANCE_SHEET);
+    expect(result.error).toBeNull();
+    expect(result.sections).toEqual(['balanceSheet']);
+    expect(Object.keys(result.ratios)).toEqual(['currentRatio', 'quickRatio', 'debtToEquityRatio', 'debtToAssetsRatio']);
+    expect(result.ratios.currentRatio).toBe(1.875);
+    expect(result.ratios.debtToEquityRatio).toBe(1.5);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('analyzes every section when all the figures are filled in', () => {
+    const result = analyzeBalanceSheet(FIGURES);
+    expect(result.error).toBeNull();
+    expect(result.sections).toEqual(['balanceSheet', 'incomeStatement', 'workingCapital', 'cashFlow', 'riskModels', 'marketData']);
+    expect(Object.values(result.ratios).every((value) => typeof value === 'number')).toBe(true);
+    expect(result.warnings).toEqual([]);
+    expect(result.ratios.freeCashFlow).toBe(40);
+    expect(result.bandValues.freeCashFlow).toBe(1.6);
+    expect(result.ratios.evToEbitda).toBe((450 + 300 - 25) / 80);
+  });
+
+  it('reads numeric strings and rejects values that are not numbers', () => {
+    const fromStrings = analyzeBalanceSheet(Object.fromEntries(Object.entries(BALANCE_SHEET).map(([key, value]) => [key, String(value)])));
+    expect(fromStrings.ratios.currentRatio).toBe(1.875);
+
+    const result = analyzeBalanceSheet({ ...BALANCE_SHEET, currentAssets: 'abc' });
+    expect(result.error).toBe(t('sections.balanceSheet.invalidMessage'));
+    expect(result.ratios).toEqual({});
+  });
+
+  it('rejects numbers followed by text instead of reading their digits', () => {
+    const result = analyzeBalanceSheet({ ...FIGURES, sharePrice: '12abc' });
+    expect(result.error).toBe(t('sections.marketData.invalidMessage'));
+    expect(result.ratios).toEqual({});
+
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, currentAssets: '150x' }).error).toBe(t('sections.balanceSheet.invalidMessage'));
+  });
+
+  it('requires every field of a partly filled section', () => {
+    const result = analyzeBalanceSheet({ ...BALANCE_SHEET, revenue: 400 });
+    expect(result.error).toBe(t('sections.incomeStatement.invalidMessage'));
+  });
+
+  it('interprets the ratios at the band limits', () => {
+    // Current ratio: Excelente above 2.0, Bueno from 1.5
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, currentAssets: 160 }).interpretations.currentRatio).toBe(labels[3]);
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, currentAssets: 160.008 }).interpretations.currentRatio).toBe(labels[4]);
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, currentAssets: 120 }).interpretations.currentRatio).toBe(labels[3]);
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, currentAssets: 119.992 }).interpretations.currentRatio).toBe(labels[2]);
+    // Debt to equity (lower is better): Excelente below 0.5, Bueno up to 1.0
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, totalLiabilities: 99.98 }).interpretations.debtToEquityRatio).toBe(labels[4]);
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, totalLiabilities: 100 }).interpretations.debtToEquityRatio).toBe(labels[3]);
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, totalLiabilities: 200 }).interpretations.debtToEquityRatio).toBe(labels[3]);
+    expect(analyzeBalanceSheet({ ...BALANCE_SHEET, totalLiabilities: 200.02 }).interpretations.debtToEquityRatio).toBe(labels[2]);
+  });
+
+  it('uses the thresholds it is given', () => {
+    const inputs = { ...BALANCE_SHEET, currentAssets: 120 }; // 1.5
+    expect(analyzeBalanceSheet(inputs, { thresholds: getSectorThresholds('retail') }).interpretations.currentRatio).toBe(labels[3]);
+    expect(analyzeBalanceSheet(inputs, { thresholds: getSectorThresholds('technology') }).interpretations.currentRatio).toBe(labels[2]);
+  });
+
+  it('reads the days ratios over the period and the turnover over a year', () => {
+    const annual = analyzeBalanceSheet(FIGURES);
+    const quarter = analyzeBalanceSheet({ ...FIGURES, costOfGoodsSold: 60 }, { periodDays: 91 });
+    expect(annual.ratios.daysSalesOutstanding).toBeCloseTo(45 * DAYS_PER_YEAR / 400, 10);
+    expect(quarter.ratios.daysInventoryOutstanding).toBeCloseTo(30 * 91 / 60, 10);
+    expect(quarter.ratios.inventoryTurnover).toBeCloseTo(60 * (DAYS_PER_YEAR / 91) / 30, 10);
+  });
+
+  it('annualizes the flows compared with balances', () => {
+    const annual = analyzeBalanceSheet(FIGURES);
+    const quarterFlows = { netIncome: 35 * (91 / 365), operatingCashFlow: 70 * (91 / 365), ebitda: 80 * (91 / 365) };
+    const quarter = analyzeBalanceSheet({ ...FIGURES, ...quarterFlows }, { periodDays: 91 });
+    ['returnOnAssets', 'returnOnEquity', 'operatingCashFlowRatio', 'priceToEarnings', 'evToEbitda'].forEach((ratioKey) => {
+      expect(quarter.ratios[ratioKey], ratioKey).toBeCloseTo(annual.ratios[ratioKey], 10);
+    });
+    // A ratio of two flows of the same period does not change
+    expect(quarter.ratios.netMargin).toBeCloseTo(annual.ratios.netMargin * (91 / 365), 10);
+    expect(annualize(10, 73)).toBeCloseTo(50, 10);
+  });
+
+  it('translates the interpretations and messages', () => {
+    const en = createTranslator('en');
+    const result = analyzeBalanceSheet({ ...BALANCE_SHEET, currentLiabilities: 0 }, { t: en });
+    expect(result.interpretations.debtToEquityRatio).toBe(en('interpretations')[2]);
+    expect(result.interpretations.currentRatio).toBe(en('zeroDenominators.currentLiabilities'));
+  });
+
+  describe('ratios that are not available', () => {
+    // Figures that leave each ratio without a meaningful denominator, per `zeroDenominators` key
+    const CASES = [
+      ['currentLiabilities', 'currentRatio', { currentLiabilities: 0 }],
+      ['currentLiabilities', 'quickRatio', { currentLiabilities: 0 }],
+      ['currentLiabilities', 'operatingCashFlowRatio', { currentLiabilities: 0 }],
+      ['currentLiabilities', 'cashRatio', { currentLiabilities: 0 }],
+      ['shareholdersEquity', 'debtToEquityRatio', { shareholdersEquity: 0 }],
+      ['shareholdersEquity', 'returnOnEquity', { shareholdersEquity: 0 }],
+      ['totalAssets', 'debtToAssetsRatio', { totalAssets: 0 }],
+      ['totalAssets', 'returnOnAssets', { totalAssets: 0 }],
+      ['revenue', 'grossMargin', { revenue: 0 }],
+      ['revenue', 'operatingMargin', { revenue: 0 }],
+      ['revenue', 'netMargin', { revenue: 0 }],
+      ['revenue', 'daysSalesOutstanding', { revenue: 0 }],
+      ['revenue', 'cashConversionCycle', { revenue: 0 }],
+      ['interestExpense', 'interestCoverage', { interestExpense: 0 }],
+      ['capitalExpenditures', 'capexCoverage', { capitalExpenditures: 0 }],
+      ['inventory', 'inventoryTurnover', { inventory: 0 }],
+      ['costOfGoodsSold', 'daysInventoryOutstanding', { costOfGoodsSold: 0 }],
+      ['costOfGoodsSold', 'daysPayableOutstanding', { costOfGoodsSold: 0 }],
+      ['costOfGoodsSold', 'cashConversionCycle', { costOfGoodsSold: 0 }],
+      ['marketCapitalization', 'dividendYield', { sharePrice: 0 }],
+      ['nonPositiveNetIncome', 'priceToEarnings', { netIncome: 0 }],
+      ['nonPositiveNetIncome', 'priceToEarnings', { netIncome: -5 }],
+      ['nonPositiveEquity', 'priceToBook', { shareholdersEquity: 0 }],
+      ['nonPositiveEquity', 'priceToBook', { shareholdersEquity: -10 }],
+      ['nonPositiveEbitda', 'evToEbitda', { ebitda: 0 }],
+      ['nonPositiveEbitda', 'evToEbitda', { ebitda: -20 }],
+    ];
+    // Ratios that have a value but cannot be banded
+    const BAND_CASES = [
+      ['dividendsAndDebtRepayments', 'freeCashFlow', { dividendsPaid: 0, debtRepayments: 0 }],
+      ['totalLiabilities', 'marketCapitalization', { totalLiabilities: 0 }],
+    ];
+
+    it('covers every message in the catalogs', () => {
+      const zeroKeys = new Set([...CASES, ...BAND_CASES].map(([zeroKey]) => zeroKey));
+      expect([...zeroKeys].sort()).toEqual(Object.keys(t('zeroDenominators')).sort());
+    });
+
+    it.each(CASES)('explains %s for %s', (zeroKey, ratioKey, overrides) => {
+      const result = analyzeBalanceSheet({ ...FIGURES, ...overrides });
+      const warning = t(`zeroDenominators.${zeroKey}`);
+      expect(result.ratios[ratioKey]).toBeNull();
+      expect(result.bandValues[ratioKey]).toBeNull();
+      expect(result.interpretations[ratioKey]).toBe(warning);
+      expect(result.warnings).toContain(t('ratioWarning', { label: t(`ratios.${ratioKey}.label`), warning }));
+    });
+
+    it.each(BAND_CASES)('explains %s for the bands of %s', (zeroKey, ratioKey, overrides) => {
+      const result = analyzeBalanceSheet({ ...FIGURES, ...overrides });
+      expect(typeof result.ratios[ratioKey]).toBe('number');
+      expect(result.bandValues[ratioKey]).toBeNull();
+      expect(result.interpretations[ratioKey]).toBe(t(`zeroDenominators.${zeroKey}`));
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('explains a missing section', () => {
+      const result = analyzeBalanceSheet({ ...BALANCE_SHEET, accountsReceivable: 45, accountsPayable: 35 });
+      const warning = t('missingSection', { section: t('sections.incomeStatement.title') });
+      expect(result.ratios.daysSalesOutstanding).toBeNull();
+      expect(result.interpretations.daysSalesOutstanding).toBe(warning);
+      expect(result.warnings).toContain(t('ratioWarning', { label: t('ratios.daysSalesOutstanding.label'), warning }));
+    });
+
+    it('explains a missing independent field', () => {
+      const result = analyzeBalanceSheet({ ...FIGURES, cashAndEquivalents: '' });
+      const warning = t('missingField', { field: t('fields.cashAndEquivalents') });
+      expect(result.ratios.cashRatio).toBeNull();
+      expect(result.interpretations.cashRatio).toBe(warning);
+      expect(result.interpretations.evToEbitda).toBe(warning);
+      expect(typeof result.ratios.operatingCashFlowRatio).toBe('number');
+    });
+
+    it('reads an independent field without the rest of its section', () => {
+      const result = analyzeBalanceSheet({ ...FIGURES, operatingCashFlow: '', capitalExpenditures: '', dividendsPaid: '', debtRepayments: '' });
+      expect(result.sections).not.toContain('cashFlow');
+      expect(result.ratios.evToEbitda).toBe((450 + 300 - 25) / 80);
+      expect(result.ratios).not.toHaveProperty('cashRatio');
+    });
+  });
+});
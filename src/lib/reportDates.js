@@ -0,0 +1,133 @@
+// Report dates and fiscal period metadata. A valid report date is kept as an ISO
+// calendar date ('YYYY-MM-DD'); it can be typed as 'DD-MMM-YYYY' with the month
+// abbreviation of any supported language, typed as ISO or picked from a calendar.
+
+import { createTranslator, getTranslationsInAllLanguages } from './i18n';
+import { DAYS_PER_YEAR } from './ratioEngine';
+
+/**
+ * Period types a report can cover. Labels are under `fiscalPeriod.periodTypes`
+ * in the translation catalogs; `months` is the length of the period.
+ */
+export const PERIOD_TYPES = [
+  { key: 'Q1', months: 3 },
+  { key: 'Q2', months: 3 },
+  { key: 'Q3', months: 3 },
+  { key: 'Q4', months: 3 },
+  { key: 'FY', months: 12 },
+  { key: 'TTM', months: 12 },
+];
+
+/**
+ * Returns the length of a period type in days, used by the ratios expressed in
+ * days (a quarter is a fourth of a year).
+ * @param {string} periodType - Key of the period type (see PERIOD_TYPES).
+ * @returns {number} - The number of days; a full year for unknown types.
+ */
+export const getPeriodDays = (periodType) => {
+  const type = PERIOD_TYPES.find((candidate) => candidate.key === periodType);
+  return type ? (DAYS_PER_YEAR * type.months) / 12 : DAYS_PER_YEAR;
+};
+
+/**
+ * Audit statuses of the figures. Labels are under `fiscalPeriod.auditStatuses`.
+ */
+export const AUDIT_STATUSES = ['audited', 'unaudited'];
+
+/**
+ * Fiscal period of a new analysis: a fiscal year closing in December, with the
+ * audit status not specified.
+ */
+export const DEFAULT_FISCAL_PERIOD = { periodType: 'FY', fiscalYearEnd: 12, auditStatus: '' };
+
+/**
+ * Formats a date as 'YYYY-MM-DD' (local time).
+ * @param {Date} date - The date.
+ * @returns {string} - The ISO calendar date.
+ */
+export const toIsoDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Builds a local date, rejecting days that do not exist (e.g. 31-feb-2024).
+ * @param {number} year - The year.
+ * @param {number} monthIndex - The month (0-11).
+ * @param {number} day - The day of the month.
+ * @returns {Date|null} - The date, or null if it does not exist.
+ */
+const createDate = (year, monthIndex, day) => {
+  const date = new Date(year, monthIndex, day);
+  const isSameDay = date.getFullYear() === year && date.getMonth() === monthIndex && date.getDate() === day;
+  return isSameDay ? date : null;
+};
+
+/**
+ * Returns the month index of a month abbreviation in any supported language.
+ * @param {string} monthStr - The abbreviation (e.g., 'dic' or 'Dec'), in any case.
+ * @returns {number} - The month index (0-11), or -1 if it is not a month abbreviation.
+ */
+const getMonthIndex = (monthStr) => {
+  const abbreviation = monthStr.toLowerCase();
+  for (const monthNames of getTranslationsInAllLanguages('dates.monthsShort')) {
+    const monthIndex = monthNames.findIndex((monthName) => monthName.toLowerCase() === abbreviation);
+    if (monthIndex !== -1) return monthIndex;
+  }
+  return -1;
+};
+
+/**
+ * Parses a report date in 'DD-MMM-YYYY' or 'YYYY-MM-DD' format. Anything else,
+ * including dates that do not exist, is rejected.
+ * @param {string} dateString - The report date as typed or picked.
+ * @returns {Date|null} - The parsed date (local time), or null if it is not a valid date.
+ */
+export const parseReportDate = (dateString) => {
+  const text = String(dateString || '').trim();
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (isoMatch) return createDate(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+  const displayMatch = /^(\d{1,2})-([^\d\s-]+)-(\d{4})$/.exec(text);
+  if (displayMatch) {
+    const monthIndex = getMonthIndex(displayMatch[2]);
+    if (monthIndex !== -1) return createDate(Number(displayMatch[3]), monthIndex, Number(displayMatch[1]));
+  }
+  return null;
+};
+
+/**
+ * Normalizes a report date to 'YYYY-MM-DD'. Text that is not a valid date is
+ * returned trimmed, so validation can flag it.
+ * @param {string} dateString - The report date as typed or picked.
+ * @returns {string} - The ISO calendar date, or the trimmed text.
+ */
+export const normalizeReportDate = (dateString) => {
+  const date = parseReportDate(dateString);
+  return date ? toIsoDate(date) : String(dateString || '').trim();
+};
+
+/**
+ * Formats a report date as 'DD-MMM-YYYY'.
+ * @param {string} dateString - The report date in any accepted format.
+ * @param {string[]} monthNamesShort - Month abbreviations of the display language.
+ * @returns {string} - The formatted date, or '' if it is not a valid date.
+ */
+export const formatReportDate = (dateString, monthNamesShort) => {
+  const date = parseReportDate(dateString);
+  if (!date) return '';
+  return `${String(date.getDate()).padStart(2, '0')}-${monthNamesShort[date.getMonth()]}-${date.getFullYear()}`;
+};
+
+/**
+ * Describes a fiscal period for the report, e.g.
+ * 'Full fiscal year (FY) · Fiscal year end in December · Audited'.
+ * @param {{periodType: string, fiscalYearEnd: number, auditStatus: string}} fiscalPeriod - The fiscal period.
+ * @param {function} [t] - Translator (see ./i18n); defaults to Spanish.
+ * @returns {string} - The description.
+ */
+export const describeFiscalPeriod = (fiscalPeriod, t = createTranslator()) => [
+  t(`fiscalPeriod.periodTypes.${fiscalPeriod.periodType}`),
+  t('fiscalPeriod.yearEndSummary', { month: t('dates.months')[fiscalPeriod.fiscalYearEnd - 1] }),
+  fiscalPeriod.auditStatus && t(`fiscalPeriod.auditStatuses.${fiscalPeriod.auditStatus}`),
+].filter(Boolean).join(' · ');
@@ -0,0 +1,91 @@
+// What-if scenarios: changes applied to a copy of the form's figures and compared
+// against the base analysis, which is never modified. Presets describe common
+// transactions as changes that keep the balance sheet balanced.
+
+import { INPUT_FIELDS, RATIO_DEFINITIONS, getInterpretationRank, parseInputValue } from './ratioEngine';
+
+/**
+ * Scenario presets. `changes` maps each affected field to the multiple of the
+ * preset amount it changes by. Labels are under `scenarios.presets.<key>` in the
+ * catalogs. Taxes are ignored.
+ */
+export const SCENARIO_PRESETS = [
+  {
+    // New long-term debt; the cash received stays in current assets
+    key: 'newDebt',
+    changes: { cashAndEquivalents: 1, currentAssets: 1, totalAssets: 1, totalLiabilities: 1 },
+  },
+  {
+    // Current liabilities paid with cash
+    key: 'payCurrentLiabilities',
+    changes: { cashAndEquivalents: -1, currentAssets: -1, totalAssets: -1, currentLiabilities: -1, totalLiabilities: -1 },
+  },
+  {
+    // Inventory written down through cost of goods sold, reducing income and equity
+    key: 'inventoryWriteDown',
+    changes: {
+      inventory: -1, currentAssets: -1, totalAssets: -1, shareholdersEquity: -1, retainedEarnings: -1,
+      costOfGoodsSold: 1, operatingIncome: -1, netIncome: -1,
+    },
+  },
+  {
+    // New shares issued for cash
+    key: 'equityRaise',
+    changes: { cashAndEquivalents: 1, currentAssets: 1, totalAssets: 1, shareholdersEquity: 1 },
+  },
+];
+
+/**
+ * Returns the changes of a preset for an amount.
+ * @param {string} presetKey - Key of the preset (see SCENARIO_PRESETS).
+ * @param {number} amount - The amount of the transaction, in units.
+ * @returns {object} - Map of field key to change, in units.
+ */
+export const getPresetDeltas = (presetKey, amount) => {
+  const preset = SCENARIO_PRESETS.find((candidate) => candidate.key === presetKey);
+  if (!preset) return {};
+  return Object.fromEntries(Object.entries(preset.changes).map(([fieldKey, multiple]) => [fieldKey, multiple * amount]));
+};
+
+/**
+ * Applies changes to a copy of the figures. Empty fields stay empty, so a
+ * scenario never turns on an optional section the base analysis left out.
+ * @param {object} figures - Map of field key to raw numeric string, in units.
+ * @param {object} deltas - Map of field key to change, in units.
+ * @returns {object} - The scenario figures.
+ */
+export const applyScenarioDeltas = (figures, deltas) => Object.fromEntries(INPUT_FIELDS.map((field) => {
+  const base = figures[field.key];
+  const value = parseInputValue(base);
+  const delta = deltas[field.key] || 0;
+  if (delta === 0 || isNaN(value)) return [field.key, base];
+  return [field.key, String(Number((value + delta).toPrecision(15)))];
+}));
+
+/**
+ * Compares the ratios of the base analysis with those of a scenario.
+ * @param {object} baseAnalysis - Result of analyzeBalanceSheet for the base figures.
+ * @param {object} scenarioAnalysis - Result of analyzeBalanceSheet for the scenario figures.
+ * @returns {Array<{definition: object, before: number|null, after: number|null, beforeInterpretation: string,
+ *   afterInterpretation: string, change: number|null, bandChange: number}>} - One row per ratio of the
+ *   base analysis. `bandChange` is positive when the scenario moves the ratio to a better band.
+ */
+export const compareScenario = (baseAnalysis, scenarioAnalysis) => RATIO_DEFINITIONS
+  .filter((definition) => definition.key in baseAnalysis.ratios)
+  .map((definition) => {
+    const before = baseAnalysis.ratios[definition.key];
+    const after = scenarioAnalysis.ratios[definition.key] ?? null;
+    const beforeInterpretation = baseAnalysis.interpretations[definition.key];
+    const afterInterpretation = scenarioAnalysis.interpretations[definition.key] || '';
+    const beforeRank = getInterpretationRank(beforeInterpretation);
+    const afterRank = getInterpretationRank(afterInterpretation);
+    return {
+      definition,
+      before,
+      after,
+      beforeInterpretation,
+      afterInterpretation,
+      change: before !== null && after !== null ? after - before : null,
+      bandChange: beforeRank !== -1 && afterRank !== -1 ? afterRank - beforeRank : 0,
+    };
+  });
@@ -0,0 +1,45 @@
+// Registration of the service worker (see ../sw.js), which makes the app
+// installable and usable offline. A new build waits until the user accepts it,
+// so an analysis in progress is never reloaded unexpectedly.
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // Installed apps can stay open for days
+
+/**
+ * Registers the service worker in production builds.
+ * @param {function(function(): void): void} onUpdateAvailable - Called when a new build
+ *   has been downloaded, with a function that activates it and reloads the page.
+ */
+export const registerServiceWorker = (onUpdateAvailable) => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  let isUpdating = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // Only reload for an accepted update, not when the first worker takes control
+    if (isUpdating) window.location.reload();
+  });
+
+  /**
+   * Offers a downloaded build to the user.
+   * @param {ServiceWorker} worker - The waiting worker of the new build.
+   */
+  const offerUpdate = (worker) => onUpdateAvailable(() => {
+    isUpdating = true;
+    worker.postMessage('skipWaiting');
+  });
+
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+      setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    })
+    .catch(() => {
+      // Without a service worker the app still works, only not offline
+    });
+};
@@ -0,0 +1,118 @@
+// Shareable links. The form state travels in the URL hash, so a link opens the
+// same analysis on the static deployment (the hash never reaches the server and
+// works under any base path). The state is a positional JSON array encoded as
+// base64url, which only uses letters, digits, '-' and '_' and therefore survives
+// messaging apps that mangle or cut URLs at other characters.
+
+import { INPUT_FIELDS } from './ratioEngine';
+import { CURRENCIES } from './currencies';
+import { getLanguage } from './i18n';
+import { AUDIT_STATUSES, DEFAULT_FISCAL_PERIOD, PERIOD_TYPES, normalizeReportDate } from './reportDates';
+
+const HASH_PARAM = 'a';
+
+// Version of the positional layout, first element of the array
+const FORMAT_VERSION = 1;
+
+/**
+ * Encodes text as base64url (UTF-8, no padding).
+ * @param {string} text - The text.
+ * @returns {string} - The encoded text.
+ */
+const toBase64Url = (text) => {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes base64url text (UTF-8, with or without padding).
+ * @param {string} encoded - The encoded text.
+ * @returns {string} - The decoded text.
+ */
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+};
+
+/**
+ * Encodes the form state for a shareable link.
+ * @param {object} state - {companyTicker, currency, reportDate, fiscalPeriod, sector, language, figures}.
+ * @returns {string} - The compact encoding.
+ */
+export const encodeShareState = (state) => {
+  const figures = INPUT_FIELDS.map((field) => {
+    const value = String(state.figures[field.key] ?? '').trim();
+    if (value === '') return null;
+    return Number.isFinite(Number(value)) ? Number(value) : value;
+  });
+  while (figures.length > 0 && figures[figures.length - 1] === null) figures.pop(); // Optional sections are often empty
+  return toBase64Url(JSON.stringify([
+    FORMAT_VERSION,
+    state.companyTicker,
+    state.currency,
+    state.reportDate,
+    state.sector,
+    state.language,
+    state.fiscalPeriod.periodType,
+    state.fiscalPeriod.fiscalYearEnd,
+    state.fiscalPeriod.auditStatus,
+    figures,
+  ]));
+};
+
+/**
+ * Decodes the form state of a shareable link. Unknown currencies, period types
+ * and the like fall back to their defaults; the sector is returned as is, since
+ * custom profiles only exist in the browser that created them.
+ * @param {string} encoded - The compact encoding (see encodeShareState).
+ * @returns {object|null} - The form state, or null if the encoding is not valid.
+ */
+export const decodeShareState = (encoded) => {
+  let values;
+  try {
+    values = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(values) || values[0] !== FORMAT_VERSION || !Array.isArray(values[9])) return null;
+  const [, companyTicker, currency, reportDate, sector, language, periodType, fiscalYearEnd, auditStatus, figures] = values;
+  const fiscalYearEndNumber = Number(fiscalYearEnd);
+  return {
+    companyTicker: String(companyTicker || ''),
+    currency: CURRENCIES.some((c) => c.code === currency) ? currency : 'USD',
+    reportDate: normalizeReportDate(reportDate),
+    sector: String(sector || 'general'),
+    language: getLanguage(language).key,
+    fiscalPeriod: {
+      periodType: PERIOD_TYPES.some((type) => type.key === periodType) ? periodType : DEFAULT_FISCAL_PERIOD.periodType,
+      fiscalYearEnd: Number.isInteger(fiscalYearEndNumber) && fiscalYearEndNumber >= 1 && fiscalYearEndNumber <= 12
+        ? fiscalYearEndNumber
+        : DEFAULT_FISCAL_PERIOD.fiscalYearEnd,
+      auditStatus: AUDIT_STATUSES.includes(auditStatus) ? auditStatus : '',
+    },
+    figures: Object.fromEntries(INPUT_FIELDS.map((field, index) => [field.key, figures[index] == null ? '' : String(figures[index])])),
+  };
+};
+
+/**
+ * Builds the shareable link of a form state from the current page address,
+ * keeping its path (e.g. the GitHub Pages base) and query.
+ * @param {string} pageUrl - Address of the current page.
+ * @param {object} state - The form state (see encodeShareState).
+ * @returns {string} - The link.
+ */
+export const buildShareUrl = (pageUrl, state) => {
+  const url = new URL(pageUrl);
+  url.hash = `${HASH_PARAM}=${encodeShareState(state)}`;
+  return url.toString();
+};
+
+/**
+ * Reads the form state from a URL hash.
+ * @param {string} hash - The hash, e.g. window.location.hash.
+ * @returns {object|null} - The form state, or null if the hash holds none.
+ */
+export const readShareHash = (hash) => {
+  const encoded = new URLSearchParams(String(hash || '').replace(/^#/, '')).get(HASH_PARAM);
+  return encoded ? decodeShareState(encoded) : null;
+};
@@ -0,0 +1,39 @@
+// Keyboard shortcuts of the form. They combine Alt and Shift (Option and Shift on
+// a Mac) so they don't collide with typing or with the browser's own shortcuts,
+// and are matched by physical key, since Option changes the character typed.
+// Descriptions are under `shortcuts.actions.<action>` in the catalogs.
+
+/**
+ * Shortcuts, in the order they are listed in the help. `code` is the
+ * KeyboardEvent.code of the key pressed with Alt+Shift.
+ */
+export const KEYBOARD_SHORTCUTS = [
+  { action: 'calculate', keys: 'Enter' }, // In a data field; Ctrl+Enter anywhere
+  { action: 'clear', keys: 'Alt+Shift+L', code: 'KeyL' },
+  { action: 'print', keys: 'Alt+Shift+P', code: 'KeyP' },
+  { action: 'nextSection', keys: 'Alt+Shift+↓', code: 'ArrowDown' },
+  { action: 'previousSection', keys: 'Alt+Shift+↑', code: 'ArrowUp' },
+  { action: 'goToSection', keys: 'Alt+Shift+1…9' },
+  { action: 'results', keys: 'Alt+Shift+R', code: 'KeyR' },
+];
+
+/**
+ * Finds the shortcut a key press triggers.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @param {boolean} inDataField - Whether the focus is on one of the form's data fields,
+ *   where a plain Enter calculates.
+ * @returns {{action: string, sectionIndex?: number}|null} - The action (and, for
+ *   goToSection, the index of the section), or null if the keys are not a shortcut.
+ */
+export const matchShortcut = (event, inDataField) => {
+  if (event.key === 'Enter' && !event.altKey && !event.shiftKey) {
+    const withModifier = event.ctrlKey || event.metaKey;
+    return withModifier || inDataField ? { action: 'calculate' } : null;
+  }
+  if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) return null;
+
+  const digit = /^Digit([1-9])$/.exec(event.code);
+  if (digit) return { action: 'goToSection', sectionIndex: Number(digit[1]) - 1 };
+  const shortcut = KEYBOARD_SHORTCUTS.find((candidate) => candidate.code && candidate.code === event.code);
+  return shortcut ? { action: shortcut.action } : null;
+};
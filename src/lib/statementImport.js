@@ -0,0 +1,286 @@
+// Import of financial statement figures from CSV or from a tab-separated block
+// pasted from a spreadsheet. Rows are line items and columns are periods:
+//
+//   Concepto,31-dic-2023,31-dic-2024
+//   Activos circulantes,"140,000,000","150,000,000"
+//
+// Each row label is matched against FIELD_ALIASES to suggest which input field it
+// fills; the user can change the mapping before applying the import.
+//
+// Statement text copied from a PDF or a web page ("Total activos circulantes
+// 150,000,000"), one line item per line, is read by parseStatementText the same way.
+
+import { parseLocalizedNumber } from './numberFormat';
+import { createTranslator } from './i18n';
+import { NON_NEGATIVE_FIELDS } from './validation';
+
+/**
+ * Known line item names (Spanish and English), normalized (lowercase, no
+ * accents), per input field.
+ */
+export const FIELD_ALIASES = {
+  currentAssets: ['activos circulantes', 'activo circulante', 'activos corrientes', 'activo corriente', 'current assets'],
+  currentLiabilities: ['pasivos circulantes', 'pasivo circulante', 'pasivos corrientes', 'pasivo corriente', 'pasivo a corto plazo', 'current liabilities'],
+  inventory: ['inventario', 'inventarios', 'inventory', 'inventories'],
+  totalAssets: ['activos totales', 'activo total', 'total activos', 'total de activos', 'total del activo', 'total assets'],
+  totalLiabilities: ['pasivos totales', 'pasivo total', 'total pasivos', 'total de pasivos', 'total del pasivo', 'total liabilities'],
+  shareholdersEquity: ['patrimonio neto', 'patrimonio', 'capital contable', 'total capital contable', 'total equity', 'shareholders equity', 'stockholders equity', 'total shareholders equity', 'total stockholders equity'],
+  revenue: ['ingresos', 'ingresos totales', 'ventas', 'ventas netas', 'revenue', 'revenues', 'total revenue', 'net sales', 'sales'],
+  costOfGoodsSold: ['costo de ventas', 'costo de lo vendido', 'cost of goods sold', 'cost of sales', 'cost of revenue'],
+  operatingIncome: ['utilidad de operacion', 'resultado de operacion', 'utilidad operativa', 'ebit', 'operating income', 'operating profit'],
+  netIncome: ['utilidad neta', 'resultado neto', 'utilidad neta consolidada', 'net income', 'net profit', 'net earnings'],
+  interestExpense: ['gastos por intereses', 'gasto por intereses', 'intereses a cargo', 'interest expense'],
+  ebitda: ['ebitda', 'uafida'],
+  cashAndEquivalents: ['efectivo y equivalentes', 'efectivo y equivalentes de efectivo', 'cash and cash equivalents', 'cash and equivalents'],
+  operatingCashFlow: ['flujo de efectivo de operacion', 'flujos netos de efectivo de actividades de operacion', 'operating cash flow', 'cash from operations', 'net cash provided by operating activities'],
+  capitalExpenditures: ['inversiones de capital', 'capex', 'adquisicion de propiedades planta y equipo', 'capital expenditures'],
+  dividendsPaid: ['dividendos pagados', 'dividendos', 'dividends paid'],
+  debtRepayments: ['pagos de deuda', 'pago de prestamos', 'amortizacion de deuda', 'debt repayments', 'repayment of debt', 'repayments of debt'],
+  retainedEarnings: ['utilidades retenidas', 'resultados acumulados', 'utilidades acumuladas', 'retained earnings'],
+  marketValueOfEquity: ['capitalizacion de mercado', 'valor de mercado del capital', 'market capitalization', 'market cap', 'market value of equity'],
+  accountsReceivable: ['cuentas por cobrar', 'clientes y cuentas por cobrar', 'deudores comerciales', 'accounts receivable', 'trade receivables', 'receivables'],
+  accountsPayable: ['cuentas por pagar', 'proveedores', 'acreedores comerciales', 'accounts payable', 'trade payables', 'payables'],
+  sharePrice: ['precio por accion', 'precio de la accion', 'cotizacion', 'share price', 'price per share', 'stock price'],
+  sharesOutstanding: ['acciones en circulacion', 'numero de acciones', 'shares outstanding', 'outstanding shares', 'number of shares'],
+};
+
+// Labels that combine several line items (e.g. "Total pasivo y capital") must not
+// be mistaken for any one of them.
+const COMBINED_LABEL_PATTERNS = [/pasivos? y (capital|patrimonio)/, /liabilities and (shareholders |stockholders )?equity/];
+
+/**
+ * Normalizes a label: lowercase, no accents, punctuation replaced by spaces.
+ * @param {string} label - The raw label.
+ * @returns {string} - The normalized label.
+ */
+export const normalizeLabel = (label) => label
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Suggests the input field a line item label refers to. The longest matching
+ * alias wins, so "Costo de ventas" maps to cost of goods sold and not revenue.
+ * @param {string} label - The line item label.
+ * @returns {string} - The field key, or '' if no field matches.
+ */
+export const suggestFieldForLabel = (label) => {
+  const normalized = normalizeLabel(label);
+  if (!normalized || COMBINED_LABEL_PATTERNS.some((pattern) => pattern.test(normalized))) return '';
+
+  let bestField = '';
+  let bestLength = 0;
+  Object.entries(FIELD_ALIASES).forEach(([fieldKey, aliases]) => {
+    aliases.forEach((alias) => {
+      if (` ${normalized} `.includes(` ${alias} `) && alias.length > bestLength) {
+        bestField = fieldKey;
+        bestLength = alias.length;
+      }
+    });
+  });
+  return bestField;
+};
+
+/**
+ * Parses an imported amount. Accepts thousands separators, currency symbols and
+ * accounting-style negatives like "(1,234)".
+ * @param {string} raw - The raw cell text.
+ * @param {string} [formatKey] - Number format of the text (see NUMBER_FORMATS); defaults to 1,234.56.
+ * @returns {number} - The parsed number, or NaN if it is not a number.
+ */
+export const parseImportedNumber = (raw, formatKey = 'en') =>
+  parseLocalizedNumber(String(raw).replace(/[$€£¥₹₽]|MXN|USD|EUR/g, ''), formatKey);
+
+/**
+ * Splits one line of delimited text into cells, honoring double-quoted cells.
+ * @param {string} line - The line.
+ * @param {string} delimiter - The cell delimiter.
+ * @returns {string[]} - The cells, trimmed.
+ */
+const splitDelimitedLine = (line, delimiter) => {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+/**
+ * Parses CSV, semicolon-separated or tab-separated text into a statement table.
+ * The first row is treated as a header of period labels unless its cells are numbers.
+ * @param {string} text - The pasted or uploaded text.
+ * @param {function} [t] - Translator for the default period labels (see ./i18n); defaults to Spanish.
+ * @returns {{periodLabels: string[], lineItems: Array<{label: string, values: string[]}>}} - The table.
+ */
+export const parseStatementTable = (text, t = createTranslator()) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) return { periodLabels: [], lineItems: [] };
+
+  const firstLine = lines[0];
+  let delimiter = ',';
+  if (firstLine.includes('\t')) delimiter = '\t';
+  else if ((firstLine.match(/;/g) || []).length > 0) delimiter = ';';
+
+  const rows = lines.map((line) => splitDelimitedLine(line, delimiter));
+  const columnCount = Math.max(...rows.map((row) => row.length));
+  // A header has period labels (dates, "FY2024"...) or bare years instead of amounts
+  const hasHeader = rows[0].slice(1).some((cell) => cell !== '' && isNaN(parseImportedNumber(cell))) ||
+    rows[0].slice(1).every((cell) => /^(19|20)\d{2}$/.test(cell));
+
+  const periodLabels = Array.from({ length: columnCount - 1 }, (_, index) =>
+    (hasHeader && rows[0][index + 1]) || t('statementImport.defaultPeriodLabel', { number: index + 1 }));
+  const lineItems = (hasHeader ? rows.slice(1) : rows)
+    .filter((row) => row[0] !== '')
+    .map((row) => ({ label: row[0], values: periodLabels.map((_, index) => row[index + 1] || '') }));
+
+  return { periodLabels, lineItems };
+};
+
+/**
+ * Applies a row-to-field mapping to a statement table.
+ * @param {{periodLabels: string[], lineItems: Array<object>}} table - The parsed table.
+ * @param {string[]} mapping - Field key per line item ('' to ignore the row).
+ * @param {string} [formatKey] - Number format of the amounts; defaults to 1,234.56.
+ * @returns {{periods: Array<{label: string, figures: object}>, unmappedRows: string[], invalidCells: Array<{label: string, period: string, raw: string}>}}
+ *   One figures object per period (only mapped fields, as numeric strings), the
+ *   labels of rows that were not mapped and the mapped cells that are not numbers.
+ */
+export const applyImportMapping = (table, mapping, formatKey = 'en') => {
+  const periods = table.periodLabels.map((label) => ({ label, figures: {} }));
+  const unmappedRows = [];
+  const invalidCells = [];
+
+  table.lineItems.forEach((lineItem, rowIndex) => {
+    const fieldKey = mapping[rowIndex];
+    if (!fieldKey) {
+      unmappedRows.push(lineItem.label);
+      return;
+    }
+    lineItem.values.forEach((raw, periodIndex) => {
+      const value = parseImportedNumber(raw, formatKey);
+      if (isNaN(value)) {
+        invalidCells.push({ label: lineItem.label, period: table.periodLabels[periodIndex], raw });
+      } else {
+        periods[periodIndex].figures[fieldKey] = String(value);
+      }
+    });
+  });
+
+  return { periods, unmappedRows, invalidCells };
+};
+
+/**
+ * Finds the numbers on a line of statement text: an optional sign or parentheses
+ * and currency symbol, then digits with separators, after a space, a colon or
+ * dot leaders.
+ * @param {string} formatKey - Number format of the text (see NUMBER_FORMATS).
+ * @returns {RegExp} - Global pattern whose second group is the number.
+ */
+const getLineNumberPattern = (formatKey) => (formatKey === 'fr'
+  ? /(^|[\s:.…])(\(?-?(?:[$€£¥₹₽]\s?)?\d{1,3}(?:[ \u00a0\u202f]\d{3})*(?:,\d+)?\)?)(?=\s|$)/g // 1 234,56: spaces group the thousands
+  : /(^|[\s:.…])(\(?-?(?:[$€£¥₹₽]\s?)?\d[\d.,]*\)?)(?=\s|$)/g);
+
+// References to the notes of the statements, e.g. "Nota 5" or "(Note 12a)"
+const NOTE_REFERENCE_PATTERN = /\(?\b(?:notas?|notes?)\s*(?:n[o°º]\.?\s*)?\d{1,3}[a-z]?\b\)?/giu;
+
+/**
+ * Parses statement text pasted as lines of "label amount", such as
+ * "Total activos circulantes 150,000,000" or "Total current liabilities (80,000)".
+ * Years (e.g. a "2024" column header) and note references are not amounts, and
+ * when a line has numbers written with separators, signs or currency symbols,
+ * bare numbers like a note column are ignored. A line left with several possible
+ * amounts (e.g. one per period) is ambiguous: its `amountIndex` is null until one
+ * is chosen.
+ * @param {string} text - The pasted text.
+ * @param {string} [formatKey] - Number format of the amounts (see NUMBER_FORMATS); defaults to 1,234.56.
+ * @returns {{lineItems: Array<{label: string, amounts: Array<{raw: string, value: number}>, amountIndex: number|null}>, skippedLines: string[]}}
+ *   The labeled lines, in order, and the lines with no label or no amount.
+ */
+export const parseStatementText = (text, formatKey = 'en') => {
+  const lineItems = [];
+  const skippedLines = [];
+
+  text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line !== '').forEach((line) => {
+    const withoutNotes = line.replace(NOTE_REFERENCE_PATTERN, ' ');
+    const numbers = [...withoutNotes.matchAll(getLineNumberPattern(formatKey))]
+      .map((match) => ({ raw: match[2], index: match.index + match[1].length }))
+      .filter((number) => !/^(19|20)\d{2}$/.test(number.raw));
+    const isWritten = (number) => /\D/.test(number.raw);
+    const candidates = (numbers.some(isWritten) ? numbers.filter(isWritten) : numbers)
+      .map((number) => ({ ...number, value: parseImportedNumber(number.raw, formatKey) }))
+      .filter((number) => !isNaN(number.value));
+
+    const label = candidates.length === 0 ? '' : withoutNotes
+      .slice(0, candidates[0].index)
+      .replace(getLineNumberPattern(formatKey), '$1') // Years and bare numbers before the amount
+      .replace(/(^|\s)(19|20)\d{2}(?=\s|$)/g, '$1')
+      .replace(/\(\s*\)/g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/[\s:.$…_-]+$/, '')
+      .trim();
+    if (!/\p{L}/u.test(label)) {
+      skippedLines.push(line);
+    } else {
+      lineItems.push({
+        label,
+        amounts: candidates.map(({ raw, value }) => ({ raw, value })),
+        amountIndex: candidates.length === 1 ? 0 : null,
+      });
+    }
+  });
+
+  return { lineItems, skippedLines };
+};
+
+/**
+ * Applies a line-to-field mapping to parsed statement text. When several lines
+ * map to the same field the first one is kept. Statements show some amounts in
+ * parentheses by convention (liabilities, capital expenditures, dividends), so
+ * fields that cannot be negative take the amount without its sign.
+ * @param {Array<{label: string, amounts: Array<object>, amountIndex: number|null}>} lineItems - Lines
+ *   from parseStatementText, with the chosen amount of the ambiguous ones.
+ * @param {string[]} mapping - Field key per line ('' to ignore the line).
+ * @returns {{figures: object, duplicatedFields: string[], ambiguousLines: string[]}} - The mapped
+ *   fields as numeric strings, the fields more than one line was mapped to, and the labels of
+ *   mapped lines whose amount has not been chosen (they are not applied).
+ */
+export const applyTextMapping = (lineItems, mapping) => {
+  const figures = {};
+  const duplicatedFields = [];
+  const ambiguousLines = [];
+
+  lineItems.forEach((lineItem, index) => {
+    const fieldKey = mapping[index];
+    if (!fieldKey) return;
+    if (lineItem.amountIndex === null) {
+      ambiguousLines.push(lineItem.label);
+      return;
+    }
+    if (fieldKey in figures) {
+      if (!duplicatedFields.includes(fieldKey)) duplicatedFields.push(fieldKey);
+      return;
+    }
+    const { value } = lineItem.amounts[lineItem.amountIndex];
+    figures[fieldKey] = String(NON_NEGATIVE_FIELDS.includes(fieldKey) ? Math.abs(value) : value);
+  });
+
+  return { figures, duplicatedFields, ambiguousLines };
+};
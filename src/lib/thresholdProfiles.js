@@ -0,0 +1,120 @@
+// Custom threshold profiles: validation, local persistence and JSON import/export.
+// A profile is { key, label, thresholds } where thresholds maps each ratio key to
+// { direction, limits } as described in ./thresholds.
+
+import { DEFAULT_THRESHOLDS } from './thresholds';
+import { createTranslator } from './i18n';
+
+const STORAGE_KEY = 'calculaSaludFinanc.thresholdProfiles';
+
+/**
+ * Validates the bands of a single ratio.
+ * @param {{direction: string, limits: number[]}} bands - The ratio's bands.
+ * @param {function} [t] - Translator for the messages (see ./i18n); defaults to Spanish.
+ * @returns {string} - An error message, or '' if the bands are valid.
+ */
+export const validateBands = (bands, t = createTranslator()) => {
+  if (!bands || !['higher', 'lower'].includes(bands.direction)) {
+    return t('thresholdProfiles.invalidDirection');
+  }
+  if (!Array.isArray(bands.limits) || bands.limits.length !== 4 ||
+      bands.limits.some((limit) => typeof limit !== 'number' || isNaN(limit))) {
+    return t('thresholdProfiles.fourLimits');
+  }
+  const isOrdered = bands.limits.every((limit, index) => {
+    if (index === 0) return true;
+    const previous = bands.limits[index - 1];
+    return bands.direction === 'higher' ? limit < previous : limit > previous;
+  });
+  if (!isOrdered) {
+    return t(bands.direction === 'higher' ? 'thresholdProfiles.descendingLimits' : 'thresholdProfiles.ascendingLimits');
+  }
+  return '';
+};
+
+/**
+ * Validates every ratio's bands of a thresholds map.
+ * @param {object} thresholds - Map of ratio key to bands.
+ * @param {function} [t] - Translator for the messages (see ./i18n); defaults to Spanish.
+ * @returns {object} - Map of ratio key to error message; empty when all are valid.
+ */
+export const validateThresholds = (thresholds, t = createTranslator()) => {
+  const errors = {};
+  Object.keys(DEFAULT_THRESHOLDS).forEach((ratioKey) => {
+    const message = validateBands(thresholds[ratioKey], t);
+    if (message) errors[ratioKey] = message;
+  });
+  return errors;
+};
+
+/**
+ * Loads the custom profiles saved in this browser.
+ * @returns {Array<object>} - The saved profiles, or an empty list if none or unreadable.
+ */
+export const loadCustomProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Saves the custom profiles in this browser.
+ * @param {Array<object>} profiles - The profiles to save.
+ */
+export const saveCustomProfiles = (profiles) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+};
+
+/**
+ * Serializes a profile to shareable JSON.
+ * @param {object} profile - The profile to export.
+ * @returns {string} - Pretty-printed JSON.
+ */
+export const serializeProfile = (profile) => JSON.stringify({
+  label: profile.label,
+  thresholds: profile.thresholds,
+}, null, 2);
+
+/**
+ * Parses and validates a profile exported with serializeProfile. Ratios missing
+ * from the file take the general thresholds.
+ * @param {string} json - The JSON text.
+ * @param {function} [t] - Translator for the messages (see ./i18n); defaults to Spanish.
+ * @returns {{profile: object|null, error: string}} - The parsed profile (with a new key) or an error message.
+ */
+export const parseProfileJson = (json, t = createTranslator()) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return { profile: null, error: t('thresholdProfiles.invalidJson') };
+  }
+  if (!data || typeof data.label !== 'string' || !data.label.trim() ||
+      !data.thresholds || typeof data.thresholds !== 'object') {
+    return { profile: null, error: t('thresholdProfiles.missingKeys') };
+  }
+
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  Object.keys(DEFAULT_THRESHOLDS).forEach((ratioKey) => {
+    if (data.thresholds[ratioKey]) thresholds[ratioKey] = data.thresholds[ratioKey];
+  });
+  const errors = validateThresholds(thresholds, t);
+  const [firstInvalidRatio] = Object.keys(errors);
+  if (firstInvalidRatio) {
+    return {
+      profile: null,
+      error: t('thresholdProfiles.invalidRatio', { ratio: firstInvalidRatio, error: errors[firstInvalidRatio] }),
+    };
+  }
+
+  return { profile: { key: createProfileKey(), label: data.label.trim(), thresholds }, error: '' };
+};
+
+/**
+ * Creates a unique key for a new custom profile.
+ * @returns {string} - The profile key.
+ */
+export const createProfileKey = () => `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
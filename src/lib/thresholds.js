@@ -0,0 +1,204 @@
+// Interpretation thresholds for every ratio, plus sector-specific profiles.
+//
+// Each ratio's bands are described by a `direction` and four `limits` ordered
+// from the Excelente cut-off down to the Malo cut-off:
+//   - 'higher' (higher is better): > limits[0] Excelente, >= limits[1] Bueno,
+//     >= limits[2] Regular, >= limits[3] Malo, otherwise Pésimo.
+//   - 'lower' (lower is better): < limits[0] Excelente, <= limits[1] Bueno,
+//     <= limits[2] Regular, <= limits[3] Malo, otherwise Pésimo.
+//
+// The band labels are the `interpretations` list of the translation catalogs,
+// indexed by band rank (0 = Pésimo ... 4 = Excelente).
+
+import { createTranslator } from './i18n';
+
+/**
+ * General-purpose thresholds, used when no sector is selected.
+ */
+export const DEFAULT_THRESHOLDS = {
+  currentRatio: { direction: 'higher', limits: [2.0, 1.5, 1.0, 0.5] },
+  quickRatio: { direction: 'higher', limits: [1.5, 1.0, 0.7, 0.3] },
+  inventoryTurnover: { direction: 'higher', limits: [8.0, 6.0, 4.0, 2.0] },
+  daysSalesOutstanding: { direction: 'lower', limits: [30, 45, 60, 90] },
+  daysInventoryOutstanding: { direction: 'lower', limits: [45, 60, 90, 180] },
+  daysPayableOutstanding: { direction: 'higher', limits: [60, 45, 30, 15] },
+  cashConversionCycle: { direction: 'lower', limits: [0, 30, 60, 90] },
+  debtToEquityRatio: { direction: 'lower', limits: [0.5, 1.0, 2.0, 5.0] },
+  debtToAssetsRatio: { direction: 'lower', limits: [0.30, 0.50, 0.70, 0.90] },
+  grossMargin: { direction: 'higher', limits: [0.50, 0.35, 0.20, 0.10] },
+  operatingMargin: { direction: 'higher', limits: [0.20, 0.15, 0.10, 0.05] },
+  netMargin: { direction: 'higher', limits: [0.15, 0.10, 0.05, 0] },
+  returnOnAssets: { direction: 'higher', limits: [0.10, 0.07, 0.04, 0] },
+  returnOnEquity: { direction: 'higher', limits: [0.20, 0.15, 0.10, 0] },
+  interestCoverage: { direction: 'higher', limits: [8.0, 5.0, 3.0, 1.5] },
+  freeCashFlow: { direction: 'higher', limits: [1.5, 1.0, 0.5, 0] },
+  operatingCashFlowRatio: { direction: 'higher', limits: [1.0, 0.75, 0.5, 0.25] },
+  cashRatio: { direction: 'higher', limits: [1.0, 0.5, 0.2, 0.1] },
+  capexCoverage: { direction: 'higher', limits: [2.0, 1.5, 1.0, 0.5] },
+  marketCapitalization: { direction: 'higher', limits: [2.0, 1.0, 0.5, 0.25] },
+  priceToEarnings: { direction: 'lower', limits: [10, 15, 20, 30] },
+  priceToBook: { direction: 'lower', limits: [1.0, 2.0, 3.0, 5.0] },
+  evToEbitda: { direction: 'lower', limits: [6, 9, 12, 16] },
+  dividendYield: { direction: 'higher', limits: [0.05, 0.035, 0.02, 0.01] },
+};
+
+/**
+ * Built-in sector profiles. Each one only lists the ratios whose bands differ
+ * from DEFAULT_THRESHOLDS. Labels are under `sectors.<key>` in the catalogs.
+ */
+export const SECTOR_PROFILES = [
+  {
+    key: 'general',
+    overrides: {},
+  },
+  {
+    key: 'banking',
+    overrides: {
+      currentRatio: { direction: 'higher', limits: [1.2, 1.0, 0.8, 0.5] },
+      debtToEquityRatio: { direction: 'lower', limits: [2.0, 5.0, 10.0, 15.0] },
+      debtToAssetsRatio: { direction: 'lower', limits: [0.80, 0.88, 0.92, 0.95] },
+      netMargin: { direction: 'higher', limits: [0.25, 0.18, 0.10, 0] },
+      returnOnAssets: { direction: 'higher', limits: [0.015, 0.01, 0.0075, 0.005] },
+      returnOnEquity: { direction: 'higher', limits: [0.15, 0.12, 0.08, 0] },
+      priceToBook: { direction: 'lower', limits: [0.8, 1.2, 1.6, 2.5] },
+    },
+  },
+  {
+    key: 'retail',
+    overrides: {
+      currentRatio: { direction: 'higher', limits: [1.5, 1.2, 0.9, 0.6] },
+      quickRatio: { direction: 'higher', limits: [0.8, 0.5, 0.3, 0.15] },
+      grossMargin: { direction: 'higher', limits: [0.40, 0.30, 0.20, 0.10] },
+      operatingMargin: { direction: 'higher', limits: [0.10, 0.06, 0.03, 0.01] },
+      netMargin: { direction: 'higher', limits: [0.06, 0.04, 0.02, 0] },
+      returnOnAssets: { direction: 'higher', limits: [0.08, 0.05, 0.03, 0] },
+      cashRatio: { direction: 'higher', limits: [0.5, 0.25, 0.1, 0.05] },
+      inventoryTurnover: { direction: 'higher', limits: [10.0, 7.0, 5.0, 3.0] },
+      daysSalesOutstanding: { direction: 'lower', limits: [10, 20, 30, 45] },
+      daysInventoryOutstanding: { direction: 'lower', limits: [36, 52, 73, 120] },
+      cashConversionCycle: { direction: 'lower', limits: [-10, 10, 30, 60] },
+    },
+  },
+  {
+    key: 'technology',
+    overrides: {
+      currentRatio: { direction: 'higher', limits: [2.5, 2.0, 1.5, 1.0] },
+      quickRatio: { direction: 'higher', limits: [2.0, 1.5, 1.0, 0.5] },
+      debtToEquityRatio: { direction: 'lower', limits: [0.3, 0.6, 1.0, 2.0] },
+      grossMargin: { direction: 'higher', limits: [0.65, 0.50, 0.35, 0.20] },
+      operatingMargin: { direction: 'higher', limits: [0.25, 0.15, 0.08, 0.02] },
+      netMargin: { direction: 'higher', limits: [0.20, 0.12, 0.06, 0] },
+      returnOnEquity: { direction: 'higher', limits: [0.25, 0.18, 0.10, 0] },
+      priceToEarnings: { direction: 'lower', limits: [15, 25, 35, 50] },
+      priceToBook: { direction: 'lower', limits: [3.0, 5.0, 8.0, 12.0] },
+      evToEbitda: { direction: 'lower', limits: [10, 15, 20, 30] },
+      dividendYield: { direction: 'higher', limits: [0.02, 0.01, 0.005, 0] },
+    },
+  },
+  {
+    key: 'utilities',
+    overrides: {
+      currentRatio: { direction: 'higher', limits: [1.2, 1.0, 0.8, 0.6] },
+      quickRatio: { direction: 'higher', limits: [1.0, 0.8, 0.6, 0.4] },
+      debtToEquityRatio: { direction: 'lower', limits: [1.0, 1.5, 2.5, 4.0] },
+      debtToAssetsRatio: { direction: 'lower', limits: [0.55, 0.65, 0.75, 0.85] },
+      interestCoverage: { direction: 'higher', limits: [4.0, 3.0, 2.0, 1.2] },
+      returnOnEquity: { direction: 'higher', limits: [0.12, 0.09, 0.06, 0] },
+      capexCoverage: { direction: 'higher', limits: [1.5, 1.0, 0.7, 0.4] },
+      dividendYield: { direction: 'higher', limits: [0.06, 0.045, 0.03, 0.02] },
+    },
+  },
+  {
+    key: 'manufacturing',
+    overrides: {
+      currentRatio: { direction: 'higher', limits: [2.0, 1.5, 1.2, 0.8] },
+      quickRatio: { direction: 'higher', limits: [1.2, 0.8, 0.6, 0.3] },
+      grossMargin: { direction: 'higher', limits: [0.35, 0.25, 0.15, 0.08] },
+      operatingMargin: { direction: 'higher', limits: [0.15, 0.10, 0.06, 0.03] },
+      inventoryTurnover: { direction: 'higher', limits: [6.0, 4.5, 3.0, 1.5] },
+      daysInventoryOutstanding: { direction: 'lower', limits: [60, 80, 120, 240] },
+      cashConversionCycle: { direction: 'lower', limits: [30, 60, 90, 120] },
+    },
+  },
+  {
+    key: 'reits',
+    overrides: {
+      currentRatio: { direction: 'higher', limits: [1.0, 0.8, 0.5, 0.3] },
+      debtToEquityRatio: { direction: 'lower', limits: [1.0, 1.5, 2.5, 4.0] },
+      debtToAssetsRatio: { direction: 'lower', limits: [0.40, 0.55, 0.65, 0.75] },
+      operatingMargin: { direction: 'higher', limits: [0.40, 0.30, 0.20, 0.10] },
+      netMargin: { direction: 'higher', limits: [0.30, 0.20, 0.10, 0] },
+      returnOnAssets: { direction: 'higher', limits: [0.05, 0.035, 0.02, 0] },
+      returnOnEquity: { direction: 'higher', limits: [0.10, 0.07, 0.04, 0] },
+      interestCoverage: { direction: 'higher', limits: [4.0, 3.0, 2.0, 1.5] },
+      evToEbitda: { direction: 'lower', limits: [12, 16, 20, 25] },
+      dividendYield: { direction: 'higher', limits: [0.06, 0.045, 0.03, 0.02] },
+    },
+  },
+];
+
+/**
+ * Returns the full set of thresholds for a sector, falling back to the general
+ * thresholds for unknown sectors and for ratios the sector does not override.
+ * @param {string} sectorKey - The sector key (e.g., 'retail').
+ * @returns {object} - Map of ratio key to { direction, limits }.
+ */
+export const getSectorThresholds = (sectorKey) => {
+  const sector = SECTOR_PROFILES.find((profile) => profile.key === sectorKey);
+  return { ...DEFAULT_THRESHOLDS, ...(sector ? sector.overrides : {}) };
+};
+
+/**
+ * Returns the band a ratio falls in.
+ * @param {number} ratio - The calculated ratio.
+ * @param {{direction: string, limits: number[]}} bands - The ratio's bands.
+ * @returns {number} - The band rank (0 = Pésimo ... 4 = Excelente).
+ */
+export const getBandRank = (ratio, bands) => {
+  const [excellent, good, fair, poor] = bands.limits;
+  if (bands.direction === 'lower') {
+    if (ratio < excellent) return 4;
+    if (ratio <= good) return 3;
+    if (ratio <= fair) return 2;
+    if (ratio <= poor) return 1;
+    return 0;
+  }
+  if (ratio > excellent) return 4;
+  if (ratio >= good) return 3;
+  if (ratio >= fair) return 2;
+  if (ratio >= poor) return 1;
+  return 0;
+};
+
+/**
+ * Returns the interpretation string and emoji for a ratio given its bands.
+ * @param {number} ratio - The calculated ratio.
+ * @param {{direction: string, limits: number[]}} bands - The ratio's bands.
+ * @param {function} [t] - Translator (see ./i18n); defaults to Spanish.
+ * @returns {string} - Interpretation string, or '' if the ratio is not a number.
+ */
+export const interpretWithBands = (ratio, bands, t = createTranslator()) => {
+  if (typeof ratio !== 'number' || isNaN(ratio)) return '';
+  return t('interpretations')[getBandRank(ratio, bands)];
+};
+
+/**
+ * Describes a ratio's bands as guide entries, from Excelente to Pésimo.
+ * @param {{direction: string, limits: number[]}} bands - The ratio's bands.
+ * @param {function} formatLimit - Formats a single limit (e.g., 0.5 -> '50%').
+ * @param {function} [t] - Translator (see ./i18n); defaults to Spanish.
+ * @returns {Array<{range: string, label: string}>} - One entry per band.
+ */
+export const describeBands = (bands, formatLimit, t = createTranslator()) => {
+  const labels = t('interpretations');
+  const [excellent, good, fair, poor] = bands.limits.map(formatLimit);
+  const [worse, better] = bands.direction === 'lower' ? ['>', '<'] : ['<', '>'];
+  const span = (a, b) => (bands.direction === 'lower' ? `${a} - ${b}` : `${b} - ${a}`);
+  return [
+    { range: `${better} ${excellent}`, label: labels[4] },
+    { range: span(excellent, good), label: labels[3] },
+    { range: span(good, fair), label: labels[2] },
+    { range: span(fair, poor), label: labels[1] },
+    { range: `${worse} ${poor}`, label: labels[0] },
+  ];
+};
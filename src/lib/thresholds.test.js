@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_THRESHOLDS, SECTOR_PROFILES, getBandRank, getSectorThresholds, interpretWithBands } from './thresholds';
+import { createTranslator } from './i18n';
+
+const labels = createTranslator()('interpretations');
+
+// Small enough to stay inside the neighbouring band of every limit, e.g. 2.0 vs 2.0001.
+const EPSILON = 0.0001;
+
+/**
+ * Lists the value just on each side of each limit with the band expected there.
+ * At a limit itself only Excelente is exclusive: for 'higher' bands a ratio
+ * equal to limits[0] is Bueno and one equal to limits[3] is Malo, and the same
+ * holds for 'lower' bands.
+ * @param {{direction: string, limits: number[]}} bands - The ratio's bands.
+ * @returns {Array<[number, number]>} - Pairs of ratio and expected band rank.
+ */
+const getLimitCases = ({ direction, limits }) => {
+  const worse = direction === 'lower' ? EPSILON : -EPSILON;
+  return limits.flatMap((limit, index) => (index === 0
+    ? [[limit - worse, 4], [limit, 3]]
+    : [[limit, 4 - index], [limit + worse, 3 - index]]));
+};
+
+describe('interpretWithBands', () => {
+  it('rates a current ratio of 2.0 as Bueno and 2.0001 as Excelente', () => {
+    expect(interpretWithBands(2.0, DEFAULT_THRESHOLDS.currentRatio)).toBe(labels[3]);
+    expect(interpretWithBands(2.0001, DEFAULT_THRESHOLDS.currentRatio)).toBe(labels[4]);
+  });
+
+  it('keeps a lower-is-better limit in the better band (<= except for Excelente)', () => {
+    const bands = DEFAULT_THRESHOLDS.debtToEquityRatio; // 0.5, 1.0, 2.0, 5.0
+    expect(interpretWithBands(0.4999, bands)).toBe(labels[4]);
+    expect(interpretWithBands(0.5, bands)).toBe(labels[3]);
+    expect(interpretWithBands(1.0, bands)).toBe(labels[3]);
+    expect(interpretWithBands(1.0001, bands)).toBe(labels[2]);
+    expect(interpretWithBands(2.0, bands)).toBe(labels[2]);
+    expect(interpretWithBands(2.0001, bands)).toBe(labels[1]);
+    expect(interpretWithBands(5.0, bands)).toBe(labels[1]);
+    expect(interpretWithBands(5.0001, bands)).toBe(labels[0]);
+  });
+
+  it('handles negative limits', () => {
+    const bands = getSectorThresholds('retail').cashConversionCycle; // -10, 10, 30, 60
+    expect(interpretWithBands(-10.0001, bands)).toBe(labels[4]);
+    expect(interpretWithBands(-10, bands)).toBe(labels[3]);
+    expect(interpretWithBands(-50, bands)).toBe(labels[4]);
+  });
+
+  it('uses the translator it is given', () => {
+    const t = createTranslator('en');
+    expect(interpretWithBands(0.5, DEFAULT_THRESHOLDS.debtToEquityRatio, t)).toBe(t('interpretations')[3]);
+  });
+
+  it('returns an empty string when the ratio is not a number', () => {
+    const bands = DEFAULT_THRESHOLDS.currentRatio;
+    expect(interpretWithBands(null, bands)).toBe('');
+    expect(interpretWithBands(undefined, bands)).toBe('');
+    expect(interpretWithBands(NaN, bands)).toBe('');
+    expect(interpretWithBands('2', bands)).toBe('');
+  });
+});
+
+describe('getBandRank', () => {
+  it('ranks a current ratio of 2.0 as Bueno and 2.0001 as Excelente', () => {
+    expect(getBandRank(2.0, DEFAULT_THRESHOLDS.currentRatio)).toBe(3);
+    expect(getBandRank(2.0001, DEFAULT_THRESHOLDS.currentRatio)).toBe(4);
+  });
+
+  SECTOR_PROFILES.forEach(({ key: sectorKey }) => {
+    describe(`${sectorKey} thresholds`, () => {
+      Object.entries(getSectorThresholds(sectorKey)).forEach(([ratioKey, bands]) => {
+        it(`ranks both sides of every ${ratioKey} limit`, () => {
+          getLimitCases(bands).forEach(([ratio, rank]) => {
+            expect(getBandRank(ratio, bands), `${ratio}`).toBe(rank);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// Validation of the entered figures before they are analyzed: missing or
+// non-numeric values, negative amounts that make no sense, and accounting
+// consistency checks between balance sheet items.
+
+import { INPUT_FIELDS, INPUT_SECTIONS } from './ratioEngine';
+import { createTranslator } from './i18n';
+import { formatLocalizedNumber } from './numberFormat';
+
+/**
+ * Default tolerance for Total Assets = Total Liabilities + Equity, as a fraction
+ * of total assets (0.01 = 1%). Rounding and minority interest rarely exceed it.
+ */
+export const DEFAULT_BALANCE_TOLERANCE = 0.01;
+
+/**
+ * Fields that cannot be negative. Their messages are under `validation.nonNegative`
+ * in the catalogs.
+ */
+export const NON_NEGATIVE_FIELDS = [
+  'currentAssets',
+  'currentLiabilities',
+  'inventory',
+  'totalAssets',
+  'totalLiabilities',
+  'revenue',
+  'costOfGoodsSold',
+  'cashAndEquivalents',
+  'capitalExpenditures',
+  'dividendsPaid',
+  'debtRepayments',
+  'marketValueOfEquity',
+  'accountsReceivable',
+  'accountsPayable',
+  'sharePrice',
+  'sharesOutstanding',
+];
+
+/**
+ * Validates a set of figures.
+ * @param {object} inputs - Raw figures keyed by INPUT_FIELDS.
+ * @param {object} [options]
+ * @param {number} [options.balanceTolerance] - Accepted difference between total assets and
+ *   liabilities + equity, as a fraction of total assets.
+ * @param {string} [options.numberFormat] - Number format of the messages (see NUMBER_FORMATS); defaults to 1,234.56.
+ * @param {function(number): string} [options.formatAmount] - Formats the amounts in the messages, e.g. in
+ *   the unit scale the figures are entered in; defaults to the number format in units.
+ * @param {function} [options.t] - Translator for the messages (see ./i18n); defaults to Spanish.
+ * @returns {{fieldIssues: object, generalIssues: Array<{severity: string, message: string}>, hasErrors: boolean}}
+ *   `fieldIssues` maps field keys to their issues ({ severity: 'error'|'warning', message });
+ *   `generalIssues` holds the issues involving several fields. Errors prevent the analysis,
+ *   warnings only inform.
+ */
+export const validateFigures = (inputs, {
+  balanceTolerance = DEFAULT_BALANCE_TOLERANCE,
+  numberFormat = 'en',
+  formatAmount = (value) => formatLocalizedNumber(value, numberFormat),
+  t = createTranslator(),
+} = {}) => {
+  const fieldIssues = {};
+  const generalIssues = [];
+  const numbers = {};
+  const addFieldIssue = (fieldKey, severity, message) => {
+    fieldIssues[fieldKey] = [...(fieldIssues[fieldKey] || []), { severity, message }];
+  };
+
+  INPUT_SECTIONS.forEach((section) => {
+    const fields = INPUT_FIELDS.filter((field) => field.section === section.key);
+    const isEmpty = (field) => [undefined, null, ''].includes(inputs[field.key]);
+    if (section.optional && fields.every(isEmpty)) return;
+    // Independent fields (see INPUT_FIELDS) alone do not make the rest of the section required
+    const isAnalyzed = !section.optional || fields.some((field) => !isEmpty(field) && (section.independentFields || !field.independent));
+
+    fields.forEach((field) => {
+      if (isEmpty(field)) {
+        if (section.independentFields || field.independent || !isAnalyzed) return;
+        addFieldIssue(field.key, 'error', t(section.optional ? 'validation.completeSection' : 'validation.required'));
+        return;
+      }
+      const value = Number(inputs[field.key]);
+      if (isNaN(value)) {
+        addFieldIssue(field.key, 'error', t('validation.notANumber'));
+        return;
+      }
+      numbers[field.key] = value;
+      if (value < 0 && NON_NEGATIVE_FIELDS.includes(field.key)) {
+        addFieldIssue(field.key, 'error', t(`validation.nonNegative.${field.key}`));
+      }
+    });
+  });
+
+  const has = (...fieldKeys) => fieldKeys.every((fieldKey) => fieldKey in numbers);
+
+  if (has('currentAssets', 'totalAssets') && numbers.currentAssets > numbers.totalAssets) {
+    addFieldIssue('currentAssets', 'error', t('validation.currentAssetsAboveTotal'));
+  }
+  if (has('inventory', 'currentAssets') && numbers.inventory > numbers.currentAssets) {
+    addFieldIssue('inventory', 'error', t('validation.inventoryAboveCurrentAssets'));
+  }
+  if (has('accountsReceivable', 'currentAssets') && numbers.accountsReceivable > numbers.currentAssets) {
+    addFieldIssue('accountsReceivable', 'error', t('validation.receivablesAboveCurrentAssets'));
+  }
+  if (has('accountsPayable', 'currentLiabilities') && numbers.accountsPayable > numbers.currentLiabilities) {
+    addFieldIssue('accountsPayable', 'error', t('validation.payablesAboveCurrentLiabilities'));
+  }
+  if (has('currentLiabilities', 'totalLiabilities') && numbers.currentLiabilities > numbers.totalLiabilities) {
+    addFieldIssue('currentLiabilities', 'error', t('validation.currentLiabilitiesAboveTotal'));
+  }
+  if (has('cashAndEquivalents', 'currentAssets') && numbers.cashAndEquivalents > numbers.currentAssets) {
+    addFieldIssue('cashAndEquivalents', 'error', t('validation.cashAboveCurrentAssets'));
+  }
+  if (has('shareholdersEquity') && numbers.shareholdersEquity < 0) {
+    addFieldIssue('shareholdersEquity', 'warning', t('validation.negativeEquity'));
+  }
+  if (has('revenue', 'costOfGoodsSold') && numbers.costOfGoodsSold > numbers.revenue) {
+    addFieldIssue('costOfGoodsSold', 'warning', t('validation.costAboveRevenue'));
+  }
+
+  if (has('totalAssets', 'totalLiabilities', 'shareholdersEquity')) {
+    const liabilitiesAndEquity = numbers.totalLiabilities + numbers.shareholdersEquity;
+    const difference = Math.abs(numbers.totalAssets - liabilitiesAndEquity);
+    if (difference > Math.abs(numbers.totalAssets) * balanceTolerance) {
+      const differencePercentage = numbers.totalAssets === 0
+        ? ''
+        : ` (${formatLocalizedNumber(difference / Math.abs(numbers.totalAssets) * 100, numberFormat, { fractionDigits: 2 })}%)`;
+      generalIssues.push({
+        severity: 'error',
+        message: t('validation.unbalanced', {
+          totalAssets: formatAmount(numbers.totalAssets),
+          liabilitiesAndEquity: formatAmount(liabilitiesAndEquity),
+          difference: formatAmount(difference),
+          differencePercentage,
+          tolerance: formatLocalizedNumber(parseFloat((balanceTolerance * 100).toFixed(2)), numberFormat),
+        }),
+      });
+      addFieldIssue('totalAssets', 'error', t('validation.unbalancedField'));
+    }
+  }
+
+  const hasErrors = generalIssues.some((issue) => issue.severity === 'error') ||
+    Object.values(fieldIssues).some((issues) => issues.some((issue) => issue.severity === 'error'));
+  return { fieldIssues, generalIssues, hasErrors };
+};
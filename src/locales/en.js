@@ -0,0 +1,667 @@
+// English catalog. Same keys as ./es; missing keys fall back to Spanish.
+
+export default {
+  app: {
+    title: 'Financial Health Analyzer',
+    logoTop: 'Financial',
+    logoBottom: 'Health',
+    language: 'Language:',
+    companyTicker: 'Company Ticker:',
+    companyTickerPlaceholder: 'E.g.: BIMBOA',
+    currency: 'Data Currency:',
+    numberFormat: 'Number Format:',
+    unitScale: 'Figures Scale:',
+    reportingCurrency: 'Convert to Reporting Currency:',
+    noConversion: 'No conversion',
+    showExchangeRates: 'Manage exchange rates ({count})',
+    hideExchangeRates: 'Hide exchange rates',
+    sector: 'Company Sector:',
+    customProfiles: 'Custom profiles',
+    showThresholdSettings: 'Configure interpretation ranges',
+    hideThresholdSettings: 'Hide range settings',
+    reportDate: 'Report Date (DD-MMM-YYYY or YYYY-MM-DD):',
+    reportDatePlaceholder: 'E.g.: 31-Dec-2024',
+    reportDatePicker: 'Pick the report date from the calendar',
+    invalidReportDate: 'Enter a valid date in DD-MMM-YYYY (e.g. 31-Dec-2024) or YYYY-MM-DD format.',
+    showImport: 'Import data from CSV or Excel',
+    hideImport: 'Hide data import',
+    showPasteToFill: 'Fill in from financial statement text',
+    hidePasteToFill: 'Hide fill in from text',
+    optionalSection: '{title} (optional):',
+    requiredSection: '{title}:',
+    fieldLabel: '{label}:',
+    optionalFieldLabel: '{label} (optional):',
+    marketValueFromMarketData: 'Calculated from the market data (share price × shares outstanding).',
+    examplePlaceholder: 'E.g.: {value}',
+    unscaledFieldsNote: 'The share price and the number of shares are entered as they are, not in {scale}.',
+    balanceTolerance: 'Tolerance for Assets = Liabilities + Equity (% of total assets):',
+    calculate: 'Calculate Ratios',
+    fixMarkedFields: 'Fix the fields marked in red to calculate the ratios.',
+    clearForm: 'Clear Form',
+    saveAnalysis: 'Save Analysis',
+    print: 'Print Report',
+    savePdf: 'Save as PDF',
+    exportResults: 'Export results:',
+    showScoreWeights: 'Configure score weights',
+    hideScoreWeights: 'Hide score weights',
+  },
+  results: {
+    resultsFor: 'Results for:',
+    reportDate: 'Report Date: {date}',
+    dataCurrency: 'Data Currency: {currency}',
+    unitScaleNote: ' (figures in {scale})',
+    reportingCurrency: 'Reporting Currency: {currency} (1 {from} = {rate} {currency}, effective {date})',
+    noExchangeRate: 'There is no exchange rate from {from} to {to} in effect. Amounts are shown unconverted.',
+    noExchangeRateOnDate: 'There is no exchange rate from {from} to {to} in effect on {date}. Amounts are shown unconverted.',
+    sector: 'Sector: {sector}',
+    fiscalPeriod: 'Period: {description}',
+    periodDays: ' (day-based ratios over a {days}-day period)',
+    annualized: '. Earnings and cash flows of the period are annualized when compared with balance sheet figures.',
+    warnings: 'Warnings:',
+    enteredData: 'Entered Data:',
+    groupTitle: '{title}:',
+  },
+  periods: {
+    title: 'Saved Periods:',
+    titleWithTicker: 'Saved Periods ({ticker}):',
+    add: 'Add Period',
+    removeAll: 'Remove Periods',
+    empty: 'Add several periods (for example, quarters or fiscal years) to compare the trend of the ratios.',
+    load: 'Load',
+    remove: 'Remove',
+    invalidDate: 'Please enter a valid Report Date to add the period.',
+    otherCompany: 'The saved periods belong to {ticker}. Remove the periods to analyze another ticker.',
+    otherCompanyFallback: 'another company',
+    skippedUndated: 'The periods without a valid date were not added: {labels}.',
+    imported: '{count} period(s) imported.',
+    importedIntoForm: 'Data imported from period "{label}".',
+  },
+  trend: {
+    title: 'Trend Analysis',
+    titleWithTicker: 'Trend Analysis: {ticker}',
+    ratio: 'Ratio',
+    improved: ' (improved)',
+    worsened: ' (worsened)',
+  },
+  comparison: {
+    title: 'Compare Companies:',
+    includeCurrent: 'Include the company in the form',
+    currentForm: 'Current form',
+    selectHint: 'Select the companies to compare in "Saved Analyses" (at least two, counting the one in the form if it has results).',
+    heading: 'Peer Comparison',
+    ratio: 'Ratio',
+    median: 'Median',
+    best: 'Best',
+    worst: 'Worst',
+    print: 'Print Comparison',
+    export: 'Export:',
+  },
+  guide: {
+    title: 'Ratio Interpretation Guide ({profile}):',
+    ratioTitle: '{label}:',
+  },
+  disclaimer: 'These ranges are general guidelines. An accurate interpretation must consider the industry and the historical trends of the company. The complete analysis and the decision to invest or not are the sole responsibility of each user, so the results of this tool must not be considered by themselves an investment or sale recommendation.',
+  copyright: '© 2025 @Fermoon™',
+  messages: {
+    analysisSaved: 'Analysis "{name}" saved.',
+    calculateBeforePdf: 'Calculate the ratios before saving the report as PDF.',
+    calculateBeforePrint: 'Calculate the ratios before printing the report.',
+  },
+  narrative: {
+    title: 'Analysis Summary',
+    and: ' and ',
+    bands: ['very poor', 'poor', 'fair', 'good', 'excellent'],
+    groups: {
+      liquidity: ['liquidity is not enough to cover the short-term obligations', 'liquidity is adequate', 'liquidity is strong'],
+      solvency: ['leverage is above typical ranges', 'leverage is within typical ranges', 'leverage is low'],
+      profitability: ['profitability is weak', 'profitability is moderate', 'profitability is strong'],
+      cashFlow: ['cash generation is insufficient', 'cash generation is sufficient', 'cash generation is ample'],
+      valuation: ['the shares trade at demanding multiples', 'the shares trade at reasonable multiples', 'the shares trade at attractive multiples'],
+    },
+    score: 'The financial health score is {score} out of 100 ({band}).',
+    overview: '{phrases}.',
+    overviewMixed: '{positives}, but {negatives}.',
+    inventoryDependence: 'The quick ratio ({quick}) drops sharply from the current ratio ({current}) because inventory makes up {share} of current assets: liquidity depends on being able to sell that inventory.',
+    leverageAndCoverage: 'High leverage (debt to equity of {debtToEquity}) comes with an interest coverage of only {coverage} times, which leaves little room if earnings fall.',
+    leveragedReturns: 'The high return on equity ({returnOnEquity}) rests on debt rather than on the return on assets ({returnOnAssets}).',
+    profitWithoutCash: 'Although the company is profitable (net margin of {netMargin}), its earnings are not turning into cash: free cash flow ({freeCashFlow}) falls short of the dividends and debt repayments.',
+    longCashCycle: 'The cash conversion cycle of {days} ties up working capital: the company takes long to get back in cash what it invests in its operations.',
+    biggestConcern: 'The biggest concern is "{label}", at {value} ({band}).',
+    noConcern: 'No metric is in the risk zone; the weakest one is "{label}", at {value} ({band}).',
+    biggestStrength: 'The greatest strength is "{label}", at {value} ({band}).',
+    unavailable: 'Could not be computed with the entered data: {ratios}.',
+  },
+  charts: {
+    compositionTitle: 'Balance Sheet Composition',
+    assets: 'Assets',
+    financing: 'Liabilities and Equity',
+    nonCurrentAssets: 'Non-current Assets',
+    nonCurrentLiabilities: 'Non-current Liabilities',
+    gaugeDescription: '{label}: {value} ({interpretation})',
+  },
+  scenarios: {
+    title: 'Scenario Simulator (What if…?)',
+    description: 'Changes are applied to a copy of the form data; the base analysis is not modified. Type the changes in the same scale as the figures (use negatives to decrease).',
+    preset: 'Preset scenario:',
+    amount: 'Amount:',
+    applyPreset: 'Apply',
+    presetApplied: 'The changes of "{preset}" were added.',
+    invalidAmount: 'Enter a positive amount for the scenario.',
+    presets: {
+      newDebt: 'New long-term debt issuance',
+      payCurrentLiabilities: 'Pay down current liabilities with cash',
+      inventoryWriteDown: 'Inventory write-down',
+      equityRaise: 'Equity raise',
+    },
+    lineItem: 'Line item',
+    base: 'Base',
+    change: 'Change',
+    scenario: 'Scenario',
+    changeOf: 'Change in {label}',
+    invalidChanges: 'The changes marked in red are not valid numbers and are ignored.',
+    ratio: 'Ratio',
+    before: 'Before',
+    after: 'After',
+    reset: 'Reset scenario',
+  },
+  shortcuts: {
+    show: 'Keyboard shortcuts',
+    hide: 'Hide keyboard shortcuts',
+    actions: {
+      calculate: 'Calculate the ratios (in a data field; Ctrl+Enter from anywhere)',
+      clear: 'Clear the form',
+      print: 'Print the report',
+      nextSection: 'Go to the next section',
+      previousSection: 'Go to the previous section',
+      goToSection: 'Go to a section by its number (1 = Balance Sheet)',
+      results: 'Go to the results',
+    },
+    macNote: 'On a Mac, use Option instead of Alt and Cmd instead of Ctrl.',
+  },
+  pwa: {
+    updateAvailable: 'A new version of the app is available. Update when you finish the current analysis; saved data is kept.',
+    update: 'Update',
+    later: 'Later',
+  },
+  share: {
+    copyLink: 'Copy link',
+    linkCopied: 'Link copied. Anyone who opens it will see this same analysis.',
+    copyManually: 'The link could not be copied automatically; copy it from below.',
+    linkLabel: 'Link to share this analysis:',
+    unknownProfile: 'The profile "{profile}" in the link does not exist in this browser; the general ranges were applied.',
+  },
+  print: {
+    title: 'Financial Health Report - © 2025 @Fermoon™. All rights reserved.',
+  },
+  dates: {
+    monthsShort: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+  },
+  fiscalPeriod: {
+    periodType: 'Period Type:',
+    fiscalYearEnd: 'Fiscal Year End:',
+    auditStatus: 'Audit Status:',
+    notSpecified: 'Not specified',
+    periodTypes: {
+      Q1: 'First quarter (Q1)',
+      Q2: 'Second quarter (Q2)',
+      Q3: 'Third quarter (Q3)',
+      Q4: 'Fourth quarter (Q4)',
+      FY: 'Full fiscal year (FY)',
+      TTM: 'Trailing twelve months (TTM)',
+    },
+    auditStatuses: {
+      audited: 'Audited',
+      unaudited: 'Unaudited',
+    },
+    yearEndSummary: 'Fiscal year end in {month}',
+  },
+
+  fields: {
+    currentAssets: 'Current Assets',
+    currentLiabilities: 'Current Liabilities',
+    inventory: 'Inventory',
+    totalAssets: 'Total Assets',
+    totalLiabilities: 'Total Liabilities',
+    shareholdersEquity: "Shareholders' Equity",
+    revenue: 'Revenue (Sales)',
+    costOfGoodsSold: 'Cost of Goods Sold',
+    operatingIncome: 'Operating Income (EBIT)',
+    netIncome: 'Net Income',
+    interestExpense: 'Interest Expense',
+    ebitda: 'EBITDA',
+    cashAndEquivalents: 'Cash and Equivalents',
+    operatingCashFlow: 'Operating Cash Flow',
+    capitalExpenditures: 'Capital Expenditures (CapEx)',
+    dividendsPaid: 'Dividends Paid',
+    debtRepayments: 'Debt Repayments',
+    retainedEarnings: 'Retained Earnings',
+    marketValueOfEquity: 'Market Value of Equity',
+    accountsReceivable: 'Accounts Receivable',
+    accountsPayable: 'Accounts Payable',
+    sharePrice: 'Share Price',
+    sharesOutstanding: 'Shares Outstanding',
+  },
+  sections: {
+    balanceSheet: {
+      title: 'Balance Sheet Data',
+      invalidMessage: 'Please enter valid numeric values in all fields.',
+    },
+    incomeStatement: {
+      title: 'Income Statement Data',
+      invalidMessage: 'Please enter valid numeric values in all Income Statement fields.',
+    },
+    workingCapital: {
+      title: 'Working Capital Data',
+      invalidMessage: 'Please enter valid numeric values in all the Working Capital fields.',
+    },
+    cashFlow: {
+      title: 'Cash Flow Data',
+      invalidMessage: 'Please enter valid numeric values in all Cash Flow fields.',
+    },
+    riskModels: {
+      title: 'Bankruptcy Risk Model Data',
+      invalidMessage: 'Please enter valid numeric values in the bankruptcy risk model data.',
+    },
+    marketData: {
+      title: 'Market Data',
+      invalidMessage: 'Please enter valid numeric values for the share price and the number of shares.',
+    },
+  },
+  groups: {
+    liquidity: 'Liquidity Ratios',
+    solvency: 'Solvency / Leverage Ratios',
+    profitability: 'Profitability Ratios',
+    cashFlow: 'Cash Flow Ratios',
+    valuation: 'Valuation Ratios',
+  },
+  ratios: {
+    currentRatio: {
+      label: 'Current Ratio',
+      description: "Measures the company's ability to pay its short-term debts with its most liquid assets.",
+    },
+    quickRatio: {
+      label: 'Quick Ratio (Acid Test)',
+      description: "Measures the company's ability to pay its short-term debts without relying on inventory.",
+    },
+    inventoryTurnover: {
+      label: 'Inventory Turnover',
+      description: 'Times per year the inventory is sold and replaced (annualized cost of goods sold over inventory).',
+    },
+    daysSalesOutstanding: {
+      label: 'Days Sales Outstanding (DSO)',
+      description: 'Days the company takes to collect its credit sales.',
+    },
+    daysInventoryOutstanding: {
+      label: 'Days Inventory Outstanding (DIO)',
+      description: 'Days the inventory stays in stock before it is sold.',
+    },
+    daysPayableOutstanding: {
+      label: 'Days Payable Outstanding (DPO)',
+      description: 'Days the company takes to pay its suppliers.',
+    },
+    cashConversionCycle: {
+      label: 'Cash Conversion Cycle',
+      description: 'Days between paying suppliers and collecting from customers (DSO + DIO - DPO); the shorter, the less working capital the business ties up.',
+    },
+    debtToEquityRatio: {
+      label: 'Debt to Equity Ratio',
+      description: "Measures how much of the financing comes from debt vs. the owners' capital.",
+    },
+    debtToAssetsRatio: {
+      label: 'Debt to Total Assets Ratio',
+      description: "Measures the percentage of the company's assets financed with debt.",
+    },
+    grossMargin: {
+      label: 'Gross Margin',
+      description: 'Measures the percentage of sales left after covering the cost of goods sold.',
+    },
+    operatingMargin: {
+      label: 'Operating Margin',
+      description: 'Measures the percentage of sales that becomes operating income.',
+    },
+    netMargin: {
+      label: 'Net Margin',
+      description: 'Measures the percentage of sales that becomes net income.',
+    },
+    returnOnAssets: {
+      label: 'Return on Assets (ROA)',
+      description: 'Measures the net income generated by each unit of assets.',
+    },
+    returnOnEquity: {
+      label: 'Return on Equity (ROE)',
+      description: "Measures the net income generated by each unit of the owners' capital.",
+    },
+    interestCoverage: {
+      label: 'Interest Coverage',
+      description: 'Measures how many times operating income covers interest expense.',
+    },
+    freeCashFlow: {
+      label: 'Free Cash Flow',
+      description: 'Measures the cash left after capital expenditures, compared with dividends and debt repayments.',
+      guideLabel: 'Free Cash Flow (times dividends + debt repayments)',
+    },
+    operatingCashFlowRatio: {
+      label: 'Operating Cash Flow Ratio',
+      description: 'Measures the ability to pay short-term debts with the cash generated by operations.',
+    },
+    cashRatio: {
+      label: 'Cash Ratio',
+      description: 'Measures the ability to pay short-term debts with cash and equivalents only.',
+    },
+    capexCoverage: {
+      label: 'Capital Expenditure Coverage',
+      description: 'Measures how many times operating cash flow covers capital expenditures.',
+    },
+    marketCapitalization: {
+      label: 'Market Capitalization',
+      description: 'Market value of all the shares (share price times shares outstanding), compared with the total liabilities.',
+      guideLabel: 'Market Capitalization (times total liabilities)',
+    },
+    priceToEarnings: {
+      label: 'Price / Earnings (P/E)',
+      description: 'How many years of (annualized) net income the market pays for the company.',
+    },
+    priceToBook: {
+      label: 'Price / Book (P/B)',
+      description: "How many times the book value of shareholders' equity the market pays for the company.",
+    },
+    evToEbitda: {
+      label: 'EV / EBITDA',
+      description: 'Enterprise value (market capitalization + total liabilities - cash) over annualized EBITDA.',
+    },
+    dividendYield: {
+      label: 'Dividend Yield',
+      description: 'Dividends paid (annualized) as a percentage of the market capitalization.',
+    },
+  },
+  interpretations: ['Very Poor 🚨', 'Poor 🚩', 'Fair 😐', 'Good 👍', 'Excellent 🚀'],
+  zeroDenominators: {
+    currentLiabilities: 'Current Liabilities is zero',
+    shareholdersEquity: "Shareholders' Equity is zero",
+    totalAssets: 'Total Assets is zero',
+    revenue: 'Revenue is zero',
+    interestExpense: 'Interest Expense is zero',
+    dividendsAndDebtRepayments: 'Dividends and Debt Repayments is zero',
+    capitalExpenditures: 'Capital Expenditures is zero',
+    inventory: 'Inventory is zero',
+    costOfGoodsSold: 'Cost of Goods Sold is zero',
+    totalLiabilities: 'Total Liabilities is zero',
+    marketCapitalization: 'Market Capitalization is zero',
+    nonPositiveNetIncome: 'Net Income is not positive',
+    nonPositiveEquity: "Shareholders' Equity is not positive",
+    nonPositiveEbitda: 'EBITDA is not positive',
+  },
+  ratioWarning: '{label}: {warning}',
+  missingSection: 'Requires the {section}',
+  missingField: 'Requires {field}',
+  units: {
+    days: '{value} days',
+  },
+  sectors: {
+    general: 'General (all industries)',
+    banking: 'Banking and Financial Services',
+    retail: 'Retail and Consumer',
+    technology: 'Technology',
+    utilities: 'Utilities',
+    manufacturing: 'Manufacturing and Industrials',
+    reits: 'Real Estate (FIBRAs / REITs)',
+  },
+  currencies: {
+    USD: 'US Dollar (USD)',
+    MXN: 'Mexican Peso (MXN)',
+    EUR: 'Euro (EUR)',
+    JPY: 'Japanese Yen (JPY)',
+    GBP: 'Pound Sterling (GBP)',
+    CAD: 'Canadian Dollar (CAD)',
+    AUD: 'Australian Dollar (AUD)',
+    CHF: 'Swiss Franc (CHF)',
+    CNY: 'Chinese Yuan (CNY)',
+    INR: 'Indian Rupee (INR)',
+    BRL: 'Brazilian Real (BRL)',
+    RUB: 'Russian Ruble (RUB)',
+    ZAR: 'South African Rand (R)',
+  },
+  unitScales: {
+    units: 'Units',
+    thousands: 'Thousands',
+    millions: 'Millions',
+  },
+  unitScaleNames: {
+    thousands: 'thousands',
+    millions: 'millions',
+  },
+
+  validation: {
+    required: 'This field is required.',
+    completeSection: 'Fill in this field or leave the whole section empty.',
+    notANumber: 'Enter a valid numeric value.',
+    nonNegative: {
+      currentAssets: 'Current assets cannot be negative.',
+      currentLiabilities: 'Current liabilities cannot be negative.',
+      inventory: 'Inventory cannot be negative.',
+      totalAssets: 'Total assets cannot be negative.',
+      totalLiabilities: 'Total liabilities cannot be negative.',
+      revenue: 'Revenue cannot be negative.',
+      costOfGoodsSold: 'Cost of goods sold cannot be negative.',
+      cashAndEquivalents: 'Cash cannot be negative.',
+      capitalExpenditures: 'Enter capital expenditures as a positive amount, even though they are a cash outflow.',
+      dividendsPaid: 'Enter dividends paid as a positive amount, even though they are a cash outflow.',
+      debtRepayments: 'Enter debt repayments as a positive amount, even though they are a cash outflow.',
+      marketValueOfEquity: 'The market value of equity cannot be negative.',
+      accountsReceivable: 'Accounts receivable cannot be negative.',
+      accountsPayable: 'Accounts payable cannot be negative.',
+      sharePrice: 'The share price cannot be negative.',
+      sharesOutstanding: 'The number of shares cannot be negative.',
+    },
+    currentAssetsAboveTotal: 'Current assets cannot be greater than total assets.',
+    inventoryAboveCurrentAssets: 'Inventory cannot be greater than current assets.',
+    currentLiabilitiesAboveTotal: 'Current liabilities cannot be greater than total liabilities.',
+    receivablesAboveCurrentAssets: 'Accounts receivable cannot be greater than current assets.',
+    payablesAboveCurrentLiabilities: 'Accounts payable cannot be greater than current liabilities.',
+    cashAboveCurrentAssets: 'Cash cannot be greater than current assets.',
+    negativeEquity: "Shareholders' equity is negative: liabilities exceed assets, usually because of accumulated losses or share buybacks. The debt to equity and ROE ratios cannot be interpreted the usual way.",
+    costAboveRevenue: 'Cost of goods sold exceeds revenue: the gross margin will be negative.',
+    unbalanced: "The balance sheet does not balance: Total Assets ({totalAssets}) ≠ Total Liabilities + Shareholders' Equity ({liabilitiesAndEquity}). The difference of {difference}{differencePercentage} exceeds the tolerance of {tolerance}%.",
+    unbalancedField: "Does not match Total Liabilities + Shareholders' Equity.",
+    fieldWarning: '{label}: {message}',
+  },
+
+  healthScore: {
+    title: 'Overall Financial Health:',
+    noScore: 'There are no ratios with an interpretation to compute the score.',
+    score: 'Score:',
+    ratio: 'Ratio',
+    interpretation: 'Interpretation',
+    weight: 'Weight',
+    contribution: 'Contribution',
+    invalidWeights: 'Weights must be numbers greater than or equal to zero.',
+    noPositiveWeight: 'At least one ratio must have a weight greater than zero.',
+  },
+  scoreWeights: {
+    help: "Weights are relative: each ratio contributes its weight divided by the sum of the computed ratios' weights.",
+    weightOf: 'Weight of {label}',
+    total: 'Sum of weights: {total}',
+    saved: 'Weights saved.',
+    save: 'Save Weights',
+    reset: 'Restore Defaults',
+  },
+  altman: {
+    title: 'Bankruptcy Risk (Altman Z-Score):',
+    model: 'Altman Z-Score model',
+    score: 'Z-Score:',
+    modelDescription: 'Model: {model}. Safe zone above {safe}, distress zone below {distress}.',
+    zones: {
+      safe: 'Safe Zone ✅',
+      grey: 'Grey Zone ⚠️',
+      distress: 'Distress Zone 🚨',
+    },
+    terms: {
+      workingCapitalToAssets: 'Working Capital / Total Assets',
+      retainedEarningsToAssets: 'Retained Earnings / Total Assets',
+      ebitToAssets: 'EBIT / Total Assets',
+      marketEquityToLiabilities: 'Market Value of Equity / Total Liabilities',
+      bookEquityToLiabilities: "Shareholders' Equity / Total Liabilities",
+      salesToAssets: 'Sales / Total Assets',
+    },
+    variants: {
+      public: 'Public manufacturing company (Z)',
+      private: "Private company (Z')",
+      nonManufacturing: "Non-manufacturing or emerging market company (Z'')",
+    },
+    missingFields: 'The model is missing data: {fields}.',
+    zeroTotals: 'Total Assets and Total Liabilities must be non-zero.',
+  },
+
+  thresholdSettings: {
+    customLabel: '{label} (custom)',
+    profileName: 'Profile Name:',
+    limitsHelp: 'Each ratio uses four limits: {labels} (margins and returns in %).',
+    directionOf: 'Direction of {label}',
+    higherIsBetter: 'Higher is better',
+    lowerIsBetter: 'Lower is better',
+    fixBeforeSaving: 'Fix the marked ranges before saving.',
+    fixBeforeExporting: 'Fix the marked ranges before exporting.',
+    nameRequired: 'Enter a name for the profile.',
+    defaultFileName: 'profile',
+    save: 'Save Profile',
+    exportJson: 'Export JSON',
+    importJson: 'Import JSON',
+    delete: 'Delete Profile',
+  },
+  thresholdProfiles: {
+    invalidDirection: 'The direction must be "higher is better" or "lower is better".',
+    fourLimits: 'Enter four numeric limits.',
+    descendingLimits: 'Limits must go from highest to lowest (Excellent > Good > Fair > Poor).',
+    ascendingLimits: 'Limits must go from lowest to highest (Excellent < Good < Fair < Poor).',
+    invalidJson: 'The file does not contain valid JSON.',
+    missingKeys: 'The file must include "label" and "thresholds".',
+    invalidRatio: 'Invalid ranges for "{ratio}": {error}',
+  },
+  analysisLibrary: {
+    title: 'Saved Analyses:',
+    empty: 'Use "Save Analysis" to keep the current analysis in this browser.',
+    search: 'Search by ticker',
+    searchPlaceholder: 'Search by ticker...',
+    noMatches: 'There are no saved analyses for "{query}".',
+    newName: 'New name',
+    accept: 'OK',
+    cancel: 'Cancel',
+    select: 'Select {name}',
+    noTicker: 'No ticker',
+    noDate: 'No date',
+    open: 'Open',
+    duplicate: 'Duplicate',
+    rename: 'Rename',
+    delete: 'Delete',
+    confirmDelete: 'Delete the analysis "{name}"?',
+    exportSelected: 'Export {count} selected:',
+    copyOf: 'Copy of {name}',
+  },
+  statementImport: {
+    title: 'Import Data (CSV or Excel):',
+    help: 'Paste a block copied from a spreadsheet or load a CSV: one row per line item and one column per period.',
+    dataToImport: 'Data to import',
+    placeholder: 'Line item\t31-Dec-2023\t31-Dec-2024\nCurrent assets\t140,000,000\t150,000,000',
+    analyze: 'Analyze Data',
+    loadCsv: 'Load CSV',
+    noRows: 'No rows with line items and at least one column of values were found.',
+    lineItem: 'Line Item',
+    field: 'Field',
+    fieldFor: 'Field for {label}',
+    ignore: '— Ignore —',
+    unmappedRows: 'Unassigned rows (they will be ignored): {rows}.',
+    invalidCells: 'Values that could not be read: {cells}.',
+    invalidCell: '{label} / {period}: "{raw}"',
+    emptyCell: 'empty',
+    duplicatedFields: 'Some fields are assigned to more than one row; the last one will be used.',
+    periodToLoad: 'Period to load',
+    loadIntoForm: 'Load into the Form',
+    addAllAsPeriods: 'Add All as Periods',
+    defaultPeriodLabel: 'Period {number}',
+  },
+  pasteToFill: {
+    title: 'Fill In from Financial Statement Text:',
+    help: 'Paste lines copied from a PDF report or a web page, one line item and its amount per line. Years and note references are not read as amounts, and when a line has several amounts (one per period) you choose which one to load. Amounts are read in the chosen number format and unit scale; check the fields before loading them.',
+    textToRead: 'Financial statement text',
+    placeholder: 'Total current assets 150,000,000\nTotal current liabilities (80,000,000)',
+    analyze: 'Detect Line Items',
+    noLines: 'No lines with a line item followed by an amount were found.',
+    line: 'Line item',
+    amount: 'Amount',
+    field: 'Field',
+    fieldFor: 'Field for {label}',
+    amountFor: 'Amount for {label}',
+    chooseAmount: '— Choose amount —',
+    ignore: '— Ignore —',
+    skippedLines: 'Lines without a line item or an amount (they will be ignored): {lines}.',
+    ambiguousLines: 'Choose the amount of the lines with several amounts (they will not be loaded until then): {lines}.',
+    duplicatedFields: 'Several lines point to {fields}; the first one will be used.',
+    apply: 'Load {count} Field(s) into the Form',
+    cancel: 'Discard',
+    applied: '{count} field(s) were loaded from the pasted text.',
+  },
+  exchangeRates: {
+    help: 'Each exchange rate states how many units of the target currency equal one unit of the source currency, and applies to reports dated on or after its effective date.',
+    fromCurrency: 'Source currency',
+    toCurrency: 'Target currency',
+    rate: 'Exchange rate',
+    ratePlaceholder: 'E.g.: 0.0588',
+    effectiveDate: 'Effective date',
+    add: 'Add',
+    sameCurrency: 'The source and target currencies must be different.',
+    invalidRate: 'Enter an exchange rate greater than zero.',
+    missingDate: 'Enter the effective date of the exchange rate.',
+    empty: 'There are no exchange rates.',
+    entry: '{date}: 1 {from} = {rate} {to}',
+    remove: 'Remove',
+  },
+  exports: {
+    ticker: 'Ticker',
+    reportDate: 'Report Date',
+    currency: 'Currency',
+    sector: 'Sector',
+    type: 'Type',
+    key: 'Key',
+    concept: 'Item',
+    value: 'Value',
+    interpretation: 'Interpretation',
+    reportingCurrency: 'Reporting Currency',
+    exchangeRate: 'Exchange Rate',
+    convertedValue: 'Converted Value',
+    figureType: 'Figure',
+    ratioType: 'Ratio',
+    summarySheet: 'Summary',
+    detailSheet: 'Detail',
+    ratio: 'Ratio',
+    rankOf: '{label} - Rank',
+    median: 'Median',
+    comparisonSheet: 'Comparison',
+    fileName: 'analysis',
+    fileNameMany: 'analysis_{count}',
+    comparisonFileName: 'comparison_{count}',
+  },
+  report: {
+    title: 'Financial Health Report',
+    footer: 'Financial Health Report - © 2025 @Fermoon™',
+    reportDate: 'Report Date: {date}',
+    dataCurrency: 'Data Currency: {currency}',
+    unitScaleNote: ' (figures in {scale})',
+    reportingCurrency: 'Reporting Currency: {currency} (1 {from} = {rate} {currency}, effective {date})',
+    sector: 'Sector: {sector}',
+    fiscalPeriod: 'Period: {description}',
+    generatedAt: 'Generated on {date}',
+    enteredData: 'Entered Data',
+    concept: 'Item',
+    valueIn: 'Value ({currency})',
+    valueInScale: 'Value ({currency}, in {scale})',
+    ratios: 'Financial Ratios',
+    ratio: 'Ratio',
+    value: 'Value',
+    description: 'Description',
+    interpretation: 'Interpretation',
+    guide: 'Ratio Interpretation Guide ({profile})',
+    range: 'Range',
+    page: 'Page {page} of {pageCount}',
+  },
+};
@@ -0,0 +1,671 @@
+// Spanish catalog. This is the default language: keys missing from another
+// catalog fall back to the text here. Placeholders in braces, e.g. {count}, are
+// filled in by the translator (see ../lib/i18n).
+
+export default {
+  app: {
+    title: 'Analizador de Salud Financiera',
+    logoTop: 'Salud',
+    logoBottom: 'Financiera',
+    language: 'Idioma:',
+    companyTicker: 'Ticker de la Empresa:',
+    companyTickerPlaceholder: 'Ej: BIMBOA',
+    currency: 'Moneda de los Datos:',
+    numberFormat: 'Formato de Números:',
+    unitScale: 'Escala de las Cifras:',
+    reportingCurrency: 'Convertir a Moneda de Reporte:',
+    noConversion: 'Sin conversión',
+    showExchangeRates: 'Administrar tipos de cambio ({count})',
+    hideExchangeRates: 'Ocultar tipos de cambio',
+    sector: 'Sector de la Empresa:',
+    customProfiles: 'Perfiles personalizados',
+    showThresholdSettings: 'Configurar rangos de interpretación',
+    hideThresholdSettings: 'Ocultar configuración de rangos',
+    reportDate: 'Fecha del Informe (DD-MMM-AAAA o AAAA-MM-DD):',
+    reportDatePlaceholder: 'Ej: 31-dic-2024',
+    reportDatePicker: 'Elegir la fecha del informe en el calendario',
+    invalidReportDate: 'Ingrese una fecha válida con el formato DD-MMM-AAAA (ej. 31-dic-2024) o AAAA-MM-DD.',
+    showImport: 'Importar datos desde CSV o Excel',
+    hideImport: 'Ocultar importación de datos',
+    showPasteToFill: 'Completar desde texto de estados financieros',
+    hidePasteToFill: 'Ocultar completado desde texto',
+    optionalSection: '{title} (opcional):',
+    requiredSection: '{title}:',
+    fieldLabel: '{label}:',
+    optionalFieldLabel: '{label} (opcional):',
+    marketValueFromMarketData: 'Se calcula con los datos de mercado (precio por acción × acciones en circulación).',
+    examplePlaceholder: 'Ej: {value}',
+    unscaledFieldsNote: 'El precio por acción y el número de acciones se ingresan tal cual, no en {scale}.',
+    balanceTolerance: 'Tolerancia para Activos = Pasivos + Patrimonio (% de los activos totales):',
+    calculate: 'Calcular Ratios',
+    fixMarkedFields: 'Corrija los campos marcados en rojo para calcular los ratios.',
+    clearForm: 'Limpiar Formulario',
+    saveAnalysis: 'Guardar Análisis',
+    print: 'Imprimir Informe',
+    savePdf: 'Guardar como PDF',
+    exportResults: 'Exportar resultados:',
+    showScoreWeights: 'Configurar pesos de la puntuación',
+    hideScoreWeights: 'Ocultar pesos de la puntuación',
+  },
+  results: {
+    resultsFor: 'Resultados para:',
+    reportDate: 'Fecha del Informe: {date}',
+    dataCurrency: 'Moneda de los Datos: {currency}',
+    unitScaleNote: ' (cifras en {scale})',
+    reportingCurrency: 'Moneda de Reporte: {currency} (1 {from} = {rate} {currency}, vigente desde {date})',
+    noExchangeRate: 'No hay un tipo de cambio de {from} a {to} vigente. Los montos se muestran sin convertir.',
+    noExchangeRateOnDate: 'No hay un tipo de cambio de {from} a {to} vigente al {date}. Los montos se muestran sin convertir.',
+    sector: 'Sector: {sector}',
+    fiscalPeriod: 'Periodo: {description}',
+    periodDays: ' (ratios en días sobre un periodo de {days} días)',
+    annualized: '. Las utilidades y flujos del periodo se anualizan al compararlos con saldos del balance.',
+    warnings: 'Advertencias:',
+    enteredData: 'Datos Ingresados:',
+    groupTitle: '{title}:',
+  },
+  periods: {
+    title: 'Periodos Guardados:',
+    titleWithTicker: 'Periodos Guardados ({ticker}):',
+    add: 'Agregar Periodo',
+    removeAll: 'Eliminar Periodos',
+    empty: 'Agregue varios periodos (por ejemplo, trimestres o años fiscales) para comparar la tendencia de los ratios.',
+    load: 'Cargar',
+    remove: 'Quitar',
+    invalidDate: 'Por favor, ingrese una Fecha del Informe válida para agregar el periodo.',
+    otherCompany: 'Los periodos guardados pertenecen a {ticker}. Elimine los periodos para analizar otro ticker.',
+    otherCompanyFallback: 'otra empresa',
+    skippedUndated: 'No se agregaron los periodos sin una fecha válida: {labels}.',
+    imported: '{count} periodo(s) importado(s).',
+    importedIntoForm: 'Datos importados del periodo "{label}".',
+  },
+  trend: {
+    title: 'Análisis de Tendencia',
+    titleWithTicker: 'Análisis de Tendencia: {ticker}',
+    ratio: 'Ratio',
+    improved: ' (mejoró)',
+    worsened: ' (empeoró)',
+  },
+  comparison: {
+    title: 'Comparar Empresas:',
+    includeCurrent: 'Incluir la empresa del formulario',
+    currentForm: 'Formulario actual',
+    selectHint: 'Seleccione en "Análisis Guardados" las empresas a comparar (al menos dos, contando la del formulario si tiene resultados).',
+    heading: 'Comparación con Competidores',
+    ratio: 'Ratio',
+    median: 'Mediana',
+    best: 'Mejor',
+    worst: 'Peor',
+    print: 'Imprimir Comparación',
+    export: 'Exportar:',
+  },
+  guide: {
+    title: 'Guía de Interpretación de Ratios ({profile}):',
+    ratioTitle: '{label}:',
+  },
+  disclaimer: 'Estos rangos son guías generales. La interpretación precisa debe considerar la industria y las tendencias históricas de la empresa. El análisis completo y la decisión de invertir o no es responsabilidad absoluta de cada usuario, por lo que los resultados de esta herramienta no deben ser considerados por sí mismos una recomendación de inversión o venta.',
+  copyright: '© 2025 @Fermoon™',
+  messages: {
+    analysisSaved: 'Análisis "{name}" guardado.',
+    calculateBeforePdf: 'Calcule los ratios antes de guardar el informe como PDF.',
+    calculateBeforePrint: 'Calcule los ratios antes de imprimir el informe.',
+  },
+  narrative: {
+    title: 'Resumen del Análisis',
+    and: ' y ',
+    bands: ['pésimo', 'malo', 'regular', 'bueno', 'excelente'],
+    groups: {
+      liquidity: ['la liquidez es insuficiente para cubrir las obligaciones de corto plazo', 'la liquidez es aceptable', 'la liquidez es sólida'],
+      solvency: ['el apalancamiento está por encima de los rangos habituales', 'el apalancamiento está dentro de los rangos habituales', 'el apalancamiento es bajo'],
+      profitability: ['la rentabilidad es débil', 'la rentabilidad es moderada', 'la rentabilidad es sólida'],
+      cashFlow: ['la generación de efectivo es insuficiente', 'la generación de efectivo es suficiente', 'la generación de efectivo es holgada'],
+      valuation: ['las acciones cotizan a múltiplos exigentes', 'las acciones cotizan a múltiplos razonables', 'las acciones cotizan a múltiplos atractivos'],
+    },
+    score: 'La puntuación de salud financiera es de {score} sobre 100 ({band}).',
+    overview: '{phrases}.',
+    overviewMixed: '{positives}, pero {negatives}.',
+    inventoryDependence: 'El ratio de prueba ácida ({quick}) cae bruscamente frente al ratio circulante ({current}) porque el inventario representa el {share} de los activos circulantes: la liquidez depende de poder vender ese inventario.',
+    leverageAndCoverage: 'El endeudamiento elevado (deuda a patrimonio de {debtToEquity}) se combina con una cobertura de intereses de solo {coverage} veces, lo que deja poco margen si caen las utilidades.',
+    leveragedReturns: 'La alta rentabilidad sobre el patrimonio ({returnOnEquity}) se apoya más en el endeudamiento que en la rentabilidad de los activos ({returnOnAssets}).',
+    profitWithoutCash: 'Aunque la empresa es rentable (margen neto de {netMargin}), sus utilidades no se están convirtiendo en efectivo: el flujo de efectivo libre ({freeCashFlow}) no alcanza a cubrir los dividendos y pagos de deuda.',
+    longCashCycle: 'El ciclo de conversión de efectivo de {days} inmoviliza capital de trabajo: la empresa tarda en recuperar en efectivo lo que invierte en su operación.',
+    biggestConcern: 'El indicador más preocupante es «{label}», con {value} ({band}).',
+    noConcern: 'Ningún indicador está en zona de riesgo; el más débil es «{label}», con {value} ({band}).',
+    biggestStrength: 'La mayor fortaleza es «{label}», con {value} ({band}).',
+    unavailable: 'No se pudieron calcular con los datos ingresados: {ratios}.',
+  },
+  charts: {
+    compositionTitle: 'Composición del Balance General',
+    assets: 'Activos',
+    financing: 'Pasivos y Patrimonio',
+    nonCurrentAssets: 'Activos No Circulantes',
+    nonCurrentLiabilities: 'Pasivos No Circulantes',
+    gaugeDescription: '{label}: {value} ({interpretation})',
+  },
+  scenarios: {
+    title: 'Simulador de Escenarios (¿Qué pasaría si…?)',
+    description: 'Los cambios se aplican a una copia de los datos del formulario; el análisis base no se modifica. Escriba los cambios en la misma escala que las cifras (use negativos para disminuir).',
+    preset: 'Escenario predefinido:',
+    amount: 'Monto:',
+    applyPreset: 'Aplicar',
+    presetApplied: 'Se sumaron los cambios de "{preset}".',
+    invalidAmount: 'Ingrese un monto positivo para el escenario.',
+    presets: {
+      newDebt: 'Emisión de nueva deuda a largo plazo',
+      payCurrentLiabilities: 'Pago de pasivos circulantes con efectivo',
+      inventoryWriteDown: 'Castigo (deterioro) de inventario',
+      equityRaise: 'Aumento de capital',
+    },
+    lineItem: 'Partida',
+    base: 'Base',
+    change: 'Cambio',
+    scenario: 'Escenario',
+    changeOf: 'Cambio en {label}',
+    invalidChanges: 'Los cambios marcados en rojo no son números válidos y se ignoran.',
+    ratio: 'Ratio',
+    before: 'Antes',
+    after: 'Después',
+    reset: 'Restablecer escenario',
+  },
+  shortcuts: {
+    show: 'Atajos de teclado',
+    hide: 'Ocultar atajos de teclado',
+    actions: {
+      calculate: 'Calcular los ratios (en un campo de datos; Ctrl+Enter desde cualquier lugar)',
+      clear: 'Limpiar el formulario',
+      print: 'Imprimir el informe',
+      nextSection: 'Ir a la sección siguiente',
+      previousSection: 'Ir a la sección anterior',
+      goToSection: 'Ir a la sección por su número (1 = Balance General)',
+      results: 'Ir a los resultados',
+    },
+    macNote: 'En Mac, use Option en lugar de Alt y Cmd en lugar de Ctrl.',
+  },
+  pwa: {
+    updateAvailable: 'Hay una nueva versión de la aplicación. Actualice cuando termine el análisis en curso; los datos guardados se conservan.',
+    update: 'Actualizar',
+    later: 'Más tarde',
+  },
+  share: {
+    copyLink: 'Copiar enlace',
+    linkCopied: 'Enlace copiado. Quien lo abra verá este mismo análisis.',
+    copyManually: 'No se pudo copiar automáticamente; copie el enlace de abajo.',
+    linkLabel: 'Enlace para compartir este análisis:',
+    unknownProfile: 'El perfil "{profile}" del enlace no existe en este navegador; se aplicaron los rangos generales.',
+  },
+  print: {
+    title: 'Informe de Salud Financiera - © 2025 @Fermoon™. Derechos reservados.',
+  },
+  dates: {
+    monthsShort: ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'],
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+  },
+  fiscalPeriod: {
+    periodType: 'Tipo de Periodo:',
+    fiscalYearEnd: 'Cierre del Ejercicio Fiscal:',
+    auditStatus: 'Estado de Auditoría:',
+    notSpecified: 'No especificado',
+    periodTypes: {
+      Q1: 'Primer trimestre (Q1)',
+      Q2: 'Segundo trimestre (Q2)',
+      Q3: 'Tercer trimestre (Q3)',
+      Q4: 'Cuarto trimestre (Q4)',
+      FY: 'Año fiscal completo (FY)',
+      TTM: 'Últimos doce meses (TTM)',
+    },
+    auditStatuses: {
+      audited: 'Auditado',
+      unaudited: 'No auditado',
+    },
+    yearEndSummary: 'Cierre fiscal en {month}',
+  },
+
+  fields: {
+    currentAssets: 'Activos Circulantes',
+    currentLiabilities: 'Pasivos Circulantes',
+    inventory: 'Inventario',
+    totalAssets: 'Activos Totales',
+    totalLiabilities: 'Pasivos Totales',
+    shareholdersEquity: 'Patrimonio Neto',
+    revenue: 'Ingresos (Ventas)',
+    costOfGoodsSold: 'Costo de Ventas',
+    operatingIncome: 'Utilidad de Operación (EBIT)',
+    netIncome: 'Utilidad Neta',
+    interestExpense: 'Gastos por Intereses',
+    ebitda: 'EBITDA',
+    cashAndEquivalents: 'Efectivo y Equivalentes',
+    operatingCashFlow: 'Flujo de Efectivo de Operación',
+    capitalExpenditures: 'Inversiones de Capital (CapEx)',
+    dividendsPaid: 'Dividendos Pagados',
+    debtRepayments: 'Pagos de Deuda',
+    retainedEarnings: 'Utilidades Retenidas',
+    marketValueOfEquity: 'Valor de Mercado del Capital',
+    accountsReceivable: 'Cuentas por Cobrar',
+    accountsPayable: 'Cuentas por Pagar',
+    sharePrice: 'Precio por Acción',
+    sharesOutstanding: 'Acciones en Circulación',
+  },
+  sections: {
+    balanceSheet: {
+      title: 'Datos del Balance General',
+      invalidMessage: 'Por favor, ingrese valores numéricos válidos en todos los campos.',
+    },
+    incomeStatement: {
+      title: 'Datos del Estado de Resultados',
+      invalidMessage: 'Por favor, ingrese valores numéricos válidos en todos los campos del Estado de Resultados.',
+    },
+    workingCapital: {
+      title: 'Datos de Capital de Trabajo',
+      invalidMessage: 'Por favor, ingrese valores numéricos válidos en todos los datos de Capital de Trabajo.',
+    },
+    cashFlow: {
+      title: 'Datos del Flujo de Efectivo',
+      invalidMessage: 'Por favor, ingrese valores numéricos válidos en todos los campos del Flujo de Efectivo.',
+    },
+    riskModels: {
+      title: 'Datos para Modelos de Riesgo de Quiebra',
+      invalidMessage: 'Por favor, ingrese valores numéricos válidos en los datos para modelos de riesgo de quiebra.',
+    },
+    marketData: {
+      title: 'Datos de Mercado',
+      invalidMessage: 'Por favor, ingrese valores numéricos válidos en el precio por acción y el número de acciones.',
+    },
+  },
+  groups: {
+    liquidity: 'Ratios de Liquidez',
+    solvency: 'Ratios de Solvencia / Apalancamiento',
+    profitability: 'Ratios de Rentabilidad',
+    cashFlow: 'Ratios de Flujo de Efectivo',
+    valuation: 'Ratios de Valoración',
+  },
+  ratios: {
+    currentRatio: {
+      label: 'Ratio de Liquidez',
+      description: 'Mide la capacidad de la empresa de pagar sus deudas a corto plazo con sus activos más líquidos.',
+    },
+    quickRatio: {
+      label: 'Ratio de Prueba Ácida',
+      description: 'Mide la capacidad de la empresa de pagar sus deudas a corto plazo sin depender del inventario.',
+    },
+    inventoryTurnover: {
+      label: 'Rotación de Inventario',
+      description: 'Veces al año que el inventario se vende y se repone (costo de ventas anualizado entre inventario).',
+    },
+    daysSalesOutstanding: {
+      label: 'Días de Cobro (DSO)',
+      description: 'Días que tarda la empresa en cobrar sus ventas a crédito.',
+    },
+    daysInventoryOutstanding: {
+      label: 'Días de Inventario (DIO)',
+      description: 'Días que el inventario permanece en almacén antes de venderse.',
+    },
+    daysPayableOutstanding: {
+      label: 'Días de Pago a Proveedores (DPO)',
+      description: 'Días que tarda la empresa en pagar a sus proveedores.',
+    },
+    cashConversionCycle: {
+      label: 'Ciclo de Conversión de Efectivo',
+      description: 'Días entre el pago a proveedores y el cobro a clientes (DSO + DIO - DPO); cuanto menor, menos capital de trabajo requiere la operación.',
+    },
+    debtToEquityRatio: {
+      label: 'Ratio de Deuda a Patrimonio Neto',
+      description: 'Mide la proporción de la financiación que proviene de la deuda vs. el capital de los dueños.',
+    },
+    debtToAssetsRatio: {
+      label: 'Ratio de Deuda a Activos Totales',
+      description: 'Mide el porcentaje de los activos de la empresa que se financian con deuda.',
+    },
+    grossMargin: {
+      label: 'Margen Bruto',
+      description: 'Mide el porcentaje de las ventas que queda después de cubrir el costo de ventas.',
+    },
+    operatingMargin: {
+      label: 'Margen Operativo',
+      description: 'Mide el porcentaje de las ventas que se convierte en utilidad de operación.',
+    },
+    netMargin: {
+      label: 'Margen Neto',
+      description: 'Mide el porcentaje de las ventas que se convierte en utilidad neta.',
+    },
+    returnOnAssets: {
+      label: 'Rentabilidad sobre Activos (ROA)',
+      description: 'Mide la utilidad neta generada por cada unidad de activos.',
+    },
+    returnOnEquity: {
+      label: 'Rentabilidad sobre Patrimonio (ROE)',
+      description: 'Mide la utilidad neta generada por cada unidad de capital de los dueños.',
+    },
+    interestCoverage: {
+      label: 'Cobertura de Intereses',
+      description: 'Mide cuántas veces la utilidad de operación cubre los gastos por intereses.',
+    },
+    freeCashFlow: {
+      label: 'Flujo de Efectivo Libre',
+      description: 'Mide el efectivo que queda después de las inversiones de capital, comparado con los dividendos y pagos de deuda.',
+      guideLabel: 'Flujo de Efectivo Libre (veces dividendos + pagos de deuda)',
+    },
+    operatingCashFlowRatio: {
+      label: 'Ratio de Flujo de Efectivo de Operación',
+      description: 'Mide la capacidad de pagar las deudas a corto plazo con el efectivo generado por la operación.',
+    },
+    cashRatio: {
+      label: 'Ratio de Efectivo',
+      description: 'Mide la capacidad de pagar las deudas a corto plazo solo con efectivo y equivalentes.',
+    },
+    capexCoverage: {
+      label: 'Cobertura de Inversiones de Capital',
+      description: 'Mide cuántas veces el flujo de operación cubre las inversiones de capital.',
+    },
+    marketCapitalization: {
+      label: 'Capitalización Bursátil',
+      description: 'Valor de mercado de todas las acciones (precio por acción por acciones en circulación), comparado con los pasivos totales.',
+      guideLabel: 'Capitalización Bursátil (veces los pasivos totales)',
+    },
+    priceToEarnings: {
+      label: 'Precio / Utilidad (P/E)',
+      description: 'Cuántos años de utilidad neta (anualizada) paga el mercado por la empresa.',
+    },
+    priceToBook: {
+      label: 'Precio / Valor en Libros (P/B)',
+      description: 'Cuántas veces el valor contable del patrimonio neto paga el mercado por la empresa.',
+    },
+    evToEbitda: {
+      label: 'Valor Empresa / EBITDA',
+      description: 'Valor de la empresa (capitalización bursátil + pasivos totales - efectivo) entre el EBITDA anualizado.',
+    },
+    dividendYield: {
+      label: 'Rentabilidad por Dividendo',
+      description: 'Dividendos pagados (anualizados) como porcentaje de la capitalización bursátil.',
+    },
+  },
+  // Interpretation bands from worst to best, indexed by band rank
+  interpretations: ['Pésimo 🚨', 'Malo 🚩', 'Regular 😐', 'Bueno 👍', 'Excelente 🚀'],
+  zeroDenominators: {
+    currentLiabilities: 'Pasivos Circulantes es cero',
+    shareholdersEquity: 'Patrimonio Neto es cero',
+    totalAssets: 'Activos Totales es cero',
+    revenue: 'Ingresos es cero',
+    interestExpense: 'Gastos por Intereses es cero',
+    dividendsAndDebtRepayments: 'Dividendos y Pagos de Deuda es cero',
+    capitalExpenditures: 'Inversiones de Capital es cero',
+    inventory: 'Inventario es cero',
+    costOfGoodsSold: 'Costo de Ventas es cero',
+    totalLiabilities: 'Pasivos Totales es cero',
+    marketCapitalization: 'Capitalización Bursátil es cero',
+    nonPositiveNetIncome: 'Utilidad Neta no es positiva',
+    nonPositiveEquity: 'Patrimonio Neto no es positivo',
+    nonPositiveEbitda: 'EBITDA no es positivo',
+  },
+  ratioWarning: '{label}: {warning}',
+  missingSection: 'Requiere los {section}',
+  missingField: 'Requiere {field}',
+  units: {
+    days: '{value} días',
+  },
+  sectors: {
+    general: 'General (todas las industrias)',
+    banking: 'Banca y Servicios Financieros',
+    retail: 'Comercio Minorista y Consumo',
+    technology: 'Tecnología',
+    utilities: 'Servicios Públicos (Utilities)',
+    manufacturing: 'Manufactura e Industria',
+    reits: 'Bienes Raíces (FIBRAs / REITs)',
+  },
+  currencies: {
+    USD: 'Dólar Estadounidense (USD)',
+    MXN: 'Peso Mexicano (MXN)',
+    EUR: 'Euro (EUR)',
+    JPY: 'Yen Japonés (JPY)',
+    GBP: 'Libra Esterlina (GBP)',
+    CAD: 'Dólar Canadiense (CAD)',
+    AUD: 'Dólar Australiano (AUD)',
+    CHF: 'Franco Suizo (CHF)',
+    CNY: 'Yuan Chino (CNY)',
+    INR: 'Rupia India (INR)',
+    BRL: 'Real Brasileño (BRL)',
+    RUB: 'Rublo Ruso (RUB)',
+    ZAR: 'Rand Sudafricano (R)',
+  },
+  unitScales: {
+    units: 'Unidades',
+    thousands: 'Miles',
+    millions: 'Millones',
+  },
+  // Lowercase scale names used inside sentences ("cifras en miles")
+  unitScaleNames: {
+    thousands: 'miles',
+    millions: 'millones',
+  },
+
+  validation: {
+    required: 'Este campo es obligatorio.',
+    completeSection: 'Complete este campo o deje vacía toda la sección.',
+    notANumber: 'Ingrese un valor numérico válido.',
+    nonNegative: {
+      currentAssets: 'Los activos circulantes no pueden ser negativos.',
+      currentLiabilities: 'Los pasivos circulantes no pueden ser negativos.',
+      inventory: 'El inventario no puede ser negativo.',
+      totalAssets: 'Los activos totales no pueden ser negativos.',
+      totalLiabilities: 'Los pasivos totales no pueden ser negativos.',
+      revenue: 'Los ingresos no pueden ser negativos.',
+      costOfGoodsSold: 'El costo de ventas no puede ser negativo.',
+      cashAndEquivalents: 'El efectivo no puede ser negativo.',
+      capitalExpenditures: 'Ingrese las inversiones de capital como un monto positivo, aunque sean una salida de efectivo.',
+      dividendsPaid: 'Ingrese los dividendos pagados como un monto positivo, aunque sean una salida de efectivo.',
+      debtRepayments: 'Ingrese los pagos de deuda como un monto positivo, aunque sean una salida de efectivo.',
+      marketValueOfEquity: 'El valor de mercado del capital no puede ser negativo.',
+      accountsReceivable: 'Las cuentas por cobrar no pueden ser negativas.',
+      accountsPayable: 'Las cuentas por pagar no pueden ser negativas.',
+      sharePrice: 'El precio por acción no puede ser negativo.',
+      sharesOutstanding: 'El número de acciones no puede ser negativo.',
+    },
+    currentAssetsAboveTotal: 'Los activos circulantes no pueden ser mayores que los activos totales.',
+    inventoryAboveCurrentAssets: 'El inventario no puede ser mayor que los activos circulantes.',
+    currentLiabilitiesAboveTotal: 'Los pasivos circulantes no pueden ser mayores que los pasivos totales.',
+    receivablesAboveCurrentAssets: 'Las cuentas por cobrar no pueden ser mayores que los activos circulantes.',
+    payablesAboveCurrentLiabilities: 'Las cuentas por pagar no pueden ser mayores que los pasivos circulantes.',
+    cashAboveCurrentAssets: 'El efectivo no puede ser mayor que los activos circulantes.',
+    negativeEquity: 'El patrimonio neto es negativo: los pasivos superan a los activos, normalmente por pérdidas acumuladas o recompras de acciones. Los ratios de deuda a patrimonio y ROE no se pueden interpretar de la forma habitual.',
+    costAboveRevenue: 'El costo de ventas supera a los ingresos: el margen bruto será negativo.',
+    unbalanced: 'El balance no cuadra: Activos Totales ({totalAssets}) ≠ Pasivos Totales + Patrimonio Neto ({liabilitiesAndEquity}). La diferencia de {difference}{differencePercentage} supera la tolerancia de {tolerance}%.',
+    unbalancedField: 'No coincide con Pasivos Totales + Patrimonio Neto.',
+    fieldWarning: '{label}: {message}',
+  },
+
+  healthScore: {
+    title: 'Salud Financiera General:',
+    noScore: 'No hay ratios con interpretación para calcular la puntuación.',
+    score: 'Puntuación:',
+    ratio: 'Ratio',
+    interpretation: 'Interpretación',
+    weight: 'Peso',
+    contribution: 'Aporte',
+    invalidWeights: 'Los pesos deben ser números mayores o iguales a cero.',
+    noPositiveWeight: 'Al menos un ratio debe tener un peso mayor que cero.',
+  },
+  scoreWeights: {
+    help: 'Los pesos son relativos: cada ratio aporta su peso entre la suma de los pesos de los ratios calculados.',
+    weightOf: 'Peso de {label}',
+    total: 'Suma de pesos: {total}',
+    saved: 'Pesos guardados.',
+    save: 'Guardar Pesos',
+    reset: 'Restablecer Valores',
+  },
+  altman: {
+    title: 'Riesgo de Quiebra (Altman Z-Score):',
+    model: 'Modelo Altman Z-Score',
+    score: 'Z-Score:',
+    modelDescription: 'Modelo: {model}. Zona segura por encima de {safe}, zona de riesgo por debajo de {distress}.',
+    zones: {
+      safe: 'Zona Segura ✅',
+      grey: 'Zona Gris ⚠️',
+      distress: 'Zona de Riesgo 🚨',
+    },
+    terms: {
+      workingCapitalToAssets: 'Capital de Trabajo / Activos Totales',
+      retainedEarningsToAssets: 'Utilidades Retenidas / Activos Totales',
+      ebitToAssets: 'EBIT / Activos Totales',
+      marketEquityToLiabilities: 'Valor de Mercado del Capital / Pasivos Totales',
+      bookEquityToLiabilities: 'Patrimonio Neto / Pasivos Totales',
+      salesToAssets: 'Ventas / Activos Totales',
+    },
+    variants: {
+      public: 'Empresa pública manufacturera (Z)',
+      private: "Empresa privada (Z')",
+      nonManufacturing: "Empresa no manufacturera o de mercados emergentes (Z'')",
+    },
+    missingFields: 'Faltan datos para el modelo: {fields}.',
+    zeroTotals: 'Los Activos Totales y los Pasivos Totales deben ser distintos de cero.',
+  },
+
+  thresholdSettings: {
+    customLabel: '{label} (personalizado)',
+    profileName: 'Nombre del Perfil:',
+    limitsHelp: 'Cada ratio usa cuatro límites: {labels} (los márgenes y rentabilidades en %).',
+    directionOf: 'Dirección de {label}',
+    higherIsBetter: 'Mayor es mejor',
+    lowerIsBetter: 'Menor es mejor',
+    fixBeforeSaving: 'Corrija los rangos marcados antes de guardar.',
+    fixBeforeExporting: 'Corrija los rangos marcados antes de exportar.',
+    nameRequired: 'Ingrese un nombre para el perfil.',
+    defaultFileName: 'perfil',
+    save: 'Guardar Perfil',
+    exportJson: 'Exportar JSON',
+    importJson: 'Importar JSON',
+    delete: 'Eliminar Perfil',
+  },
+  thresholdProfiles: {
+    invalidDirection: 'La dirección debe ser "mayor es mejor" o "menor es mejor".',
+    fourLimits: 'Ingrese cuatro límites numéricos.',
+    descendingLimits: 'Los límites deben ir de mayor a menor (Excelente > Bueno > Regular > Malo).',
+    ascendingLimits: 'Los límites deben ir de menor a mayor (Excelente < Bueno < Regular < Malo).',
+    invalidJson: 'El archivo no contiene JSON válido.',
+    missingKeys: 'El archivo debe incluir "label" y "thresholds".',
+    invalidRatio: 'Rangos inválidos para "{ratio}": {error}',
+  },
+  analysisLibrary: {
+    title: 'Análisis Guardados:',
+    empty: 'Use "Guardar Análisis" para conservar el análisis actual en este navegador.',
+    search: 'Buscar por ticker',
+    searchPlaceholder: 'Buscar por ticker...',
+    noMatches: 'No hay análisis guardados para "{query}".',
+    newName: 'Nuevo nombre',
+    accept: 'Aceptar',
+    cancel: 'Cancelar',
+    select: 'Seleccionar {name}',
+    noTicker: 'Sin ticker',
+    noDate: 'Sin fecha',
+    open: 'Abrir',
+    duplicate: 'Duplicar',
+    rename: 'Renombrar',
+    delete: 'Eliminar',
+    confirmDelete: '¿Eliminar el análisis "{name}"?',
+    exportSelected: 'Exportar {count} seleccionado(s):',
+    copyOf: 'Copia de {name}',
+  },
+  statementImport: {
+    title: 'Importar Datos (CSV o Excel):',
+    help: 'Pegue un bloque copiado de una hoja de cálculo o cargue un CSV: una fila por concepto y una columna por periodo.',
+    dataToImport: 'Datos a importar',
+    placeholder: 'Concepto\t31-dic-2023\t31-dic-2024\nActivos circulantes\t140,000,000\t150,000,000',
+    analyze: 'Analizar Datos',
+    loadCsv: 'Cargar CSV',
+    noRows: 'No se encontraron filas con conceptos y al menos una columna de valores.',
+    lineItem: 'Concepto',
+    field: 'Campo',
+    fieldFor: 'Campo para {label}',
+    ignore: '— Ignorar —',
+    unmappedRows: 'Filas sin asignar (se ignorarán): {rows}.',
+    invalidCells: 'Valores que no se pudieron interpretar: {cells}.',
+    invalidCell: '{label} / {period}: "{raw}"',
+    emptyCell: 'vacío',
+    duplicatedFields: 'Hay campos asignados a más de una fila; se usará la última.',
+    periodToLoad: 'Periodo a cargar',
+    loadIntoForm: 'Cargar en el Formulario',
+    addAllAsPeriods: 'Agregar Todos como Periodos',
+    defaultPeriodLabel: 'Periodo {number}',
+  },
+  pasteToFill: {
+    title: 'Completar desde Texto de Estados Financieros:',
+    help: 'Pegue líneas copiadas de un informe en PDF o una página web, un concepto y su monto por línea. Los años y las referencias a notas no se toman como montos, y si una línea tiene varios montos (uno por periodo) usted elige cuál cargar. Los montos se leen en el formato y la escala de cifras elegidos; revise los campos antes de cargarlos.',
+    textToRead: 'Texto de los estados financieros',
+    placeholder: 'Total activos circulantes 150,000,000\nTotal pasivos circulantes (80,000,000)',
+    analyze: 'Detectar Conceptos',
+    noLines: 'No se encontraron líneas con un concepto seguido de un monto.',
+    line: 'Concepto',
+    amount: 'Monto',
+    field: 'Campo',
+    fieldFor: 'Campo para {label}',
+    amountFor: 'Monto para {label}',
+    chooseAmount: '— Elegir monto —',
+    ignore: '— Ignorar —',
+    skippedLines: 'Líneas sin concepto o sin monto (se ignorarán): {lines}.',
+    ambiguousLines: 'Elija el monto de las líneas con varios montos (no se cargarán hasta entonces): {lines}.',
+    duplicatedFields: 'Varias líneas apuntan a {fields}; se usará la primera.',
+    apply: 'Cargar {count} campo(s) en el Formulario',
+    cancel: 'Descartar',
+    applied: 'Se cargaron {count} campo(s) desde el texto pegado.',
+  },
+  exchangeRates: {
+    help: 'Cada tipo de cambio indica cuántas unidades de la moneda destino equivalen a una de la moneda origen, y aplica a los informes con fecha igual o posterior a su vigencia.',
+    fromCurrency: 'Moneda origen',
+    toCurrency: 'Moneda destino',
+    rate: 'Tipo de cambio',
+    ratePlaceholder: 'Ej: 0.0588',
+    effectiveDate: 'Fecha de vigencia',
+    add: 'Agregar',
+    sameCurrency: 'Las monedas de origen y destino deben ser distintas.',
+    invalidRate: 'Ingrese un tipo de cambio mayor que cero.',
+    missingDate: 'Ingrese la fecha de vigencia del tipo de cambio.',
+    empty: 'No hay tipos de cambio registrados.',
+    entry: '{date}: 1 {from} = {rate} {to}',
+    remove: 'Quitar',
+  },
+  exports: {
+    ticker: 'Ticker',
+    reportDate: 'Fecha del Informe',
+    currency: 'Moneda',
+    sector: 'Sector',
+    type: 'Tipo',
+    key: 'Clave',
+    concept: 'Concepto',
+    value: 'Valor',
+    interpretation: 'Interpretación',
+    reportingCurrency: 'Moneda de Reporte',
+    exchangeRate: 'Tipo de Cambio',
+    convertedValue: 'Valor Convertido',
+    figureType: 'Dato',
+    ratioType: 'Ratio',
+    summarySheet: 'Resumen',
+    detailSheet: 'Detalle',
+    ratio: 'Ratio',
+    rankOf: '{label} - Posición',
+    median: 'Mediana',
+    comparisonSheet: 'Comparación',
+    fileName: 'analisis',
+    fileNameMany: 'analisis_{count}',
+    comparisonFileName: 'comparacion_{count}',
+  },
+  report: {
+    title: 'Informe de Salud Financiera',
+    footer: 'Informe de Salud Financiera - © 2025 @Fermoon™',
+    reportDate: 'Fecha del Informe: {date}',
+    dataCurrency: 'Moneda de los Datos: {currency}',
+    unitScaleNote: ' (cifras en {scale})',
+    reportingCurrency: 'Moneda de Reporte: {currency} (1 {from} = {rate} {currency}, vigente desde {date})',
+    sector: 'Sector: {sector}',
+    fiscalPeriod: 'Periodo: {description}',
+    generatedAt: 'Generado el {date}',
+    enteredData: 'Datos Ingresados',
+    concept: 'Concepto',
+    valueIn: 'Valor ({currency})',
+    valueInScale: 'Valor ({currency}, en {scale})',
+    ratios: 'Ratios Financieros',
+    ratio: 'Ratio',
+    value: 'Valor',
+    description: 'Descripción',
+    interpretation: 'Interpretación',
+    guide: 'Guía de Interpretación de Ratios ({profile})',
+    range: 'Rango',
+    page: 'Página {page} de {pageCount}',
+  },
+};
@@ -0,0 +1,61 @@
+// Service worker of the installable app. It caches the whole app shell on install
+// so the analyzer works offline; saved analyses and settings live in localStorage
+// and need no network. A new build installs alongside the running one and only
+// takes over when the page asks for it (see ./lib/serviceWorker).
+//
+// This file is not bundled: the service worker plugin in vite.config.js emits it
+// as sw.js with the build's version and file list filled in.
+
+const BUILD_VERSION = 'development';
+const BUILD_FILES = [];
+
+const CACHE_PREFIX = 'calculaSaludFinanc-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_VERSION}`;
+
+// Paths are relative to this file, i.e. to the app's base path
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png',
+  ...BUILD_FILES,
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page sends this message when the user accepts an update
+self.addEventListener('message', (event) => {
+  if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Every page of the app is the same index.html (shared links only change the hash)
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.open(CACHE_NAME)
+      .then((cache) => cache.match('index.html'))
+      .then((cached) => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.open(CACHE_NAME)
+    .then((cache) => cache.match(request, { ignoreSearch: true }))
+    .then((cached) => cached || fetch(request)));
+});
@@ -1,8 +1,33 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits the service worker (src/sw.js) as sw.js, with the files of this build to
+// cache and a version that changes whenever any of them (or the worker) does.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post', // After index.html has been generated, so it counts towards the version
+  generateBundle(_options, bundle) {
+    const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+    const files = Object.keys(bundle).filter((fileName) => fileName !== 'index.html').sort()
+    const hash = createHash('sha256').update(template)
+    Object.keys(bundle).sort().forEach((fileName) => {
+      const output = bundle[fileName]
+      hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source)
+    })
+    const version = hash.digest('hex').slice(0, 12)
+    const source = template
+      .replace("const BUILD_VERSION = 'development';", `const BUILD_VERSION = '${version}';`)
+      .replace('const BUILD_FILES = [];', `const BUILD_FILES = ${JSON.stringify(files)};`)
+    if (source === template) this.error('src/sw.js no longer has the BUILD_VERSION and BUILD_FILES placeholders')
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/CalculaSaludFinanc/',
 })